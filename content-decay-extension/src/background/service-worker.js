@@ -1,13 +1,88 @@
 // Service Worker - Handles background tasks and message passing
 
-import { getAccessToken, isAuthenticated } from '../utils/auth.js';
+import {
+  signIn,
+  signOut,
+  getAccounts,
+  getActiveAccount,
+  setActiveAccount,
+  isAuthenticated,
+  getAccessToken,
+  getSheetsToken,
+  getSiteAccountId,
+  setSiteAccount
+} from '../utils/auth.js';
 import {
   queryAllSearchAnalytics,
-  getPagePerformanceComparison,
+  getComparisonRequests,
+  buildPerformanceComparison,
   getPageQueryData,
+  getPageDailyRange,
+  getPageQueryComparison,
+  getTopQueriesByPage,
   getSites
 } from '../utils/api.js';
-import { analyzeContentDecay, calculateSiteSummary, exportToCSV } from '../utils/decay-analyzer.js';
+import { analyzeContentDecay, calculateSiteSummary } from '../utils/decay-analyzer.js';
+import { EXPORT_FORMATS, exportToCSV, exportToJSON, exportToXLSX, bytesToBase64, buildPageRows, toCsv } from '../utils/export.js';
+import { createSheetsClient, getSheetsBaseUrl, pushToSheets } from '../utils/sheets.js';
+import { getSegments, hasSegments, getGroupingKey, SEGMENT_GROUPINGS } from '../utils/segments.js';
+import { formatSiteUrl } from '../utils/format.js';
+import { toLocalDateString, addDays, getAvailableDateRange, GSC_RETENTION_DAYS } from '../utils/dates.js';
+import { detectCannibalization, summarizeCannibalizationByPage } from '../utils/cannibalization.js';
+import { getSiteSettings, normalizeSettings, getExpiredRangesError } from '../utils/settings.js';
+import { getRuleSet, saveRuleSet, resetRuleSet } from '../utils/decay-rules.js';
+import { getNotificationPrefs, findNewlyFlaggedPages, getQuietHoursEnd } from '../utils/notifications.js';
+import {
+  getCachedAnalysis,
+  saveAnalysis,
+  getCachedResult,
+  saveCachedResult,
+  listSnapshots,
+  getSnapshot,
+  getLatestSnapshot,
+  getPreviousSnapshot,
+  clearCache,
+  pruneAllHistory
+} from '../utils/analysis-store.js';
+import { getQuotaStatus } from '../utils/quota.js';
+import { runConcurrently } from '../utils/api-client.js';
+import { getAnnotations, getImpactRange, measureImpact } from '../utils/annotations.js';
+import { reconcileTriage } from '../utils/triage.js';
+import { diffSnapshots, buildDiffRows } from '../utils/snapshot-diff.js';
+import { getDigestPrefs, getDigestReport, saveDigestReport, isDigestDue, buildDigestHtml } from '../utils/digest.js';
+import {
+  runFetchJob,
+  getInterruptedJobs,
+  pruneFetchJobs,
+  PROGRESS_PORT_NAME
+} from '../utils/fetch-jobs.js';
+import {
+  syncWarehouse,
+  syncRequests,
+  backfillWarehouse,
+  readRequests,
+  getPageTrend,
+  getWarehouseStatus,
+  clearWarehouse,
+  isWarehouseEnabled,
+  setWarehouseEnabled,
+  queueWarehouseSync,
+  getQueuedSyncs,
+  dequeueWarehouseSync,
+  pruneWarehouse
+} from '../utils/warehouse.js';
+
+// Wakes the worker while fetch jobs are unfinished, so a job cut off by a worker shutdown resumes
+const RESUME_ALARM = 'resumeFetchJobs';
+
+// Wakes the worker while warehouse syncs are queued, so one cut off by a worker shutdown continues
+const WAREHOUSE_SYNC_ALARM = 'syncWarehouse';
+
+// Queued warehouse syncs running in this worker instance
+let warehouseSyncRun = null;
+
+// Connected popup/dashboard ports that receive analysis progress
+const progressPorts = new Set();
 
 // Listen for extension installation
 chrome.runtime.onInstalled.addListener((details) => {
@@ -18,7 +93,7 @@ chrome.runtime.onInstalled.addListener((details) => {
     periodInMinutes: 24 * 60 // 24 hours
   });
 
-  // Clear any old cache on update
+  // Apply retention limits (and drop legacy cache entries) on update
   if (details.reason === 'update') {
     clearOldCache();
   }
@@ -30,9 +105,32 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
 
   if (alarm.name === 'dailyAnalysis') {
     await runBackgroundAnalysis();
+  } else if (alarm.name === 'deliverNotifications') {
+    await deliverPendingNotifications();
+  } else if (alarm.name === RESUME_ALARM) {
+    await resumeInterruptedJobs();
+  } else if (alarm.name === WAREHOUSE_SYNC_ALARM) {
+    await runWarehouseSyncs();
   }
 });
 
+// Browser restarted in the middle of a fetch or sync
+chrome.runtime.onStartup.addListener(() => {
+  resumeInterruptedJobs();
+  runWarehouseSyncs();
+});
+
+// Analysis progress for the popup and dashboard
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== PROGRESS_PORT_NAME) return;
+  progressPorts.add(port);
+  port.onDisconnect.addListener(() => progressPorts.delete(port));
+});
+
+// Decay alerts: open the popup on the flagged site/page
+chrome.notifications.onClicked.addListener(handleNotificationClick);
+chrome.notifications.onClosed.addListener(forgetNotification);
+
 // Handle messages from popup and other extension components
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Handle async responses properly
@@ -50,14 +148,35 @@ async function handleMessage(message) {
   console.log('Received message:', message.action);
 
   switch (message.action) {
+    case 'GET_ACCOUNTS':
+      return await handleGetAccounts();
+
+    case 'ADD_ACCOUNT':
+      return await handleAddAccount();
+
+    case 'SWITCH_ACCOUNT':
+      return await handleSwitchAccount(message.accountId);
+
+    case 'SIGN_OUT':
+      return await handleSignOut(message.accountId);
+
     case 'GET_SITES':
       return await handleGetSites();
 
     case 'ANALYZE_SITE':
       return await handleAnalyzeSite(message.siteUrl, message.options);
 
+    case 'ANALYZE_CANNIBALIZATION':
+      return await handleAnalyzeCannibalization(message.siteUrl, message.options);
+
     case 'GET_CACHED_ANALYSIS':
-      return await getCachedAnalysis(message.siteUrl);
+      return await getCachedAnalysis(message.siteUrl, normalizeSettings(message.options));
+
+    case 'LIST_SNAPSHOTS':
+      return await handleListSnapshots(message.siteUrl);
+
+    case 'GET_SNAPSHOT':
+      return await handleGetSnapshot(message.siteUrl, message.snapshotId);
 
     case 'CHECK_AUTH':
       return {
@@ -65,28 +184,128 @@ async function handleMessage(message) {
         authenticated: await isAuthenticated()
       };
 
-    case 'EXPORT_CSV':
-      return await handleExportCSV(message.siteUrl);
+    case 'DIFF_SNAPSHOTS':
+      return await handleDiffSnapshots(message.siteUrl, message.baseId, message.targetId);
+
+    case 'EXPORT_SNAPSHOT_DIFF':
+      return await handleExportSnapshotDiff(message.siteUrl, message.baseId, message.targetId, message.format);
+
+    case 'GENERATE_DIGEST':
+      return await handleGenerateDigest(message.siteUrl, message.delivery);
+
+    case 'EXPORT_ANALYSIS':
+      return await handleExportAnalysis(message.siteUrl, message.snapshotId, message.format);
+
+    case 'PUSH_TO_SHEETS':
+      return await handlePushToSheets(message.siteUrl, message.snapshotId, message.interactive);
 
     case 'GET_PAGE_QUERIES':
-      return await handleGetPageQueries(message.siteUrl, message.pageUrl, message.days);
+      return await handleGetPageQueries(message.siteUrl, message.pageUrl, message.days, message.dateRanges);
+
+    case 'GET_PAGE_TREND':
+      return await handleGetPageTrend(message.siteUrl, message.pageUrl, message.days);
+
+    case 'GET_ANNOTATION_IMPACT':
+      return await handleGetAnnotationImpact(message.siteUrl, message.days, message.pageUrl);
+
+    case 'GET_RULES':
+      return await handleGetRules();
+
+    case 'SAVE_RULES':
+      return await handleSaveRules(message.ruleSet);
+
+    case 'GET_QUOTA_STATUS':
+      return await handleGetQuotaStatus(message.siteUrl);
 
     case 'CLEAR_CACHE':
       return await handleClearCache(message.siteUrl);
 
+    case 'GET_WAREHOUSE_STATUS':
+      return await handleGetWarehouseStatus(message.siteUrl);
+
+    case 'SET_WAREHOUSE_ENABLED':
+      return await handleSetWarehouseEnabled(message.siteUrl, message.enabled);
+
+    case 'SYNC_WAREHOUSE':
+      return await handleSyncWarehouse(message.siteUrl, message.days);
+
+    case 'CLEAR_WAREHOUSE':
+      return await handleClearWarehouse(message.siteUrl);
+
     default:
       return { success: false, error: 'Unknown action: ' + message.action };
   }
 }
 
 /**
- * Get list of Search Console sites
+ * Signed-in accounts and the active one
+ */
+async function handleGetAccounts() {
+  try {
+    return {
+      success: true,
+      accounts: await getAccounts(),
+      activeAccount: await getActiveAccount()
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Sign in another Google account (runs here so the auth window doesn't die with the popup)
+ */
+async function handleAddAccount() {
+  try {
+    const account = await signIn();
+    return { success: true, account };
+  } catch (error) {
+    console.error('Sign in failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function handleSwitchAccount(accountId) {
+  try {
+    await setActiveAccount(accountId);
+    return { success: true, activeAccount: await getActiveAccount() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Sign out one account (the active one by default)
+ */
+async function handleSignOut(accountId = null) {
+  try {
+    await signOut(accountId);
+    return { success: true, activeAccount: await getActiveAccount() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the active account's Search Console sites, remembering that they belong to it
  */
 async function handleGetSites() {
   try {
-    const sites = await getSites();
+    const account = await getActiveAccount();
+    if (!account) {
+      return { success: false, error: 'Not authenticated' };
+    }
+    if (!(await getAccessToken(account.id))) {
+      // Signing the same account in again replaces its token
+      return { success: false, error: `The session for ${account.email} has expired. Choose "Add account" to sign in again.` };
+    }
+
+    const sites = await getSites(account.id);
+    await setSiteAccount(sites.map(site => site.siteUrl), account.id);
+
     return {
       success: true,
+      accountId: account.id,
       sites: sites.map(site => ({
         siteUrl: site.siteUrl,
         permissionLevel: site.permissionLevel
@@ -101,9 +320,9 @@ async function handleGetSites() {
 /**
  * Get top queries for a specific page
  */
-async function handleGetPageQueries(siteUrl, pageUrl, days) {
+async function handleGetPageQueries(siteUrl, pageUrl, days, dateRanges = null) {
   try {
-    const result = await getPageQueryData(siteUrl, pageUrl, days);
+    const result = await getPageQueryData(siteUrl, pageUrl, days, dateRanges);
     return {
       success: true,
       queries: result.queries,
@@ -115,23 +334,77 @@ async function handleGetPageQueries(siteUrl, pageUrl, days) {
   }
 }
 
+/**
+ * Get daily clicks/impressions/CTR/position for a specific page
+ */
+async function handleGetPageTrend(siteUrl, pageUrl, days = 90) {
+  try {
+    // GSC retains ~16 months of data
+    days = Math.min(days, GSC_RETENTION_DAYS);
+
+    const endDate = getAvailableDateRange().latest;
+    const trend = await getPageTrendRange(siteUrl, pageUrl, addDays(endDate, -(days - 1)), endDate);
+    return { success: true, trend };
+  } catch (error) {
+    console.error('Failed to get page trend:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// A page's daily rows, served locally when the warehouse holds every day of the window
+async function getPageTrendRange(siteUrl, pageUrl, startDate, endDate) {
+  const stored = await getPageTrend(siteUrl, pageUrl, startDate, endDate);
+  return stored || getPageDailyRange(siteUrl, pageUrl, startDate, endDate);
+}
+
+/**
+ * Before/after comparison for each annotated action ("did it work?")
+ * @param {number} days - Window on each side of the action
+ * @param {string} pageUrl - Only this page's actions (default: all)
+ */
+async function handleGetAnnotationImpact(siteUrl, days = 28, pageUrl = null) {
+  try {
+    const { earliest, latest } = getAvailableDateRange();
+    const annotations = (await getAnnotations(siteUrl)).filter(a => !pageUrl || a.page === pageUrl);
+
+    const results = await runConcurrently(annotations.map(annotation => async () => {
+      const range = getImpactRange(annotation.date, days);
+      if (range.startDate < earliest) {
+        return { ...annotation, impact: null, error: 'Search Console no longer has the days before this action' };
+      }
+
+      // The after-window is cut at the latest day with data (a recent action is 'too early')
+      try {
+        const trend = await getPageTrendRange(siteUrl, annotation.page, range.startDate, range.endDate < latest ? range.endDate : latest);
+        return { ...annotation, impact: measureImpact(trend, annotation.date, days, latest) };
+      } catch (error) {
+        return { ...annotation, impact: null, error: error.message };
+      }
+    }));
+
+    return { success: true, days, annotations: results };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Analyze a specific site for content decay
  */
 async function handleAnalyzeSite(siteUrl, options = {}) {
   try {
-    const {
-      currentDays = 30,
-      previousDays = 30,
-      minImpressions = 50,
-      minClicks = 0,
-      brandKeywords = '',
-      forceRefresh = false
-    } = options;
+    const { forceRefresh = false } = options;
+    const settings = normalizeSettings(options);
+
+    // Saved custom windows that aged out are reported, not swapped for another comparison
+    const rangesError = getExpiredRangesError(settings);
+    if (rangesError) {
+      return { success: false, error: rangesError };
+    }
 
     // Check cache first (unless force refresh)
     if (!forceRefresh) {
-      const cached = await getCachedAnalysis(siteUrl);
+      const cached = await getCachedAnalysis(siteUrl, settings);
       if (cached.success && cached.cached) {
         console.log('Returning cached analysis for', siteUrl);
         return cached;
@@ -140,81 +413,489 @@ async function handleAnalyzeSite(siteUrl, options = {}) {
 
     console.log('Running fresh analysis for', siteUrl);
 
-    // Get performance comparison data
-    const comparison = await getPagePerformanceComparison(siteUrl, {
-      currentDays,
-      previousDays,
-      minImpressions,
-      minClicks,
-      brandKeywords
-    });
+    const { ranges, requests } = getComparisonRequests(getComparisonOptions(settings));
+    return await fetchAndAnalyze(siteUrl, settings, ranges, requests);
+
+  } catch (error) {
+    console.error('Analysis failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Options for getComparisonRequests/buildPerformanceComparison from normalized settings
+function getComparisonOptions(settings) {
+  const {
+    currentDays,
+    previousDays,
+    minImpressions,
+    minClicks,
+    brandKeywords,
+    comparisonMode,
+    customRanges,
+    seasonalAdjust,
+    detectOnset,
+    attributeQueries
+  } = settings;
+
+  return {
+    currentDays,
+    previousDays,
+    minImpressions,
+    minClicks,
+    brandKeywords,
+    comparisonMode,
+    customRanges,
+    seasonalAdjust,
+    includeDaily: detectOnset,
+    includeQueries: attributeQueries
+  };
+}
+
+/**
+ * Get an analysis' rows, then analyze them and store the snapshot
+ * Rows come from the local warehouse when it already covers the windows; otherwise they're fetched
+ * as a resumable job, which keeps the settings and windows so an interrupted one can finish on its
+ * own. Sites with the warehouse on then sync the days they lack in the background, for next time.
+ */
+async function fetchAndAnalyze(siteUrl, settings, ranges, requests) {
+  const rows = await readFromWarehouse(siteUrl, requests) || await fetchAsJob(siteUrl, settings, ranges, requests);
+  broadcastProgress(siteUrl, { phase: 'analyzing', percent: 100 });
+
+  const comparison = buildPerformanceComparison(rows, ranges, getComparisonOptions(settings));
+
+  // Analyze for decay
+  const ruleSet = await getRuleSet();
+  const analysisResult = analyzeContentDecay(comparison, { ...settings, ruleSet });
+  const summary = {
+    ...calculateSiteSummary(analysisResult.pages),
+    totals: comparison.totals // Site-wide clicks/impressions/CTR/position for both periods
+  };
+
+  // Store as a dated snapshot (also serves as the cache for these settings)
+  const snapshot = await saveAnalysis(siteUrl, settings, {
+    summary,
+    pages: analysisResult.pages,
+    dateRanges: analysisResult.dateRanges,
+    ctrModel: analysisResult.ctrModel
+  });
+
+  // Fixed or ignored pages that got worse go back into the triage queue
+  const reopened = await reconcileTriage(siteUrl, analysisResult.pages, analysisResult.dateRanges);
+  if (reopened.length > 0) {
+    console.log(`Reopened ${reopened.length} triaged pages on ${siteUrl}`);
+  }
+
+  if (await isWarehouseEnabled(siteUrl)) {
+    await scheduleWarehouseSync(siteUrl);
+  }
+
+  return {
+    success: true,
+    cached: false,
+    ...snapshot,
+    reopened
+  };
+}
+
+// Rows from the warehouse, or null if it's off for the site or can't answer (brand filter, days not stored yet)
+async function readFromWarehouse(siteUrl, requests) {
+  try {
+    if (!(await isWarehouseEnabled(siteUrl))) return null;
+    return await readRequests(siteUrl, requests);
+  } catch (error) {
+    console.warn('Warehouse read failed:', error.message);
+    return null;
+  }
+}
+
+function fetchAsJob(siteUrl, settings, ranges, requests) {
+  chrome.alarms.create(RESUME_ALARM, { periodInMinutes: 1 });
+
+  return runFetchJob(siteUrl, requests, {
+    context: { settings, ranges },
+    onProgress: progress => broadcastProgress(siteUrl, { phase: 'fetching', ...progress })
+  });
+}
+
+/**
+ * Queue a background sync of a site's warehouse and start working through the queue
+ * The alarm picks the queue up again if the worker stops mid-sync; days already stored aren't refetched.
+ */
+async function scheduleWarehouseSync(siteUrl, options = {}) {
+  await queueWarehouseSync(siteUrl, options);
+  chrome.alarms.create(WAREHOUSE_SYNC_ALARM, { periodInMinutes: 1 });
+  runWarehouseSyncs();
+}
+
+function runWarehouseSyncs() {
+  if (!warehouseSyncRun) {
+    warehouseSyncRun = processWarehouseSyncs()
+      .catch(error => console.error('Warehouse syncs failed:', error))
+      .finally(() => { warehouseSyncRun = null; });
+  }
+  return warehouseSyncRun;
+}
+
+async function processWarehouseSyncs() {
+  let queued;
+  while ((queued = await getQueuedSyncs()).length > 0) {
+    const { siteUrl, backfill, queuedAt } = queued[0];
+    try {
+      await syncSiteWarehouse(siteUrl, backfill);
+    } catch (error) {
+      // Dropped until the next analysis queues it again, instead of retrying every minute
+      console.warn(`Warehouse sync of ${siteUrl} failed:`, error.message);
+    }
+    await dequeueWarehouseSync(siteUrl, queuedAt);
+  }
+  chrome.alarms.clear(WAREHOUSE_SYNC_ALARM);
+}
+
+// Store the days the site's current analysis windows read (and a batch of older days when backfilling),
+// then drop days that have left GSC's retention window
+async function syncSiteWarehouse(siteUrl, backfill) {
+  if (!(await isWarehouseEnabled(siteUrl))) return;
+
+  const settings = await getSiteSettings(siteUrl);
+  const fetched = getExpiredRangesError(settings)
+    ? 0
+    : await syncRequests(siteUrl, getComparisonRequests(getComparisonOptions(settings)).requests);
+
+  if (backfill) {
+    await backfillWarehouse(siteUrl, { includeQueries: settings.attributeQueries });
+  }
+  if (fetched > 0) {
+    console.log(`Stored ${fetched} days of ${siteUrl} in the warehouse`);
+  }
 
-    // Analyze for decay
-    const analysisResult = analyzeContentDecay(comparison, options);
-    const summary = calculateSiteSummary(analysisResult.pages);
-
-    // Cache results
-    const cacheKey = `analysis_${btoa(siteUrl)}`;
-    await chrome.storage.local.set({
-      [cacheKey]: {
-        timestamp: Date.now(),
-        summary,
-        pages: analysisResult.pages,
-        dateRanges: analysisResult.dateRanges
+  const pruned = await pruneWarehouse(siteUrl);
+  if (pruned > 0) {
+    console.log(`Dropped ${pruned} days of ${siteUrl} older than GSC retention`);
+  }
+}
+
+function broadcastProgress(siteUrl, progress) {
+  for (const port of progressPorts) {
+    port.postMessage({ type: 'progress', siteUrl, ...progress });
+  }
+}
+
+/**
+ * Finish fetch jobs a stopped worker left behind (failed jobs wait until the analysis is requested again,
+ * so they don't keep the alarm waking the worker)
+ */
+async function resumeInterruptedJobs() {
+  await pruneFetchJobs();
+  const jobs = (await getInterruptedJobs()).filter(job => !job.failed);
+
+  if (jobs.length === 0) {
+    chrome.alarms.clear(RESUME_ALARM);
+    return;
+  }
+
+  for (const job of jobs) {
+    console.log(`Resuming analysis of ${job.siteUrl} at ${job.progress.percent}%`);
+    try {
+      await fetchAndAnalyze(job.siteUrl, job.context.settings, job.context.ranges, job.requests);
+    } catch (error) {
+      console.error('Resumed analysis failed:', error);
+    }
+  }
+}
+
+/**
+ * Find queries where several of the site's URLs compete (split impressions or swap the lead)
+ */
+async function handleAnalyzeCannibalization(siteUrl, options = {}) {
+  try {
+    const { forceRefresh = false } = options;
+    const settings = normalizeSettings(options);
+
+    const rangesError = getExpiredRangesError(settings);
+    if (rangesError) {
+      return { success: false, error: rangesError };
+    }
+
+    if (!forceRefresh) {
+      const cached = await getCachedResult('cannibalization', siteUrl, settings);
+      if (cached) {
+        return { success: true, cached: true, cacheAge: cached.cacheAge, ...cached.data };
       }
+    }
+
+    const rows = await getPageQueryComparison(siteUrl, settings);
+    const clusters = detectCannibalization(rows.current, rows.previous, {
+      minImpressions: settings.minImpressions
     });
+    const result = {
+      clusters,
+      byPage: summarizeCannibalizationByPage(clusters),
+      dateRanges: rows.dateRanges
+    };
+
+    await saveCachedResult('cannibalization', siteUrl, settings, result);
+    return { success: true, cached: false, ...result };
+
+  } catch (error) {
+    console.error('Cannibalization analysis failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the decay classification rules in use
+ */
+async function handleGetRules() {
+  try {
+    return { success: true, ruleSet: await getRuleSet() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Save (or reset, when ruleSet is null) the classification rules.
+ * Cached analyses were classified with the old rules, so they are dropped.
+ */
+async function handleSaveRules(ruleSet) {
+  try {
+    const saved = ruleSet ? await saveRuleSet(ruleSet) : await resetRuleSet();
+    await clearCache();
+    return { success: true, ruleSet: saved };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
 
+/**
+ * List stored analysis snapshots for a site (metadata only)
+ */
+async function handleListSnapshots(siteUrl) {
+  try {
+    return { success: true, snapshots: await listSnapshots(siteUrl) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Load a stored analysis snapshot
+ */
+async function handleGetSnapshot(siteUrl, snapshotId) {
+  try {
+    const snapshot = await getSnapshot(siteUrl, snapshotId);
+    if (!snapshot) {
+      return { success: false, error: 'Snapshot not found. It may have expired.' };
+    }
+    return { success: true, cached: true, ...snapshot };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * What changed between two stored analyses
+ * Without ids the target is the latest snapshot and the base the run before it (same settings if there is one).
+ */
+async function handleDiffSnapshots(siteUrl, baseId = null, targetId = null) {
+  try {
+    const { base, target } = await getDiffSnapshots(siteUrl, baseId, targetId);
+    return { success: true, diff: diffSnapshots(base, target) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+async function getDiffSnapshots(siteUrl, baseId, targetId) {
+  const target = targetId ? await getSnapshot(siteUrl, targetId) : await getLatestSnapshot(siteUrl);
+  if (!target?.pages) {
+    throw new Error('No analysis data available. Run analysis first.');
+  }
+
+  let base = baseId ? await getSnapshot(siteUrl, baseId) : await getPreviousSnapshot(siteUrl, target);
+  if (!base && !baseId) {
+    const older = (await listSnapshots(siteUrl)).find(h => h.timestamp < target.timestamp);
+    base = older ? await getSnapshot(siteUrl, older.id) : null;
+  }
+  if (!base?.pages) {
+    throw new Error(baseId ? 'Snapshot not found. It may have expired.' : 'No earlier analysis to compare with yet.');
+  }
+  return { base, target };
+}
+
+/**
+ * Export a snapshot diff as CSV (one row per change) or JSON (the full diff)
+ */
+async function handleExportSnapshotDiff(siteUrl, baseId = null, targetId = null, format = 'csv') {
+  try {
+    if (!['csv', 'json'].includes(format)) {
+      return { success: false, error: `Changes can't be exported as ${format}` };
+    }
+
+    const { base, target } = await getDiffSnapshots(siteUrl, baseId, targetId);
+    const diff = diffSnapshots(base, target);
+    const content = format === 'json'
+      ? JSON.stringify({ siteUrl, exportedAt: new Date().toISOString(), ...diff }, null, 2)
+      : toCsv(buildDiffRows(diff));
+
+    const site = formatSiteUrl(siteUrl).replace(/[^\w.-]+/g, '_');
     return {
       success: true,
-      cached: false,
-      summary,
-      pages: analysisResult.pages,
-      dateRanges: analysisResult.dateRanges
+      format,
+      encoding: 'utf-8',
+      content,
+      filename: `content-decay-changes-${site}-${toLocalDateString(base.timestamp)}-to-${toLocalDateString(target.timestamp)}.${EXPORT_FORMATS[format].extension}`
     };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
 
+/**
+ * Build a site's digest from its latest analysis and deliver it now
+ * @param {string} delivery - 'tab' or 'download'; defaults to the site's digest setting
+ */
+async function handleGenerateDigest(siteUrl, delivery = null) {
+  try {
+    const prefs = await getDigestPrefs(siteUrl);
+    const report = await generateDigest(siteUrl, prefs);
+    await deliverDigest(siteUrl, report, delivery || prefs.delivery);
+    return { success: true, filename: report.filename, generatedAt: report.generatedAt };
   } catch (error) {
-    console.error('Analysis failed:', error);
+    console.error('Digest failed:', error);
     return { success: false, error: error.message };
   }
 }
 
 /**
- * Get cached analysis results
+ * Build a digest and keep it as the site's latest report
+ * Changes are measured against the run about a week earlier (or the one before, if there's none yet).
  */
-async function getCachedAnalysis(siteUrl) {
-  const cacheKey = `analysis_${btoa(siteUrl)}`;
-  const result = await chrome.storage.local.get(cacheKey);
+async function generateDigest(siteUrl, prefs) {
+  const snapshot = await getLatestSnapshot(siteUrl);
+  if (!snapshot?.pages) {
+    throw new Error('No analysis data available. Run analysis first.');
+  }
 
-  if (result[cacheKey]) {
-    const age = Date.now() - result[cacheKey].timestamp;
-    const maxAge = 12 * 60 * 60 * 1000; // 12 hours
+  const base = await getPreviousSnapshot(siteUrl, snapshot, 7) || await getPreviousSnapshot(siteUrl, snapshot);
+  const history = (await listSnapshots(siteUrl)).filter(h => h.optionsHash === snapshot.optionsHash);
+  const segments = await getSegments(siteUrl);
+  const grouping = hasSegments(segments) ? 'segment' : 'directory';
+  const generatedAt = Date.now();
 
-    if (age < maxAge) {
-      return {
-        success: true,
-        cached: true,
-        cacheAge: Math.round(age / 1000 / 60), // minutes
-        ...result[cacheKey]
-      };
-    }
+  const report = {
+    html: buildDigestHtml({
+      siteUrl,
+      snapshot,
+      diff: base ? diffSnapshots(base, snapshot) : null,
+      history,
+      getSegment: getGroupingKey(grouping, segments),
+      segmentLabel: SEGMENT_GROUPINGS[grouping],
+      topPages: prefs.topPages,
+      generatedAt
+    }),
+    filename: `content-decay-digest-${formatSiteUrl(siteUrl).replace(/[^\w.-]+/g, '_')}-${toLocalDateString(generatedAt)}.html`,
+    generatedAt,
+    snapshotId: snapshot.id
+  };
+
+  await saveDigestReport(siteUrl, report);
+  return report;
+}
+
+// Save the report to Downloads, or open it on the extension's report page (which reads the stored copy)
+async function deliverDigest(siteUrl, report, delivery) {
+  if (delivery === 'download') {
+    const base64 = bytesToBase64(new TextEncoder().encode(report.html));
+    await chrome.downloads.download({
+      url: `data:text/html;charset=utf-8;base64,${base64}`,
+      filename: report.filename,
+      conflictAction: 'uniquify'
+    });
+  } else {
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`src/report/report.html?site=${encodeURIComponent(siteUrl)}`) });
   }
+}
+
+/**
+ * Generate and deliver the weekly digest of every site that has one due
+ */
+async function sendDueDigests(sites) {
+  for (const site of sites) {
+    try {
+      const prefs = await getDigestPrefs(site.siteUrl);
+      const last = await getDigestReport(site.siteUrl);
+      if (!isDigestDue(prefs, last?.generatedAt)) continue;
 
-  return { success: false, cached: false };
+      const report = await generateDigest(site.siteUrl, prefs);
+      await deliverDigest(site.siteUrl, report, prefs.delivery);
+    } catch (error) {
+      console.warn(`Digest for ${site.siteUrl} failed:`, error.message);
+    }
+  }
 }
 
 /**
- * Export analysis as CSV
+ * Export an analysis (a specific snapshot, or the latest one) as CSV, JSON or XLSX
+ * XLSX content is base64 encoded so it survives message passing.
  */
-async function handleExportCSV(siteUrl) {
+async function handleExportAnalysis(siteUrl, snapshotId = null, format = 'csv') {
   try {
-    const cached = await getCachedAnalysis(siteUrl);
+    if (!EXPORT_FORMATS[format]) {
+      return { success: false, error: `Unknown export format: ${format}` };
+    }
 
-    if (!cached.success || !cached.pages) {
+    const snapshot = snapshotId
+      ? await getSnapshot(siteUrl, snapshotId)
+      : await getLatestSnapshot(siteUrl);
+
+    if (!snapshot || !snapshot.pages) {
       return { success: false, error: 'No analysis data available. Run analysis first.' };
     }
 
-    const csv = exportToCSV(cached.pages);
-    return { success: true, csv };
+    // Pages are labelled with the site's segments, or their top directory if it has none
+    const segments = await getSegments(siteUrl);
+    const grouping = hasSegments(segments) ? 'segment' : 'directory';
+    const getSegment = getGroupingKey(grouping, segments);
+
+    let content;
+    let encoding = 'utf-8';
+    if (format === 'json') {
+      content = exportToJSON(snapshot, siteUrl);
+    } else if (format === 'xlsx') {
+      // Top queries are fetched for the snapshot's own windows; the workbook is still built without them
+      let queriesByPage = null;
+      if (snapshot.dateRanges) {
+        try {
+          queriesByPage = await getTopQueriesByPage(siteUrl, snapshot.options, snapshot.dateRanges);
+        } catch (error) {
+          console.warn('Exporting without query data:', error);
+        }
+      }
+      content = bytesToBase64(exportToXLSX(snapshot, {
+        siteUrl,
+        queriesByPage,
+        getSegment,
+        segmentLabel: SEGMENT_GROUPINGS[grouping]
+      }));
+      encoding = 'base64';
+    } else {
+      content = exportToCSV(snapshot.pages, getSegment);
+    }
+
+    const date = toLocalDateString(snapshot.timestamp);
+    const site = formatSiteUrl(siteUrl).replace(/[^\w.-]+/g, '_');
+    // Custom windows aren't implied by the analysis date, so they go in the name
+    const ranges = snapshot.dateRanges?.mode === 'custom'
+      ? `-${snapshot.dateRanges.current.startDate}_${snapshot.dateRanges.current.endDate}-vs-${snapshot.dateRanges.previous.startDate}_${snapshot.dateRanges.previous.endDate}`
+      : '';
+    return {
+      success: true,
+      format,
+      encoding,
+      content,
+      filename: `content-decay-${site}-${date}${ranges}.${EXPORT_FORMATS[format].extension}`
+    };
 
   } catch (error) {
     return { success: false, error: error.message };
@@ -222,20 +903,60 @@ async function handleExportCSV(siteUrl) {
 }
 
 /**
- * Clear cache for a specific site or all sites
+ * Send an analysis (a specific snapshot, or the latest one) to the site's Google Sheets spreadsheet
+ * With interactive set, the owning account is asked for the Sheets scope if it hasn't granted it yet.
  */
-async function handleClearCache(siteUrl = null) {
+async function handlePushToSheets(siteUrl, snapshotId = null, interactive = false) {
   try {
-    if (siteUrl) {
-      const cacheKey = `analysis_${btoa(siteUrl)}`;
-      await chrome.storage.local.remove(cacheKey);
-    } else {
-      // Clear all analysis caches
-      const storage = await chrome.storage.local.get(null);
-      const cacheKeys = Object.keys(storage).filter(k => k.startsWith('analysis_'));
-      await chrome.storage.local.remove(cacheKeys);
+    const snapshot = snapshotId
+      ? await getSnapshot(siteUrl, snapshotId)
+      : await getLatestSnapshot(siteUrl);
+
+    if (!snapshot || !snapshot.pages) {
+      return { success: false, error: 'No analysis data available. Run analysis first.' };
+    }
+
+    const token = await getSheetsToken(interactive, await getSiteAccountId(siteUrl));
+    if (!token) {
+      return { success: false, error: 'Google Sheets access has not been granted.' };
     }
 
+    const segments = await getSegments(siteUrl);
+    const getSegment = getGroupingKey(hasSegments(segments) ? 'segment' : 'directory', segments);
+
+    // One tab per snapshot date; sending the same date again replaces that tab
+    const target = await pushToSheets(createSheetsClient({ token, baseUrl: await getSheetsBaseUrl() }), {
+      siteUrl,
+      title: `Content Decay - ${formatSiteUrl(siteUrl)}`,
+      tab: toLocalDateString(snapshot.timestamp),
+      rows: buildPageRows(snapshot.pages, getSegment)
+    });
+
+    return { success: true, ...target };
+
+  } catch (error) {
+    console.error('Sheets push failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Today's Search Console API usage and rate-limit state for a site
+ */
+async function handleGetQuotaStatus(siteUrl) {
+  try {
+    return { success: true, status: await getQuotaStatus(siteUrl) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Clear cache for a specific site or all sites (snapshot history is kept)
+ */
+async function handleClearCache(siteUrl = null) {
+  try {
+    await clearCache(siteUrl);
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -243,31 +964,77 @@ async function handleClearCache(siteUrl = null) {
 }
 
 /**
- * Clear old cache entries (older than 7 days)
+ * Days of a site's Search Console data held in the local warehouse
  */
-async function clearOldCache() {
-  const storage = await chrome.storage.local.get(null);
-  const maxAge = 7 * 24 * 60 * 60 * 1000; // 7 days
-  const now = Date.now();
+async function handleGetWarehouseStatus(siteUrl) {
+  try {
+    return { success: true, status: await getWarehouseStatus(siteUrl) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
 
-  const keysToRemove = [];
+/**
+ * Turn a site's warehouse on or off; turning it on queues a sync of the current analysis windows
+ */
+async function handleSetWarehouseEnabled(siteUrl, enabled) {
+  try {
+    await setWarehouseEnabled(siteUrl, enabled);
+    if (enabled) await scheduleWarehouseSync(siteUrl);
+    return { success: true, status: await getWarehouseStatus(siteUrl) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
 
-  for (const [key, value] of Object.entries(storage)) {
-    if (key.startsWith('analysis_') && value.timestamp) {
-      if (now - value.timestamp > maxAge) {
-        keysToRemove.push(key);
-      }
+/**
+ * Fetch the days of the last `days` the warehouse doesn't have yet (older days come from the daily backfill)
+ */
+async function handleSyncWarehouse(siteUrl, days = 90) {
+  try {
+    if (!(await isWarehouseEnabled(siteUrl))) {
+      return { success: false, error: 'Local data is off for this site.' };
     }
+
+    const settings = await getSiteSettings(siteUrl);
+    const endDate = getAvailableDateRange().latest;
+    const fetched = await syncWarehouse(siteUrl, {
+      startDate: addDays(endDate, -(Math.min(days, GSC_RETENTION_DAYS) - 1)),
+      endDate,
+      includeQueries: settings.attributeQueries,
+      onProgress: progress => broadcastProgress(siteUrl, { phase: 'syncing', ...progress })
+    });
+    return { success: true, fetched, status: await getWarehouseStatus(siteUrl) };
+  } catch (error) {
+    console.error('Warehouse sync failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a site's locally stored days
+ */
+async function handleClearWarehouse(siteUrl) {
+  try {
+    await clearWarehouse(siteUrl);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
+}
 
-  if (keysToRemove.length > 0) {
-    await chrome.storage.local.remove(keysToRemove);
-    console.log(`Cleared ${keysToRemove.length} old cache entries`);
+/**
+ * Apply cache and snapshot retention limits
+ */
+async function clearOldCache() {
+  const removed = await pruneAllHistory();
+  if (removed > 0) {
+    console.log(`Cleared ${removed} old cache entries`);
   }
 }
 
 /**
- * Run background analysis for all sites
+ * Run background analysis for all sites of every signed-in account
  */
 async function runBackgroundAnalysis() {
   console.log('Starting background analysis...');
@@ -279,13 +1046,32 @@ async function runBackgroundAnalysis() {
   }
 
   try {
-    const sites = await getSites();
+    const sites = [];
+    for (const account of await getAccounts()) {
+      try {
+        const accountSites = await getSites(account.id);
+        await setSiteAccount(accountSites.map(site => site.siteUrl), account.id);
+        // A property shared by two accounts is analyzed once
+        sites.push(...accountSites.filter(site => !sites.some(s => s.siteUrl === site.siteUrl)));
+      } catch (error) {
+        console.warn(`Skipping account ${account.email}:`, error.message);
+      }
+    }
 
     // Analyze all sites
     for (const site of sites) {
       console.log('Analyzing site:', site.siteUrl);
 
-      await handleAnalyzeSite(site.siteUrl, { forceRefresh: true });
+      const settings = await getSiteSettings(site.siteUrl);
+      const result = await handleAnalyzeSite(site.siteUrl, { ...settings, forceRefresh: true });
+      if (!result.success) {
+        console.warn(`Skipped ${site.siteUrl}:`, result.error);
+      }
+
+      // Sites with local data on extend their history a few weeks further back each day
+      if (await isWarehouseEnabled(site.siteUrl)) {
+        await scheduleWarehouseSync(site.siteUrl, { backfill: true });
+      }
 
       // Small delay between sites to avoid rate limits
       await new Promise(resolve => setTimeout(resolve, 3000));
@@ -294,6 +1080,12 @@ async function runBackgroundAnalysis() {
     // Check for critical decay and notify
     await checkAndNotify(sites);
 
+    // Weekly digests of sites whose day has come
+    await sendDueDigests(sites);
+
+    // Enforce retention limits once the new snapshots are in
+    await clearOldCache();
+
     console.log('Background analysis complete');
 
   } catch (error) {
@@ -302,15 +1094,27 @@ async function runBackgroundAnalysis() {
 }
 
 /**
- * Check for critical decay and send notification
+ * Update the critical badge and alert on pages that newly crossed each site's threshold
  */
 async function checkAndNotify(sites) {
   let totalCritical = 0;
 
   for (const site of sites) {
-    const cached = await getCachedAnalysis(site.siteUrl);
-    if (cached.success && cached.summary) {
-      totalCritical += cached.summary.criticalCount;
+    const latest = await getLatestSnapshot(site.siteUrl);
+    if (!latest || !latest.summary) continue;
+
+    totalCritical += latest.summary.criticalCount;
+
+    const prefs = await getNotificationPrefs(site.siteUrl);
+    if (!prefs.enabled) continue;
+
+    // No earlier run with the same settings: nothing is "new" yet
+    const previous = await getPreviousSnapshot(site.siteUrl, latest);
+    if (!previous) continue;
+
+    const flagged = findNewlyFlaggedPages(latest, previous, prefs.minSeverity);
+    if (flagged.length > 0) {
+      await queueNotification(buildDecayNotification(site.siteUrl, flagged), prefs);
     }
   }
 
@@ -318,22 +1122,125 @@ async function checkAndNotify(sites) {
     // Update badge to show critical count
     chrome.action.setBadgeText({ text: totalCritical.toString() });
     chrome.action.setBadgeBackgroundColor({ color: '#e53935' });
-
-    // Optional: Show notification (requires 'notifications' permission)
-    // Uncomment and add "notifications" to manifest permissions to enable
-    /*
-    chrome.notifications.create({
-      type: 'basic',
-      iconUrl: 'assets/icons/icon128.png',
-      title: 'Content Decay Alert',
-      message: `${totalCritical} page(s) need immediate attention!`,
-      priority: 2
-    });
-    */
   } else {
     chrome.action.setBadgeText({ text: '' });
   }
 }
 
+function buildDecayNotification(siteUrl, flagged) {
+  const site = siteUrl.replace(/^sc-domain:/, '').replace(/^https?:\/\//, '').replace(/\/$/, '');
+  const [first] = flagged;
+  const label = first.severity === 'critical' ? 'critical' : 'at risk';
+
+  if (flagged.length === 1) {
+    return {
+      title: `New ${label} page on ${site}`,
+      message: `${formatNotificationPath(first.page)}\n${first.symptoms.join(' + ') || first.decayClass}`,
+      target: { siteUrl, pageUrl: first.page }
+    };
+  }
+
+  return {
+    title: `${flagged.length} pages newly flagged on ${site}`,
+    message: flagged.slice(0, 3).map(p => `${formatNotificationPath(p.page)} (${p.severity})`).join('\n') +
+      (flagged.length > 3 ? `\n+${flagged.length - 3} more` : ''),
+    target: { siteUrl, pageUrl: null }
+  };
+}
+
+function formatNotificationPath(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Show a notification now, or hold it until the site's quiet hours end
+ */
+async function queueNotification(notification, prefs) {
+  const quietUntil = getQuietHoursEnd(prefs);
+  if (!quietUntil) {
+    await showNotification(notification);
+    return;
+  }
+
+  const { pendingNotifications = [] } = await chrome.storage.local.get('pendingNotifications');
+  pendingNotifications.push({ ...notification, deliverAt: quietUntil.getTime() });
+  await chrome.storage.local.set({ pendingNotifications });
+  scheduleNotificationDelivery(pendingNotifications);
+}
+
+function scheduleNotificationDelivery(pending) {
+  if (pending.length === 0) return;
+  chrome.alarms.create('deliverNotifications', {
+    when: Math.min(...pending.map(n => n.deliverAt))
+  });
+}
+
+/**
+ * Show held notifications whose quiet hours have ended
+ */
+async function deliverPendingNotifications() {
+  const { pendingNotifications = [] } = await chrome.storage.local.get('pendingNotifications');
+  const now = Date.now();
+  const due = pendingNotifications.filter(n => n.deliverAt <= now);
+  const waiting = pendingNotifications.filter(n => n.deliverAt > now);
+
+  await chrome.storage.local.set({ pendingNotifications: waiting });
+  for (const { deliverAt, ...notification } of due) {
+    await showNotification(notification);
+  }
+  scheduleNotificationDelivery(waiting);
+}
+
+async function showNotification({ title, message, target }) {
+  const notificationId = await chrome.notifications.create({
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('assets/icons/icon128.png'),
+    title,
+    message,
+    priority: 2
+  });
+
+  // The worker may be gone by the time it's clicked, so keep click targets in storage
+  const { notificationTargets = {} } = await chrome.storage.local.get('notificationTargets');
+  notificationTargets[notificationId] = target;
+  await chrome.storage.local.set({ notificationTargets });
+}
+
+/**
+ * Open the popup on the notified site (and page)
+ */
+async function handleNotificationClick(notificationId) {
+  const { notificationTargets = {} } = await chrome.storage.local.get('notificationTargets');
+  const target = notificationTargets[notificationId];
+  await forgetNotification(notificationId);
+  if (!target) return;
+
+  // Picked up by the popup on load, showing the account that owns the site
+  await chrome.storage.local.set({ pendingNavigation: target });
+  const owner = await getSiteAccountId(target.siteUrl);
+  if (owner) await setActiveAccount(owner).catch(() => {});
+
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    // openPopup needs a focused browser window; fall back to a tab
+    console.warn('Could not open popup, opening a tab instead:', error.message);
+    await chrome.tabs.create({ url: chrome.runtime.getURL('src/popup/popup.html') });
+  }
+}
+
+async function forgetNotification(notificationId) {
+  chrome.notifications.clear(notificationId);
+  const { notificationTargets = {} } = await chrome.storage.local.get('notificationTargets');
+  if (notificationId in notificationTargets) {
+    delete notificationTargets[notificationId];
+    await chrome.storage.local.set({ notificationTargets });
+  }
+}
+
 // Log service worker startup
 console.log('Content Decay Analyzer service worker started');
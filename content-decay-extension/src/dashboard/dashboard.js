@@ -0,0 +1,1042 @@
+// Dashboard UI Logic (full-tab view of the same analyses as the popup)
+import { getSiteSettings } from '../utils/settings.js';
+import { calculateSiteSummary } from '../utils/decay-analyzer.js';
+import { getSegments, hasSegments, getGroupingKey } from '../utils/segments.js';
+import { buildTrendChart, buildSparkline, CHART_COLORS } from '../utils/charts.js';
+import { formatSiteUrl, formatDateRange, escapeHtml, fNum, getPagePath } from '../utils/format.js';
+import { downloadExport, EXPORT_FORMATS } from '../utils/export.js';
+import { formatQuotaStatus } from '../utils/quota.js';
+import { PROGRESS_PORT_NAME, formatJobProgress } from '../utils/fetch-jobs.js';
+import {
+  renderOnsetTag,
+  renderTriageTag,
+  renderSeasonalTag,
+  renderLossReason,
+  renderAnnotationTag,
+  renderImpact,
+  buildInsightLines,
+  buildAttributionHtml,
+  getTrendDays,
+  getTrendOverlays,
+  getGscPageUrl,
+  renderSiteTotals,
+  TREND_RANGES
+} from '../utils/page-insights.js';
+import { getAnnotations, groupAnnotationsByPage, ACTION_TYPES, DEFAULT_IMPACT_DAYS } from '../utils/annotations.js';
+import { getSiteEvents } from '../utils/site-events.js';
+import { getTriage, getTriageStatus, TRIAGE_STATUSES } from '../utils/triage.js';
+
+const PAGE_SIZE = 100;
+
+// How often API usage is refreshed while an analysis is running
+const QUOTA_POLL_MS = 2000;
+
+const SEVERITIES = ['critical', 'warning', 'monitoring', 'healthy'];
+
+// Table columns: value getter, filter type and cell formatting
+const COLUMNS = [
+  { key: 'page', label: 'Page', filter: 'text', get: p => p.page },
+  { key: 'segment', label: 'Segment', filter: 'select', get: p => pageSegments.get(p.page) },
+  { key: 'decayClass', label: 'Class', filter: 'select', get: p => p.decay.decayClass },
+  { key: 'severity', label: 'Severity', filter: 'select', get: p => p.decay.severity },
+  { key: 'status', label: 'Status', filter: 'select', get: p => TRIAGE_STATUSES[getTriageStatus(triageByPage[p.page])] },
+  { key: 'clicks', label: 'Clicks', filter: 'number', get: p => p.current.clicks, format: fNum },
+  { key: 'clicksChange', label: 'Clicks Δ%', filter: 'number', get: p => p.decay.changes.clicks, format: formatChange },
+  { key: 'impressionsChange', label: 'Impr. Δ%', filter: 'number', get: p => p.decay.changes.impressions, format: formatChange },
+  { key: 'ctrChange', label: 'CTR Δ%', filter: 'number', get: p => p.decay.changes.ctr, format: formatChange },
+  { key: 'positionChange', label: 'Pos Δ', filter: 'number', get: p => p.decay.changes.position, format: formatChange },
+  { key: 'decayScore', label: 'Decay', filter: 'number', get: p => p.decay.decayScore },
+  { key: 'score', label: 'Revival', filter: 'number', get: p => p.decay.score, format: fNum },
+  { key: 'onset', label: 'Onset', filter: 'text', get: p => p.decay.onset?.date || '' }
+];
+
+const elements = {
+  accountSelect: document.getElementById('account-select'),
+  siteSelect: document.getElementById('site-select'),
+  historySelect: document.getElementById('history-select'),
+  diffBaseSelect: document.getElementById('diff-base-select'),
+  diff: document.getElementById('dash-diff'),
+  cacheInfo: document.getElementById('cache-info'),
+  quotaStatus: document.getElementById('quota-status'),
+  refreshBtn: document.getElementById('refresh-btn'),
+  exportBtn: document.getElementById('export-btn'),
+  exportFormat: document.getElementById('export-format'),
+  sheetsBtn: document.getElementById('sheets-btn'),
+  signedOut: document.getElementById('signed-out'),
+  signInBtn: document.getElementById('sign-in-btn'),
+  status: document.getElementById('dash-status'),
+  main: document.getElementById('dash-main'),
+  summary: document.getElementById('dash-summary'),
+  count: document.getElementById('dash-count'),
+  onsetOnly: document.getElementById('onset-only'),
+  clearFiltersBtn: document.getElementById('clear-filters-btn'),
+  table: document.getElementById('dash-table'),
+  pager: document.getElementById('dash-pager'),
+  detail: document.getElementById('dash-detail'),
+  errorToast: document.getElementById('error-toast'),
+  errorMessage: document.getElementById('error-message')
+};
+
+// State
+let currentSiteUrl = null;
+let currentSettings = null;
+let currentAnalysis = null;
+let currentSegments = null;
+let pageSegments = new Map(); // Page URL → segment (top directory when the site has none)
+let annotationsByPage = new Map(); // Actions recorded on the site's pages (added in the popup)
+let siteEvents = []; // Deploys, migrations and Google updates (managed in the popup's settings)
+let triageByPage = {}; // Page → triage status, assignee and due date (set in the popup)
+let snapshotHistory = []; // Stored analyses of the site (metadata), newest first
+let diffBaseId = ''; // Snapshot the shown analysis is compared with
+let filteredPages = [];
+let selectedPageUrl = null;
+let pageIndex = 0;
+let sort = { key: 'score', dir: 'desc' };
+let filters = {};
+let progressPort = null; // Analysis progress from the service worker
+
+document.addEventListener('DOMContentLoaded', init);
+
+async function init() {
+  setupEventListeners();
+
+  if (!(await loadAccounts())) {
+    elements.signedOut.classList.remove('hidden');
+    return;
+  }
+
+  await loadSites();
+}
+
+function setupEventListeners() {
+  elements.signInBtn.addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ action: 'ADD_ACCOUNT' });
+    if (!response.success) {
+      showToast('Sign in failed: ' + response.error);
+      return;
+    }
+    elements.signedOut.classList.add('hidden');
+    await loadAccounts();
+    await loadSites();
+  });
+
+  elements.accountSelect.addEventListener('change', handleAccountChange);
+
+  elements.siteSelect.addEventListener('change', (e) => {
+    if (e.target.value) analyzeSite(e.target.value);
+  });
+
+  elements.historySelect.addEventListener('change', (e) => {
+    if (e.target.value) {
+      showSnapshot(e.target.value);
+    } else {
+      analyzeSite(currentSiteUrl);
+    }
+  });
+
+  elements.diffBaseSelect.addEventListener('change', (e) => {
+    diffBaseId = e.target.value;
+    loadSnapshotDiff();
+  });
+
+  elements.refreshBtn.addEventListener('click', () => analyzeSite(currentSiteUrl, true));
+  elements.exportBtn.addEventListener('click', handleExport);
+  elements.sheetsBtn.addEventListener('click', handleSendToSheets);
+
+  elements.onsetOnly.addEventListener('change', () => applyFilters());
+  elements.clearFiltersBtn.addEventListener('click', () => {
+    filters = {};
+    elements.onsetOnly.checked = false;
+    renderTableHead();
+    applyFilters();
+  });
+
+  document.addEventListener('keydown', handleKeyNavigation);
+}
+
+function showToast(message, duration = 3000) {
+  elements.errorMessage.textContent = message;
+  elements.errorToast.classList.remove('hidden');
+
+  setTimeout(() => {
+    elements.errorToast.classList.add('hidden');
+  }, duration);
+}
+
+function showStatus(html) {
+  elements.status.innerHTML = html;
+  elements.status.classList.remove('hidden');
+  elements.main.classList.add('hidden');
+}
+
+// Sites
+/**
+ * Fill the account switcher
+ * @returns {boolean} Whether any account is signed in
+ */
+async function loadAccounts() {
+  const response = await chrome.runtime.sendMessage({ action: 'GET_ACCOUNTS' });
+  if (!response.success || !response.activeAccount) {
+    elements.accountSelect.classList.add('hidden');
+    return false;
+  }
+
+  const { accounts, activeAccount } = response;
+  elements.accountSelect.innerHTML = accounts.map(account => `
+    <option value="${escapeHtml(account.id)}" ${account.id === activeAccount.id ? 'selected' : ''}>${escapeHtml(account.email)}</option>
+  `).join('') + '<option value="__add">+ Add account…</option>';
+  elements.accountSelect.classList.remove('hidden');
+  return true;
+}
+
+// Switching accounts swaps the property list; the open analysis is closed
+async function handleAccountChange() {
+  const accountId = elements.accountSelect.value;
+
+  if (accountId === '__add') {
+    const response = await chrome.runtime.sendMessage({ action: 'ADD_ACCOUNT' });
+    if (!response.success) {
+      showToast('Sign in failed: ' + response.error);
+    }
+  } else {
+    await chrome.runtime.sendMessage({ action: 'SWITCH_ACCOUNT', accountId });
+  }
+
+  currentSiteUrl = null;
+  currentAnalysis = null;
+  elements.main.classList.add('hidden');
+  await loadAccounts();
+  await loadSites();
+}
+
+async function loadSites() {
+  const response = await chrome.runtime.sendMessage({ action: 'GET_SITES' });
+  if (!response.success) {
+    showStatus(`<div class="error">Failed to load sites: ${escapeHtml(response.error)}</div>`);
+    return;
+  }
+
+  elements.siteSelect.innerHTML = '<option value="">Select a property…</option>' + response.sites.map(site => `
+    <option value="${escapeHtml(site.siteUrl)}">${escapeHtml(formatSiteUrl(site.siteUrl))}</option>
+  `).join('');
+
+  // ?site= deep link (e.g. from the popup)
+  const requested = new URLSearchParams(location.search).get('site');
+  if (requested && response.sites.some(s => s.siteUrl === requested)) {
+    elements.siteSelect.value = requested;
+    analyzeSite(requested);
+  } else {
+    showStatus('<p>Select a property to analyze.</p>');
+  }
+}
+
+// Analysis
+async function analyzeSite(siteUrl, forceRefresh = false) {
+  if (siteUrl !== currentSiteUrl) {
+    currentSettings = await getSiteSettings(siteUrl);
+    currentSegments = await getSegments(siteUrl);
+    annotationsByPage = groupAnnotationsByPage(await getAnnotations(siteUrl));
+    siteEvents = (await getSiteEvents(siteUrl)).events;
+    selectedPageUrl = null;
+    diffBaseId = '';
+    renderHistoryOptions([]);
+  }
+
+  currentSiteUrl = siteUrl;
+  history.replaceState(null, '', `?site=${encodeURIComponent(siteUrl)}`);
+  connectProgress();
+  showStatus(`
+    <div class="spinner"></div>
+    <p id="analysis-progress-text">Analyzing your content...</p>
+    <div class="progress-bar"><div id="analysis-progress-fill" class="progress-fill"></div></div>
+  `);
+  elements.refreshBtn.disabled = true;
+
+  try {
+    let response;
+
+    if (!forceRefresh) {
+      const cached = await chrome.runtime.sendMessage({
+        action: 'GET_CACHED_ANALYSIS',
+        siteUrl,
+        options: currentSettings
+      });
+      if (cached.success && cached.cached) {
+        response = cached;
+        elements.cacheInfo.textContent = `Cached ${cached.cacheAge} minutes ago`;
+      }
+    }
+
+    if (!response) {
+      elements.cacheInfo.textContent = 'Running fresh analysis...';
+      const quotaTimer = setInterval(() => updateQuotaStatus(siteUrl), QUOTA_POLL_MS);
+      try {
+        response = await chrome.runtime.sendMessage({
+          action: 'ANALYZE_SITE',
+          siteUrl,
+          options: { ...currentSettings, forceRefresh }
+        });
+      } finally {
+        clearInterval(quotaTimer);
+      }
+      if (response.success) elements.cacheInfo.textContent = 'Analysis complete';
+    }
+
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    // After the analysis: it reopens fixed and ignored pages that got worse
+    triageByPage = await getTriage(siteUrl);
+    showAnalysis(response);
+    loadHistory(siteUrl, response.id);
+  } catch (error) {
+    elements.cacheInfo.textContent = '';
+    showStatus(`<div class="error">Analysis failed: ${escapeHtml(error.message)}</div>`);
+  } finally {
+    elements.refreshBtn.disabled = false;
+    updateQuotaStatus(siteUrl);
+  }
+}
+
+// Progress of fresh analyses, shown under the spinner
+function connectProgress() {
+  if (progressPort) return;
+  progressPort = chrome.runtime.connect({ name: PROGRESS_PORT_NAME });
+  progressPort.onMessage.addListener(handleProgress);
+  progressPort.onDisconnect.addListener(() => {
+    progressPort = null;
+  });
+}
+
+function handleProgress(message) {
+  if (message.type !== 'progress' || message.siteUrl !== currentSiteUrl) return;
+
+  const text = document.getElementById('analysis-progress-text');
+  const fill = document.getElementById('analysis-progress-fill');
+  if (text) text.textContent = formatJobProgress(message);
+  if (fill) fill.style.width = `${message.percent}%`;
+}
+
+// Today's API usage next to the cache info, polled while a fresh analysis is fetching
+async function updateQuotaStatus(siteUrl) {
+  const response = await chrome.runtime.sendMessage({ action: 'GET_QUOTA_STATUS', siteUrl });
+  if (!response.success || siteUrl !== currentSiteUrl) return;
+
+  elements.quotaStatus.textContent = formatQuotaStatus(response.status);
+  elements.quotaStatus.dataset.level = response.status.level;
+}
+
+async function showSnapshot(snapshotId) {
+  showStatus('<div class="spinner"></div><p>Loading snapshot...</p>');
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'GET_SNAPSHOT',
+    siteUrl: currentSiteUrl,
+    snapshotId
+  });
+
+  if (!response.success) {
+    showStatus(`<div class="error">Failed to load snapshot: ${escapeHtml(response.error)}</div>`);
+    return;
+  }
+
+  elements.cacheInfo.textContent = `Snapshot from ${new Date(response.timestamp).toLocaleString()}`;
+  showAnalysis(response);
+}
+
+function showAnalysis(response) {
+  currentAnalysis = {
+    summary: response.summary,
+    pages: response.pages,
+    dateRanges: response.dateRanges,
+    ctrModel: response.ctrModel || null,
+    snapshotId: response.id,
+    timestamp: response.timestamp
+  };
+
+  const getSegment = getGroupingKey(hasSegments(currentSegments) ? 'segment' : 'directory', currentSegments);
+  pageSegments = new Map(currentAnalysis.pages.map(p => [p.page, getSegment(p.page)]));
+
+  elements.status.classList.add('hidden');
+  elements.main.classList.remove('hidden');
+  elements.exportBtn.disabled = false;
+  elements.sheetsBtn.disabled = false;
+
+  renderTableHead();
+  applyFilters();
+
+  if (selectedPageUrl && currentAnalysis.pages.some(p => p.page === selectedPageUrl)) {
+    showPageDetail(selectedPageUrl);
+  } else {
+    selectedPageUrl = null;
+    elements.detail.innerHTML = '<p class="dash-placeholder">Select a page to see its diagnosis, trend and queries.</p>';
+  }
+
+  renderDiffOptions();
+  loadSnapshotDiff();
+}
+
+// History
+async function loadHistory(siteUrl, activeId) {
+  const response = await chrome.runtime.sendMessage({ action: 'LIST_SNAPSHOTS', siteUrl });
+  if (response.success && siteUrl === currentSiteUrl) {
+    renderHistoryOptions(response.snapshots, activeId);
+  }
+}
+
+function renderHistoryOptions(snapshots, activeId = '') {
+  snapshotHistory = snapshots;
+  elements.historySelect.innerHTML = '<option value="">Latest</option>' + snapshots.map(s => `
+    <option value="${s.id}">${formatSnapshotOption(s)}</option>
+  `).join('');
+  elements.historySelect.value = snapshots[0]?.id === activeId ? '' : activeId;
+  renderDiffOptions();
+}
+
+function formatSnapshotOption(snapshot) {
+  return `${new Date(snapshot.timestamp).toLocaleString()} · ${snapshot.summary?.criticalCount ?? 0} critical`;
+}
+
+// Snapshot diff: runs older than the one shown can be compared with it
+function renderDiffOptions() {
+  const older = currentAnalysis ? snapshotHistory.filter(s => s.timestamp < currentAnalysis.timestamp) : [];
+  if (!older.some(s => s.id === diffBaseId)) diffBaseId = '';
+
+  elements.diffBaseSelect.innerHTML = `<option value="">${older.length ? 'Compare with…' : 'No earlier runs'}</option>` + older.map(s => `
+    <option value="${s.id}">${formatSnapshotOption(s)}</option>
+  `).join('');
+  elements.diffBaseSelect.value = diffBaseId;
+  elements.diffBaseSelect.disabled = older.length === 0;
+}
+
+async function loadSnapshotDiff() {
+  const targetId = currentAnalysis?.snapshotId;
+  if (!diffBaseId || !targetId) {
+    elements.diff.classList.add('hidden');
+    return;
+  }
+
+  const siteUrl = currentSiteUrl;
+  const baseId = diffBaseId;
+  const response = await chrome.runtime.sendMessage({ action: 'DIFF_SNAPSHOTS', siteUrl, baseId, targetId });
+  if (siteUrl !== currentSiteUrl || baseId !== diffBaseId || targetId !== currentAnalysis?.snapshotId) return;
+
+  if (!response.success) {
+    showToast(response.error);
+    elements.diff.classList.add('hidden');
+    return;
+  }
+  renderSnapshotDiff(response.diff);
+}
+
+// Lists in the panel stop here; exports have every row
+const DIFF_LIST_LIMIT = 10;
+
+function renderSnapshotDiff(diff) {
+  const since = new Date(diff.base.timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  const severityRows = Object.entries(diff.severityCounts).reverse().map(([severity, { before, after }]) => `
+    <tr>
+      <td><span class="severity-pill ${severity}">${severity}</span></td>
+      <td class="num">${before}</td>
+      <td class="num">${after}</td>
+      <td class="num"><span class="diff ${after > before ? 'neg' : after < before ? 'pos' : 'neutral'}">${formatDelta(after - before)}</span></td>
+    </tr>
+  `).join('');
+
+  elements.diff.innerHTML = `
+    <div class="section-header">
+      <div class="header-title">
+        <h3>Changes since ${since}</h3>
+        <span class="count-badge">${diff.changedPages} pages changed</span>
+      </div>
+      <div class="header-controls">
+        <button type="button" class="btn btn-text" data-diff-export="csv">Export CSV</button>
+        <button type="button" class="btn btn-text" data-diff-export="json">Export JSON</button>
+        <button type="button" class="btn btn-text" id="diff-close-btn" title="Close">×</button>
+      </div>
+    </div>
+    ${diff.comparable ? '' : '<p class="dash-hint">The two runs used different settings, so part of the change comes from the settings rather than the pages.</p>'}
+    <div class="diff-grid">
+      <div class="diff-block">
+        <h4>Severity</h4>
+        <table class="queries-table">
+          <thead><tr><th></th><th class="num">Before</th><th class="num">Now</th><th class="num">Δ</th></tr></thead>
+          <tbody>
+            ${severityRows}
+            <tr>
+              <td>Clicks</td>
+              <td class="num">${fNum(diff.clicks.before)}</td>
+              <td class="num">${fNum(diff.clicks.after)}</td>
+              <td class="num"><span class="diff ${diff.clicks.after < diff.clicks.before ? 'neg' : 'pos'}">${formatDelta(diff.clicks.after - diff.clicks.before, fNum)}</span></td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+      <div class="diff-block">
+        <h4>Escalated (${diff.escalations.length})</h4>
+        ${renderDiffList(diff.escalations, c => `${c.fromSeverity} → <strong>${c.toSeverity}</strong>`, 'No page got more severe.')}
+        ${diff.improvements.length > 0 ? `<p class="dash-hint">${diff.improvements.length} page${diff.improvements.length === 1 ? '' : 's'} improved.</p>` : ''}
+      </div>
+      <div class="diff-block">
+        <h4>Decay classes</h4>
+        ${diff.classChanges.length === 0 ? '<p class="dash-placeholder">No page changed class.</p>' : diff.classChanges.map(entry => `
+          <details class="diff-class">
+            <summary>${escapeHtml(entry.decayClass)} <span class="diff neg">+${entry.entered.length}</span> <span class="diff pos">−${entry.left.length}</span></summary>
+            ${entry.entered.length ? `<p class="dash-hint">Entered</p>${renderDiffList(entry.entered, c => `from ${escapeHtml(c.fromClass)}`)}` : ''}
+            ${entry.left.length ? `<p class="dash-hint">Left</p>${renderDiffList(entry.left, c => `to ${escapeHtml(c.toClass)}`)}` : ''}
+          </details>
+        `).join('')}
+      </div>
+      <div class="diff-block">
+        <h4>Biggest movers (clicks)</h4>
+        ${renderDiffList(diff.movers.declined, () => '', 'No page lost clicks.')}
+        ${renderDiffList(diff.movers.gained, () => '', '')}
+      </div>
+    </div>
+  `;
+  elements.diff.classList.remove('hidden');
+
+  elements.diff.querySelectorAll('[data-diff-export]').forEach(btn => {
+    btn.addEventListener('click', () => handleExportDiff(btn.dataset.diffExport));
+  });
+  elements.diff.querySelector('#diff-close-btn').addEventListener('click', () => {
+    diffBaseId = '';
+    elements.diffBaseSelect.value = '';
+    elements.diff.classList.add('hidden');
+  });
+  elements.diff.querySelectorAll('.diff-page[data-page]').forEach(item => {
+    item.addEventListener('click', () => showPageDetail(decodeURIComponent(item.dataset.page)));
+  });
+}
+
+// Page changes with their click change; pages in the shown analysis open in the detail pane
+function renderDiffList(changes, describe, emptyText = '') {
+  if (changes.length === 0) return emptyText ? `<p class="dash-placeholder">${emptyText}</p>` : '';
+
+  const shown = new Set(currentAnalysis.pages.map(p => p.page));
+  const more = changes.length - DIFF_LIST_LIMIT;
+  return `
+    <ul class="diff-list">
+      ${changes.slice(0, DIFF_LIST_LIMIT).map(c => `
+        <li class="diff-page"${shown.has(c.page) ? ` data-page="${encodeURIComponent(c.page)}"` : ''} title="${escapeHtml(c.page)}">
+          <span class="diff-path">${escapeHtml(getPagePath(c.page))}</span>
+          <span class="diff-detail">${describe(c)}</span>
+          <span class="diff ${c.clicksChange < 0 ? 'neg' : c.clicksChange > 0 ? 'pos' : 'neutral'}">${formatDelta(c.clicksChange, fNum)}</span>
+        </li>
+      `).join('')}
+    </ul>
+    ${more > 0 ? `<p class="dash-hint">+${more} more in the export</p>` : ''}
+  `;
+}
+
+function formatDelta(value, format = String) {
+  return `${value > 0 ? '+' : value < 0 ? '−' : ''}${format(Math.abs(value))}`;
+}
+
+async function handleExportDiff(format) {
+  const response = await chrome.runtime.sendMessage({
+    action: 'EXPORT_SNAPSHOT_DIFF',
+    siteUrl: currentSiteUrl,
+    baseId: diffBaseId,
+    targetId: currentAnalysis?.snapshotId,
+    format
+  });
+
+  if (!response.success) {
+    showToast('Export failed: ' + response.error);
+    return;
+  }
+  downloadExport(response);
+  showToast(`Changes exported as ${EXPORT_FORMATS[format].label}`);
+}
+
+// Summary
+function renderSummary() {
+  const total = currentAnalysis.summary;
+  const shown = calculateSiteSummary(filteredPages);
+  const active = filters.severity || '';
+
+  const severityCard = (severity, label) => `
+    <div class="card ${severity}${active === severity ? ' active' : ''}" data-severity="${severity}"
+      title="Show only ${label.toLowerCase()} pages">
+      <span class="count">${total[`${severity}Count`]}</span>
+      <span class="label">${label}</span>
+    </div>
+  `;
+
+  elements.summary.innerHTML = `
+    ${renderSiteTotals(total.totals)}
+    <div class="summary-cards">
+      <div class="card static">
+        <span class="count">${total.totalPages}</span>
+        <span class="label">Pages</span>
+      </div>
+      ${severityCard('critical', 'Critical')}
+      ${severityCard('warning', 'Warning')}
+      ${severityCard('monitoring', 'Monitoring')}
+      ${severityCard('healthy', 'Healthy')}
+      <div class="card static" title="Healthy + monitoring share of analyzed pages">
+        <span class="count">${total.healthScore}%</span>
+        <span class="label">Health Score</span>
+      </div>
+      <div class="card static" title="Average revival potential (clicks) of the pages shown">
+        <span class="count">${fNum(shown.avgDecayScore)}</span>
+        <span class="label">Avg Revival (${shown.totalPages} shown)</span>
+      </div>
+    </div>
+  `;
+
+  // Severity cards toggle the severity column filter
+  elements.summary.querySelectorAll('.card[data-severity]').forEach(card => {
+    card.addEventListener('click', () => {
+      filters.severity = filters.severity === card.dataset.severity ? '' : card.dataset.severity;
+      renderTableHead();
+      applyFilters();
+    });
+  });
+}
+
+// Table
+function renderTableHead() {
+  const arrow = (key) => sort.key === key ? (sort.dir === 'asc' ? ' ↑' : ' ↓') : '';
+  const options = (column) => {
+    const values = column.key === 'severity'
+      ? SEVERITIES
+      : [...new Set(currentAnalysis.pages.map(column.get))].sort();
+    return values.map(v => `<option value="${escapeHtml(v)}" ${filters[column.key] === v ? 'selected' : ''}>${escapeHtml(v)}</option>`).join('');
+  };
+
+  const dateRanges = currentAnalysis.dateRanges;
+  const periodTitle = `${formatDateRange(dateRanges?.current, 'Current')} vs ${formatDateRange(dateRanges?.previous, 'Previous')}`;
+
+  elements.table.querySelector('thead').innerHTML = `
+    <tr>
+      ${COLUMNS.map(c => `
+        <th class="sortable${c.filter === 'number' ? ' num' : ''}" data-sort="${c.key}" title="${periodTitle}">${c.label}${arrow(c.key)}</th>
+      `).join('')}
+    </tr>
+    <tr class="filter-row">
+      ${COLUMNS.map(c => `
+        <th>
+          ${c.filter === 'select'
+            ? `<select class="sort-select" data-filter="${c.key}"><option value="">All</option>${options(c)}</select>`
+            : `<input type="text" class="filter-input" data-filter="${c.key}" value="${escapeHtml(filters[c.key] || '')}" placeholder="${c.filter === 'number' ? '>0' : 'contains'}">`}
+        </th>
+      `).join('')}
+    </tr>
+  `;
+
+  elements.table.querySelectorAll('.sortable').forEach(th => {
+    th.addEventListener('click', () => {
+      const key = th.dataset.sort;
+      sort = sort.key === key
+        ? { key, dir: sort.dir === 'asc' ? 'desc' : 'asc' }
+        : { key, dir: ['page', 'segment', 'onset'].includes(key) ? 'asc' : 'desc' };
+      renderTableHead();
+      applyFilters();
+    });
+  });
+
+  elements.table.querySelectorAll('[data-filter]').forEach(input => {
+    const eventName = input.tagName === 'SELECT' ? 'change' : 'input';
+    input.addEventListener(eventName, () => {
+      filters[input.dataset.filter] = input.value;
+      applyFilters();
+    });
+  });
+}
+
+function applyFilters() {
+  const predicates = [];
+
+  for (const column of COLUMNS) {
+    const value = (filters[column.key] || '').trim();
+    const input = elements.table.querySelector(`[data-filter="${column.key}"]`);
+    input?.classList.remove('invalid');
+    if (!value) continue;
+
+    if (column.filter === 'number') {
+      const test = parseNumberFilter(value);
+      if (!test) {
+        input?.classList.add('invalid');
+        continue;
+      }
+      predicates.push(p => test(column.get(p)));
+    } else if (column.filter === 'select') {
+      predicates.push(p => column.get(p) === value);
+    } else {
+      const needle = value.toLowerCase();
+      predicates.push(p => String(column.get(p)).toLowerCase().includes(needle));
+    }
+  }
+
+  if (elements.onsetOnly.checked) {
+    predicates.push(p => Boolean(p.decay.onset));
+  }
+
+  const column = COLUMNS.find(c => c.key === sort.key);
+  const direction = sort.dir === 'asc' ? 1 : -1;
+  filteredPages = currentAnalysis.pages
+    .filter(p => predicates.every(test => test(p)))
+    .sort((a, b) => {
+      const valA = column.get(a);
+      const valB = column.get(b);
+      if (typeof valA === 'string') return valA.localeCompare(valB) * direction;
+      return (valA - valB) * direction;
+    });
+
+  pageIndex = 0;
+  renderSummary();
+  renderTableBody();
+}
+
+/**
+ * Parse a numeric column filter: ">10", ">=5", "<-20", "<=0", "5..50", "=3" or "3"
+ * @returns {Function|null} Predicate, or null if the expression is invalid
+ */
+function parseNumberFilter(expr) {
+  const range = expr.match(/^(-?\d+(?:\.\d+)?)\s*\.\.\s*(-?\d+(?:\.\d+)?)$/);
+  if (range) {
+    const [min, max] = [parseFloat(range[1]), parseFloat(range[2])].sort((a, b) => a - b);
+    return v => v >= min && v <= max;
+  }
+
+  const match = expr.match(/^(<=|>=|<|>|=)?\s*(-?\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+
+  const target = parseFloat(match[2]);
+  switch (match[1]) {
+    case '<': return v => v < target;
+    case '<=': return v => v <= target;
+    case '>': return v => v > target;
+    case '>=': return v => v >= target;
+    default: return v => v === target;
+  }
+}
+
+function renderTableBody() {
+  const tbody = elements.table.querySelector('tbody');
+  const total = currentAnalysis.pages.length;
+  elements.count.textContent = filteredPages.length === total ? total : `${filteredPages.length}/${total}`;
+
+  if (filteredPages.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="${COLUMNS.length}" style="text-align: center; color: var(--text-muted); padding: 20px;">No pages match your filters</td></tr>`;
+    elements.pager.innerHTML = '';
+    return;
+  }
+
+  const start = pageIndex * PAGE_SIZE;
+  tbody.innerHTML = filteredPages.slice(start, start + PAGE_SIZE).map(page => `
+    <tr class="page-row${page.page === selectedPageUrl ? ' selected' : ''}" data-page="${encodeURIComponent(page.page)}">
+      <td class="page-cell" title="${escapeHtml(page.page)}">
+        ${escapeHtml(getPagePath(page.page))}
+        ${renderOnsetTag(page, siteEvents)}${renderSeasonalTag(page)}${renderAnnotationTag(annotationsByPage.get(page.page))}${renderLossReason(page)}
+      </td>
+      <td>${escapeHtml(pageSegments.get(page.page))}</td>
+      <td>${escapeHtml(page.decay.decayClass)}</td>
+      <td><span class="severity-pill ${page.decay.severity}">${page.decay.severity}</span></td>
+      <td>${renderTriageTag(triageByPage[page.page]) || TRIAGE_STATUSES.new}</td>
+      ${COLUMNS.slice(5, -1).map(c => `<td class="num">${renderNumberCell(c, page)}</td>`).join('')}
+      <td>${page.decay.onset ? page.decay.onset.date : ''}</td>
+    </tr>
+  `).join('');
+
+  tbody.querySelectorAll('.page-row').forEach(row => {
+    row.addEventListener('click', () => showPageDetail(decodeURIComponent(row.dataset.page)));
+  });
+
+  renderPager();
+}
+
+function renderNumberCell(column, page) {
+  const value = column.get(page);
+  const text = column.format ? column.format(value) : value;
+  if (!column.key.endsWith('Change')) return text;
+
+  const diffClass = value > 0 ? 'pos' : value < 0 ? 'neg' : 'neutral';
+  return `<span class="diff ${diffClass}">${text}</span>`;
+}
+
+function formatChange(value) {
+  return `${value > 0 ? '+' : ''}${value}`;
+}
+
+function renderPager() {
+  const pages = Math.ceil(filteredPages.length / PAGE_SIZE);
+  if (pages <= 1) {
+    elements.pager.innerHTML = '';
+    return;
+  }
+
+  const start = pageIndex * PAGE_SIZE + 1;
+  const end = Math.min(filteredPages.length, (pageIndex + 1) * PAGE_SIZE);
+  elements.pager.innerHTML = `
+    <button class="btn btn-text" data-step="-1" ${pageIndex === 0 ? 'disabled' : ''}>← Prev</button>
+    <span>${start}-${end} of ${filteredPages.length}</span>
+    <button class="btn btn-text" data-step="1" ${pageIndex >= pages - 1 ? 'disabled' : ''}>Next →</button>
+  `;
+  elements.pager.querySelectorAll('[data-step]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      pageIndex += parseInt(btn.dataset.step, 10);
+      renderTableBody();
+    });
+  });
+}
+
+// Arrow keys / j-k move the selection through the filtered list
+function handleKeyNavigation(e) {
+  if (!currentAnalysis || filteredPages.length === 0) return;
+  if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+  const step = { ArrowDown: 1, j: 1, ArrowUp: -1, k: -1 }[e.key];
+  if (!step) return;
+  e.preventDefault();
+
+  const current = filteredPages.findIndex(p => p.page === selectedPageUrl);
+  const next = Math.min(filteredPages.length - 1, Math.max(0, current + step));
+  const targetIndex = Math.floor(next / PAGE_SIZE);
+  if (targetIndex !== pageIndex) {
+    pageIndex = targetIndex;
+    renderTableBody();
+  }
+
+  showPageDetail(filteredPages[next].page);
+  elements.table.querySelector('tr.selected')?.scrollIntoView({ block: 'nearest' });
+}
+
+// Page Detail
+function showPageDetail(pageUrl) {
+  const page = currentAnalysis.pages.find(p => p.page === pageUrl);
+  if (!page) return;
+
+  selectedPageUrl = pageUrl;
+  elements.table.querySelectorAll('.page-row').forEach(row => {
+    row.classList.toggle('selected', decodeURIComponent(row.dataset.page) === pageUrl);
+  });
+
+  const insights = buildInsightLines(page, { ctrModel: currentAnalysis.ctrModel, events: siteEvents });
+  const attribution = buildAttributionHtml(page, { width: 520, height: 170 });
+  const annotations = annotationsByPage.get(pageUrl) || [];
+
+  elements.detail.innerHTML = `
+    <h3>${escapeHtml(pageUrl)}</h3>
+    <div class="detail-symptoms">
+      <span class="severity-pill ${page.decay.severity}">${page.decay.severity}</span>
+      ${escapeHtml(page.decay.symptoms.join(' + ') || page.decay.decayClass)}
+    </div>
+    <div class="modal-actions">
+      <a href="${escapeHtml(pageUrl)}" target="_blank" class="btn btn-primary">Open Page</a>
+      <a href="${getGscPageUrl(currentSiteUrl, pageUrl)}" target="_blank" class="btn btn-secondary">View in GSC</a>
+    </div>
+    <ul class="detail-recs">
+      ${page.decay.recommendation.map(rec => `<li>${escapeHtml(rec).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')}</li>`).join('')}
+    </ul>
+    ${insights.length ? `<div class="page-insights">${insights.map(line => `<p>${line}</p>`).join('')}</div>` : ''}
+    ${annotations.length ? `
+      <div class="annotations-section">
+        <div class="section-header"><div class="header-title"><h4>Actions Taken</h4></div></div>
+        <ul class="annotation-list">
+          ${annotations.map(a => `
+            <li data-id="${a.id}">
+              <span class="annotation-meta">${a.date}</span>
+              <span class="annotation-text">
+                <strong>${ACTION_TYPES[a.type].label}</strong>${a.note ? ` · ${escapeHtml(a.note)}` : ''}
+                ${a.author ? `<span class="annotation-meta">— ${escapeHtml(a.author)}</span>` : ''}
+              </span>
+              <span class="impact" data-impact></span>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    ` : ''}
+    ${attribution ? `
+      <div class="attribution-section">
+        <div class="section-header"><div class="header-title"><h4>Why Clicks Changed</h4></div></div>
+        <div id="detail-waterfall">${attribution.chart}</div>
+        <ul class="reason-list">${attribution.reasons}</ul>
+      </div>
+    ` : ''}
+    <div class="trend-section">
+      <div class="section-header">
+        <div class="header-title"><h4>Daily Trend</h4></div>
+        <div class="trend-range" role="group" aria-label="Trend range">
+          ${TREND_RANGES.map(d => `<button type="button" class="trend-range-btn" data-days="${d}">${d}d</button>`).join('')}
+        </div>
+      </div>
+      <div id="detail-trend-chart" class="trend-chart-container"></div>
+      <div class="trend-legend">
+        <span><i style="background: ${CHART_COLORS.clicks};"></i>Clicks</span>
+        <span><i style="background: ${CHART_COLORS.impressions};"></i>Impressions</span>
+        <span><i style="background: ${CHART_COLORS.position};"></i>Position (inverted)</span>
+        <span id="detail-trend-ctr" class="trend-ctr"></span>
+      </div>
+    </div>
+    <div id="detail-queries" style="margin-top: 12px;"></div>
+  `;
+
+  elements.detail.querySelectorAll('.trend-range-btn').forEach(btn => {
+    btn.addEventListener('click', () => loadPageTrend(page, parseInt(btn.dataset.days, 10)));
+  });
+
+  loadPageTrend(page, getTrendDays(currentAnalysis.dateRanges, currentSettings));
+  loadPageQueries(page);
+  if (annotations.length) loadAnnotationImpact(page);
+}
+
+// Before/after badges for the page's recorded actions
+async function loadAnnotationImpact(page) {
+  const response = await chrome.runtime.sendMessage({
+    action: 'GET_ANNOTATION_IMPACT',
+    siteUrl: currentSiteUrl,
+    pageUrl: page.page,
+    days: DEFAULT_IMPACT_DAYS
+  });
+  if (!response.success || selectedPageUrl !== page.page) return;
+
+  for (const annotation of response.annotations) {
+    const cell = elements.detail.querySelector(`li[data-id="${annotation.id}"] [data-impact]`);
+    if (cell) cell.outerHTML = renderImpact(annotation, DEFAULT_IMPACT_DAYS);
+  }
+}
+
+async function loadPageTrend(page, days) {
+  const chartContainer = elements.detail.querySelector('#detail-trend-chart');
+  elements.detail.querySelectorAll('.trend-range-btn').forEach(btn => {
+    btn.classList.toggle('active', parseInt(btn.dataset.days, 10) === days);
+  });
+  chartContainer.innerHTML = '<p style="color: #888; text-align: center; padding: 20px;">Loading trend...</p>';
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'GET_PAGE_TREND',
+    siteUrl: currentSiteUrl,
+    pageUrl: page.page,
+    days
+  });
+
+  // Ignore responses for a page the user has already moved past
+  if (selectedPageUrl !== page.page) return;
+
+  if (!response.success || !response.trend || response.trend.length === 0) {
+    chartContainer.innerHTML = '<p style="color: #888; text-align: center; padding: 20px;">No daily data available</p>';
+    return;
+  }
+
+  const { bands, markers } = getTrendOverlays(currentAnalysis.dateRanges, page, annotationsByPage.get(page.page), siteEvents);
+  chartContainer.innerHTML = buildTrendChart(response.trend, { width: 560, height: 220, bands, markers });
+  elements.detail.querySelector('#detail-trend-ctr').innerHTML =
+    `CTR ${buildSparkline(response.trend.map(d => d.ctr), { width: 80, height: 14, color: CHART_COLORS.text })}`;
+}
+
+async function loadPageQueries(page) {
+  const container = elements.detail.querySelector('#detail-queries');
+  container.innerHTML = '<p style="color: #888; text-align: center; padding: 20px;">Loading queries...</p>';
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'GET_PAGE_QUERIES',
+    siteUrl: currentSiteUrl,
+    pageUrl: page.page,
+    days: currentSettings.currentDays,
+    dateRanges: currentAnalysis.dateRanges
+  });
+
+  if (selectedPageUrl !== page.page) return;
+
+  if (!response.success || !response.queries || response.queries.length === 0) {
+    container.innerHTML = '<p style="color: #888; text-align: center; padding: 20px;">No query data available</p>';
+    return;
+  }
+
+  // Biggest click losers first
+  const queries = [...response.queries].sort((a, b) => a.change.clicks - b.change.clicks);
+  container.innerHTML = `
+    <div class="section-header">
+      <div class="header-title">
+        <h4>Queries</h4>
+        <span class="count-badge">${queries.length}</span>
+      </div>
+    </div>
+    <table class="queries-table comparison-table dash-table">
+      <thead>
+        <tr>
+          <th>Query</th>
+          <th class="num">Clicks</th>
+          <th class="num">Δ</th>
+          <th class="num">Impr.</th>
+          <th class="num">Pos</th>
+          <th class="num">Pos Δ</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${queries.map(q => `
+          <tr>
+            <td class="page-cell">${escapeHtml(q.query)}</td>
+            <td class="num">${fNum(q.current.clicks)}</td>
+            <td class="num"><span class="diff ${q.change.clicks > 0 ? 'pos' : q.change.clicks < 0 ? 'neg' : 'neutral'}">${formatChange(q.change.clicks)}</span></td>
+            <td class="num">${fNum(q.current.impressions)}</td>
+            <td class="num">${q.current.position.toFixed(1)}</td>
+            <td class="num">${q.isNew ? 'new' : formatChange(Math.round(-q.change.position * 10) / 10)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// Export
+async function handleExport() {
+  if (!currentSiteUrl) return;
+
+  const format = elements.exportFormat.value;
+  elements.exportBtn.disabled = true;
+  elements.exportBtn.textContent = 'Exporting...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'EXPORT_ANALYSIS',
+      siteUrl: currentSiteUrl,
+      snapshotId: currentAnalysis?.snapshotId,
+      format
+    });
+
+    if (!response.success) {
+      showToast('Export failed: ' + response.error);
+      return;
+    }
+
+    downloadExport(response);
+    showToast(`${EXPORT_FORMATS[format].label} exported`);
+  } finally {
+    elements.exportBtn.disabled = false;
+    elements.exportBtn.textContent = 'Export';
+  }
+}
+
+// Google Sheets (the Sheets scope is requested on first use, from this click)
+async function handleSendToSheets() {
+  if (!currentSiteUrl) return;
+
+  elements.sheetsBtn.disabled = true;
+  elements.sheetsBtn.textContent = 'Sending...';
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'PUSH_TO_SHEETS',
+      siteUrl: currentSiteUrl,
+      snapshotId: currentAnalysis?.snapshotId,
+      interactive: true
+    });
+
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    showToast(`Sent to Google Sheets (tab ${response.lastTab})`);
+    chrome.tabs.create({ url: response.spreadsheetUrl });
+  } catch (error) {
+    showToast('Sending to Sheets failed: ' + error.message);
+  } finally {
+    elements.sheetsBtn.disabled = false;
+    elements.sheetsBtn.textContent = 'Send to Sheets';
+  }
+}
@@ -1,5 +1,76 @@
 // Popup UI Logic
-import { signIn, signOut, getAccessToken, getUserInfo } from '../utils/auth.js';
+import { getSiteSettings, saveSiteSettings, resetSiteSettings, validateCustomRanges, MAX_YOY_DAYS } from '../utils/settings.js';
+import { addDays, getAvailableDateRange, toLocalDateString } from '../utils/dates.js';
+import { buildTrendChart, buildSparkline, CHART_COLORS } from '../utils/charts.js';
+import { parseRuleSet } from '../utils/decay-rules.js';
+import { getNotificationPrefs, saveNotificationPrefs } from '../utils/notifications.js';
+import {
+  getDigestPrefs,
+  saveDigestPrefs,
+  getDigestReport,
+  DIGEST_DELIVERY,
+  DIGEST_TOP_PAGES,
+  WEEKDAYS
+} from '../utils/digest.js';
+import {
+  getSegments,
+  saveSegments,
+  hasSegments,
+  parseSegmentRules,
+  formatSegmentRules,
+  parseSegmentMapping,
+  getGroupingKey,
+  rollupSegments,
+  SEGMENT_GROUPINGS
+} from '../utils/segments.js';
+import {
+  formatSiteUrl,
+  formatDateRange,
+  formatShortDate,
+  escapeHtml,
+  fNum,
+  formatPagePath
+} from '../utils/format.js';
+import { downloadExport, EXPORT_FORMATS } from '../utils/export.js';
+import { formatQuotaStatus } from '../utils/quota.js';
+import { PROGRESS_PORT_NAME, formatJobProgress } from '../utils/fetch-jobs.js';
+import {
+  renderOnsetTag,
+  renderSeasonalTag,
+  renderLossReason,
+  renderAnnotationTag,
+  renderTriageTag,
+  renderImpact,
+  buildInsightLines,
+  buildAttributionHtml,
+  getTrendDays,
+  getTrendOverlays,
+  getGscPageUrl,
+  renderSiteTotals
+} from '../utils/page-insights.js';
+import {
+  getAnnotations,
+  addAnnotation,
+  deleteAnnotation,
+  groupAnnotationsByPage,
+  ACTION_TYPES,
+  IMPACT_WINDOWS,
+  DEFAULT_IMPACT_DAYS
+} from '../utils/annotations.js';
+import {
+  getSiteEvents,
+  addSiteEvent,
+  deleteSiteEvent,
+  importSiteEvents,
+  setShowAlgorithmUpdates,
+  getEventSplitRanges,
+  EVENT_TYPES
+} from '../utils/site-events.js';
+import { ALGORITHM_UPDATES } from '../utils/algorithm-updates.js';
+import { getTriage, saveTriageEntry, filterByTriage, getTriageStatus, TRIAGE_STATUSES } from '../utils/triage.js';
+
+// How often API usage is refreshed while an analysis is running
+const QUOTA_POLL_MS = 2000;
 
 // DOM Elements
 const screens = {
@@ -15,19 +86,66 @@ const elements = {
   backBtn: document.getElementById('back-btn'),
   refreshBtn: document.getElementById('refresh-btn'),
   exportBtn: document.getElementById('export-btn'),
+  exportMenu: document.getElementById('export-menu'),
+  sheetsBtn: document.getElementById('sheets-btn'),
   userAvatar: document.getElementById('user-avatar'),
-  userName: document.getElementById('user-name'),
+  accountSelect: document.getElementById('account-select'),
   sitesList: document.getElementById('sites-list'),
   currentSite: document.getElementById('current-site'),
   decayingPages: document.getElementById('decaying-pages'),
+  cannibalizationList: document.getElementById('cannibalization-list'),
+  segmentsList: document.getElementById('segments-list'),
+  segmentFilter: document.getElementById('segment-filter'),
   pagesCount: document.getElementById('pages-count'),
-  criticalCount: document.getElementById('critical-count'),
-  warningCount: document.getElementById('warning-count'),
-  monitoringCount: document.getElementById('monitoring-count'),
-  healthyCount: document.getElementById('healthy-count'),
-  healthScore: document.getElementById('health-score'),
-  healthCircle: document.getElementById('health-circle'),
+  siteSummary: document.getElementById('site-summary'),
   cacheInfo: document.getElementById('cache-info'),
+  quotaStatus: document.getElementById('quota-status'),
+  dashboardBtn: document.getElementById('dashboard-btn'),
+  settingsBtn: document.getElementById('settings-btn'),
+  settingsPanel: document.getElementById('settings-panel'),
+  settingsForm: document.getElementById('settings-form'),
+  settingsResetBtn: document.getElementById('settings-reset-btn'),
+  customRanges: document.getElementById('custom-ranges'),
+  customRangesInfo: document.getElementById('custom-ranges-info'),
+  customRangesError: document.getElementById('custom-ranges-error'),
+  customSplitEvent: document.getElementById('custom-split-event'),
+  alertsForm: document.getElementById('alerts-form'),
+  digestForm: document.getElementById('digest-form'),
+  digestInfo: document.getElementById('digest-info'),
+  digestOpenBtn: document.getElementById('digest-open-btn'),
+  digestDownloadBtn: document.getElementById('digest-download-btn'),
+  rulesJson: document.getElementById('rules-json'),
+  rulesError: document.getElementById('rules-error'),
+  rulesImportBtn: document.getElementById('rules-import-btn'),
+  rulesExportBtn: document.getElementById('rules-export-btn'),
+  rulesResetBtn: document.getElementById('rules-reset-btn'),
+  rulesSaveBtn: document.getElementById('rules-save-btn'),
+  rulesFileInput: document.getElementById('rules-file-input'),
+  segmentsRules: document.getElementById('segments-rules'),
+  segmentsError: document.getElementById('segments-error'),
+  segmentsMappingInfo: document.getElementById('segments-mapping-info'),
+  segmentsImportBtn: document.getElementById('segments-import-btn'),
+  segmentsClearBtn: document.getElementById('segments-clear-btn'),
+  segmentsSaveBtn: document.getElementById('segments-save-btn'),
+  segmentsFileInput: document.getElementById('segments-file-input'),
+  actionsList: document.getElementById('actions-list'),
+  annotationList: document.getElementById('modal-annotation-list'),
+  annotationForm: document.getElementById('annotation-form'),
+  triageForm: document.getElementById('triage-form'),
+  triageReopened: document.getElementById('triage-reopened'),
+  warehouseEnabled: document.getElementById('warehouse-enabled'),
+  warehouseStatus: document.getElementById('warehouse-status'),
+  warehouseSyncBtn: document.getElementById('warehouse-sync-btn'),
+  warehouseClearBtn: document.getElementById('warehouse-clear-btn'),
+  siteEventsList: document.getElementById('site-events-list'),
+  siteEventForm: document.getElementById('site-event-form'),
+  siteEventsAlgorithm: document.getElementById('site-events-algorithm'),
+  siteEventsAlgorithmLabel: document.getElementById('site-events-algorithm-label'),
+  siteEventsError: document.getElementById('site-events-error'),
+  siteEventsImportBtn: document.getElementById('site-events-import-btn'),
+  siteEventsFileInput: document.getElementById('site-events-file-input'),
+  dateRangeSelect: document.getElementById('date-range-select'),
+  historySelect: document.getElementById('history-select'),
   modal: document.getElementById('page-detail-modal'),
   errorToast: document.getElementById('error-toast'),
   errorMessage: document.getElementById('error-message')
@@ -36,6 +154,20 @@ const elements = {
 // State
 let currentSiteUrl = null;
 let currentAnalysis = null;
+let currentSettings = null;
+let currentCannibalization = null;
+let activeTab = 'pages';
+let activeSeverity = null; // Severity card filter on the page list
+let currentSegments = null;
+let segmentGrouping = 'directory';
+let activeSegment = null; // { grouping, name } filter on the page list
+let progressPort = null; // Analysis progress from the service worker
+let annotationsByPage = new Map(); // Actions recorded on the site's pages
+let impactDays = DEFAULT_IMPACT_DAYS; // Window on each side of an action in the Actions tab
+let currentAuthor = ''; // Default author for new annotations (the active account)
+let siteEvents = []; // Deploys, migrations and Google updates, oldest first
+let triageByPage = {}; // Page → { status, assignee, dueDate } (pages without an entry are new)
+let activeTriageFilter = 'all'; // Status filter on the page list
 
 // Initialize
 document.addEventListener('DOMContentLoaded', init);
@@ -45,12 +177,9 @@ async function init() {
 
   try {
     // Check authentication status
-    const token = await getAccessToken();
+    const accounts = await loadAccounts();
 
-    if (token) {
-      const userInfo = await getUserInfo(token);
-      await chrome.storage.local.set({ userInfo });
-      showUserInfo(userInfo);
+    if (accounts) {
       await loadSites();
       showScreen('siteSelection');
     } else {
@@ -62,29 +191,153 @@ async function init() {
   }
 
   setupEventListeners();
+  await openPendingNavigation();
+}
+
+// Opened from a decay alert: jump straight to the site (and page)
+async function openPendingNavigation() {
+  const { pendingNavigation } = await chrome.storage.local.get('pendingNavigation');
+  if (!pendingNavigation) return;
+
+  await chrome.storage.local.remove('pendingNavigation');
+  if (!screens.login.classList.contains('hidden')) return;
+
+  await analyzeSite(pendingNavigation.siteUrl);
+  if (pendingNavigation.pageUrl && currentAnalysis) {
+    showPageDetail(pendingNavigation.pageUrl);
+  }
 }
 
 function setupEventListeners() {
   elements.signInBtn.addEventListener('click', handleSignIn);
   elements.signOutBtn.addEventListener('click', handleSignOut);
+  elements.accountSelect.addEventListener('change', handleAccountChange);
   elements.backBtn.addEventListener('click', () => showScreen('siteSelection'));
   elements.refreshBtn.addEventListener('click', () => analyzeSite(currentSiteUrl, true));
-  elements.exportBtn.addEventListener('click', handleExport);
-
-  // Date Range Change
-  const dateSelect = document.getElementById('date-range-select');
-  if (dateSelect) {
-    dateSelect.addEventListener('change', (e) => {
-      const newDays = parseInt(e.target.value, 10);
-      if (currentSiteUrl) {
-        analyzeSite(currentSiteUrl, true); // Re-analyze with new date range
-      }
+  elements.exportBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    elements.exportMenu.classList.toggle('hidden');
+  });
+  elements.exportMenu.querySelectorAll('[data-format]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      elements.exportMenu.classList.add('hidden');
+      handleExport(btn.dataset.format);
     });
-  }
+  });
+  elements.sheetsBtn.addEventListener('click', () => {
+    elements.exportMenu.classList.add('hidden');
+    handleSendToSheets();
+  });
+  document.addEventListener('click', () => elements.exportMenu.classList.add('hidden'));
+  elements.dashboardBtn.addEventListener('click', openDashboard);
+
+  // Settings panel
+  elements.settingsBtn.addEventListener('click', () => {
+    elements.settingsPanel.classList.toggle('hidden');
+    if (!elements.settingsPanel.classList.contains('hidden')) loadRules();
+  });
+  elements.settingsForm.addEventListener('submit', handleSaveSettings);
+  elements.settingsResetBtn.addEventListener('click', handleResetSettings);
+  elements.settingsForm.comparisonMode.addEventListener('change', updateSettingsFormState);
+  elements.customSplitEvent.addEventListener('change', handleSplitAtEvent);
+
+  // Alerts (saved as soon as anything changes)
+  elements.alertsForm.addEventListener('change', handleSaveAlerts);
+  elements.alertsForm.addEventListener('submit', (e) => e.preventDefault());
+
+  // Weekly digest (saved as soon as anything changes)
+  elements.digestForm.weekday.innerHTML = WEEKDAYS.map((day, i) => `<option value="${i}">${day}</option>`).join('');
+  elements.digestForm.topPages.innerHTML = DIGEST_TOP_PAGES.map(n => `<option value="${n}">${n}</option>`).join('');
+  elements.digestForm.delivery.innerHTML = Object.entries(DIGEST_DELIVERY)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  elements.digestForm.addEventListener('change', handleSaveDigest);
+  elements.digestForm.addEventListener('submit', (e) => e.preventDefault());
+  elements.digestOpenBtn.addEventListener('click', () => handleGenerateDigest('tab'));
+  elements.digestDownloadBtn.addEventListener('click', () => handleGenerateDigest('download'));
+
+  // Classification rules
+  elements.rulesSaveBtn.addEventListener('click', () => saveRules(elements.rulesJson.value));
+  elements.rulesResetBtn.addEventListener('click', () => saveRules(null));
+  elements.rulesExportBtn.addEventListener('click', handleExportRules);
+  elements.rulesImportBtn.addEventListener('click', () => elements.rulesFileInput.click());
+  elements.rulesFileInput.addEventListener('change', handleImportRules);
+
+  // Segments
+  elements.segmentsSaveBtn.addEventListener('click', handleSaveSegments);
+  elements.segmentsClearBtn.addEventListener('click', () => applySegments({ ...currentSegments, mapping: {} }, 'Mapping cleared'));
+  elements.segmentsImportBtn.addEventListener('click', () => elements.segmentsFileInput.click());
+  elements.segmentsFileInput.addEventListener('change', handleImportMapping);
+
+  // Local data
+  elements.warehouseEnabled.addEventListener('change', handleToggleWarehouse);
+  elements.warehouseSyncBtn.addEventListener('click', handleSyncWarehouse);
+  elements.warehouseClearBtn.addEventListener('click', handleClearWarehouse);
+
+  // Site events
+  elements.siteEventForm.type.innerHTML = Object.entries(EVENT_TYPES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  elements.siteEventForm.addEventListener('submit', handleAddSiteEvent);
+  elements.siteEventsAlgorithm.addEventListener('change', handleToggleAlgorithmUpdates);
+  elements.siteEventsImportBtn.addEventListener('click', () => elements.siteEventsFileInput.click());
+  elements.siteEventsFileInput.addEventListener('change', handleImportSiteEvents);
+
+  // Annotations
+  elements.annotationForm.type.innerHTML = Object.entries(ACTION_TYPES)
+    .map(([value, type]) => `<option value="${value}">${type.label}</option>`).join('');
+  elements.annotationForm.addEventListener('submit', handleAddAnnotation);
+
+  // Triage (saved as soon as anything changes)
+  elements.triageForm.status.innerHTML = Object.entries(TRIAGE_STATUSES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  elements.triageForm.addEventListener('change', handleSaveTriage);
+  elements.triageForm.addEventListener('submit', (e) => e.preventDefault());
+
+  // View tabs
+  document.querySelectorAll('.tab-btn').forEach(btn => {
+    btn.addEventListener('click', () => switchTab(btn.dataset.tab));
+  });
+
+  // Snapshot history
+  elements.historySelect.addEventListener('change', (e) => {
+    const snapshotId = e.target.value;
+    if (snapshotId) {
+      showSnapshot(currentSiteUrl, snapshotId);
+    } else {
+      analyzeSite(currentSiteUrl);
+    }
+  });
+
+  // Date Range Change (preset: same length for current and previous period)
+  elements.dateRangeSelect.addEventListener('change', async (e) => {
+    if (!currentSiteUrl) return;
+    if (e.target.value === 'custom') {
+      openCustomRangePicker();
+      return;
+    }
+
+    const newDays = parseInt(e.target.value, 10);
+    currentSettings = await saveSiteSettings(currentSiteUrl, {
+      ...currentSettings,
+      // A preset replaces custom windows with back-to-back ones
+      comparisonMode: currentSettings.comparisonMode === 'custom' ? 'sequential' : currentSettings.comparisonMode,
+      currentDays: newDays,
+      previousDays: newDays
+    });
+    populateSettingsForm(currentSettings);
+    analyzeSite(currentSiteUrl, true); // Re-analyze with new date range
+  });
 
   // Modal close handlers
   document.querySelector('.close-modal').addEventListener('click', closeModal);
   document.querySelector('.modal-backdrop').addEventListener('click', closeModal);
+
+  // Trend range toggle
+  document.querySelectorAll('.trend-range-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const pageUrl = elements.modal.dataset.page;
+      if (pageUrl) loadPageTrend(pageUrl, parseInt(btn.dataset.days, 10));
+    });
+  });
 }
 
 function showScreen(screenName) {
@@ -110,11 +363,12 @@ async function handleSignIn() {
   `;
 
   try {
-    await signIn();
-    const token = await getAccessToken();
-    const userInfo = await getUserInfo(token);
-    await chrome.storage.local.set({ userInfo });
-    showUserInfo(userInfo);
+    const response = await chrome.runtime.sendMessage({ action: 'ADD_ACCOUNT' });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    await loadAccounts();
     await loadSites();
     showScreen('siteSelection');
   } catch (error) {
@@ -134,16 +388,58 @@ async function handleSignIn() {
   }
 }
 
+// Signs out the account shown in the header; other signed-in accounts stay
 async function handleSignOut() {
-  await signOut();
+  await chrome.runtime.sendMessage({ action: 'SIGN_OUT', accountId: elements.accountSelect.value });
+  resetSiteState();
+
+  if (await loadAccounts()) {
+    await loadSites();
+  } else {
+    showScreen('login');
+  }
+}
+
+function resetSiteState() {
   currentSiteUrl = null;
   currentAnalysis = null;
-  showScreen('login');
+  currentSettings = null;
 }
 
-function showUserInfo(userInfo) {
-  elements.userAvatar.src = userInfo.picture || '';
-  elements.userName.textContent = userInfo.name || userInfo.email;
+/**
+ * Fill the account switcher
+ * @returns {Array|null} Signed-in accounts, or null if there are none
+ */
+async function loadAccounts() {
+  const response = await chrome.runtime.sendMessage({ action: 'GET_ACCOUNTS' });
+  if (!response.success || !response.activeAccount) return null;
+
+  const { accounts, activeAccount } = response;
+  elements.userAvatar.src = activeAccount.picture || '';
+  elements.accountSelect.innerHTML = accounts.map(account => `
+    <option value="${escapeHtml(account.id)}" ${account.id === activeAccount.id ? 'selected' : ''}>${escapeHtml(account.email)}</option>
+  `).join('') + '<option value="__add">+ Add account…</option>';
+  elements.accountSelect.title = activeAccount.name;
+  currentAuthor = activeAccount.name;
+
+  return accounts;
+}
+
+async function handleAccountChange() {
+  const accountId = elements.accountSelect.value;
+
+  if (accountId === '__add') {
+    const response = await chrome.runtime.sendMessage({ action: 'ADD_ACCOUNT' });
+    if (!response.success) {
+      showToast('Sign in failed: ' + response.error);
+    }
+  } else {
+    await chrome.runtime.sendMessage({ action: 'SWITCH_ACCOUNT', accountId });
+  }
+
+  resetSiteState();
+  await loadAccounts();
+  await loadSites();
 }
 
 // Sites
@@ -193,20 +489,503 @@ function renderSites(sites) {
   });
 }
 
-function formatSiteUrl(url) {
-  return url.replace(/^(sc-domain:|https?:\/\/)/, '').replace(/\/$/, '');
+// Settings
+function populateSettingsForm(settings) {
+  const form = elements.settingsForm;
+  form.comparisonMode.value = settings.comparisonMode;
+  form.currentDays.value = settings.currentDays;
+  form.previousDays.value = settings.previousDays;
+  setCustomRangeInputs(settings.customRanges || getSuggestedRanges(settings.currentDays));
+  form.minImpressions.value = settings.minImpressions;
+  form.minClicks.value = settings.minClicks;
+  form.brandKeywords.value = settings.brandKeywords;
+  form.ctrModel.value = settings.ctrModel;
+  form.seasonalAdjust.checked = settings.seasonalAdjust;
+  form.detectOnset.checked = settings.detectOnset;
+  form.attributeQueries.checked = settings.attributeQueries;
+  for (const [key, value] of Object.entries(settings.weights)) {
+    form.elements[`weights.${key}`].value = value;
+  }
+
+  syncDateRangeSelect(settings);
+  updateSettingsFormState();
+
+  // Saved windows that aged out of retention stay selected; say why they can't run
+  const rangesError = settings.customRanges && validateCustomRanges(settings.customRanges);
+  if (rangesError) {
+    elements.customRangesError.textContent = rangesError;
+    elements.customRangesError.classList.remove('hidden');
+  }
+}
+
+// Year-over-year uses equal windows and is already season-neutral; custom windows replace the day counts
+function updateSettingsFormState() {
+  const form = elements.settingsForm;
+  const isYoy = form.comparisonMode.value === 'yoy';
+  const isCustom = form.comparisonMode.value === 'custom';
+  form.currentDays.disabled = isCustom;
+  form.previousDays.disabled = isYoy || isCustom;
+  form.seasonalAdjust.disabled = isYoy;
+  form.currentDays.max = isYoy ? MAX_YOY_DAYS : 479;
+
+  elements.customRanges.classList.toggle('hidden', !isCustom);
+  elements.customRangesError.classList.add('hidden');
+  if (isCustom) {
+    const { earliest, latest } = getAvailableDateRange();
+    for (const name of ['previousStart', 'previousEnd', 'currentStart', 'currentEnd']) {
+      form[name].min = earliest;
+      form[name].max = latest;
+    }
+    elements.customRangesInfo.textContent = `Search Console has data from ${earliest} to ${latest}.`;
+    renderSplitEventOptions();
+  }
+}
+
+// Events with a full window of data before them, newest first
+function renderSplitEventOptions() {
+  const { earliest, latest } = getAvailableDateRange();
+  const days = getSplitDays();
+  const events = siteEvents
+    .filter(event => addDays(event.date, -days) >= earliest && event.date <= latest)
+    .reverse();
+
+  elements.customSplitEvent.innerHTML = `<option value="">${events.length ? `Pick an event (${days} days either side)` : 'No site events in range'}</option>`
+    + events.map(event => `<option value="${event.date}">${event.date} · ${escapeHtml(event.name)}</option>`).join('');
+  elements.customSplitEvent.disabled = events.length === 0;
+}
+
+// Window length for event splits: the current period length from the settings
+function getSplitDays() {
+  return parseInt(elements.settingsForm.currentDays.value, 10) || currentSettings?.currentDays || 28;
+}
+
+// Before vs. after an event: fills the custom range inputs, saved with the rest of the form
+function handleSplitAtEvent() {
+  const date = elements.customSplitEvent.value;
+  if (!date) return;
+
+  setCustomRangeInputs(getEventSplitRanges(date, getSplitDays(), getAvailableDateRange().latest));
+  elements.customRangesError.classList.add('hidden');
+}
+
+// Back-to-back windows ending at the latest complete day, as a starting point for the picker
+function getSuggestedRanges(days) {
+  const { latest } = getAvailableDateRange();
+  const currentStart = addDays(latest, -(days - 1));
+  return {
+    current: { startDate: currentStart, endDate: latest },
+    previous: { startDate: addDays(currentStart, -days), endDate: addDays(currentStart, -1) }
+  };
+}
+
+function setCustomRangeInputs(ranges) {
+  const form = elements.settingsForm;
+  form.currentStart.value = ranges.current.startDate;
+  form.currentEnd.value = ranges.current.endDate;
+  form.previousStart.value = ranges.previous.startDate;
+  form.previousEnd.value = ranges.previous.endDate;
+}
+
+function readCustomRangeInputs() {
+  const form = elements.settingsForm;
+  return {
+    current: { startDate: form.currentStart.value, endDate: form.currentEnd.value },
+    previous: { startDate: form.previousStart.value, endDate: form.previousEnd.value }
+  };
+}
+
+// Picked from the range dropdown: switch the settings form to custom windows
+function openCustomRangePicker() {
+  syncDateRangeSelect(currentSettings);
+  elements.settingsPanel.classList.remove('hidden');
+  loadRules();
+  elements.settingsForm.comparisonMode.value = 'custom';
+  updateSettingsFormState();
+  elements.settingsForm.previousStart.focus();
+}
+
+function readSettingsForm() {
+  const form = elements.settingsForm;
+  const weights = {};
+  for (const key of Object.keys(currentSettings.weights)) {
+    weights[key] = form.elements[`weights.${key}`].value;
+  }
+
+  return {
+    comparisonMode: form.comparisonMode.value,
+    currentDays: form.currentDays.value,
+    previousDays: form.previousDays.value,
+    customRanges: form.comparisonMode.value === 'custom' ? readCustomRangeInputs() : undefined,
+    minImpressions: form.minImpressions.value,
+    minClicks: form.minClicks.value,
+    brandKeywords: form.brandKeywords.value,
+    ctrModel: form.ctrModel.value,
+    seasonalAdjust: form.seasonalAdjust.checked,
+    detectOnset: form.detectOnset.checked,
+    attributeQueries: form.attributeQueries.checked,
+    weights
+  };
+}
+
+// Show the preset matching the saved windows, adding a custom entry if none does
+function syncDateRangeSelect(settings) {
+  const select = elements.dateRangeSelect;
+  select.querySelectorAll('option[data-custom]').forEach(opt => opt.remove());
+
+  const value = settings.customRanges ? 'ranges' : String(settings.currentDays);
+  if (![...select.options].some(opt => opt.value === value)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.dataset.custom = 'true';
+    option.textContent = settings.customRanges
+      ? formatCustomRanges(settings.customRanges)
+      : `Last ${value} Days`;
+    select.insertBefore(option, select.querySelector('option[value="custom"]'));
+  }
+  select.value = value;
+}
+
+function formatCustomRanges(ranges) {
+  return `${formatDateRange(ranges.current)} vs ${formatDateRange(ranges.previous)}`;
+}
+
+async function handleSaveSettings(e) {
+  e.preventDefault();
+  if (!currentSiteUrl) return;
+
+  const settings = readSettingsForm();
+  if (settings.comparisonMode === 'custom') {
+    const error = validateCustomRanges(settings.customRanges);
+    if (error) {
+      elements.customRangesError.textContent = error;
+      elements.customRangesError.classList.remove('hidden');
+      return;
+    }
+  }
+
+  currentSettings = await saveSiteSettings(currentSiteUrl, settings);
+  populateSettingsForm(currentSettings);
+  elements.settingsPanel.classList.add('hidden');
+  showToast('Settings saved');
+  analyzeSite(currentSiteUrl, true);
+}
+
+async function handleResetSettings() {
+  if (!currentSiteUrl) return;
+
+  currentSettings = await resetSiteSettings(currentSiteUrl);
+  populateSettingsForm(currentSettings);
+  showToast('Settings reset to defaults');
+}
+
+// Alerts
+function populateAlertsForm(prefs) {
+  const form = elements.alertsForm;
+  form.enabled.checked = prefs.enabled;
+  form.minSeverity.value = prefs.minSeverity;
+  form.quietStart.value = prefs.quietStart;
+  form.quietEnd.value = prefs.quietEnd;
+  updateAlertsFormState();
+}
+
+function updateAlertsFormState() {
+  const form = elements.alertsForm;
+  for (const name of ['minSeverity', 'quietStart', 'quietEnd']) {
+    form[name].disabled = !form.enabled.checked;
+  }
+}
+
+function populateDigestForm(prefs, lastReport) {
+  const form = elements.digestForm;
+  form.enabled.checked = prefs.enabled;
+  form.weekday.value = prefs.weekday;
+  form.topPages.value = prefs.topPages;
+  form.delivery.value = prefs.delivery;
+  form.weekday.disabled = !prefs.enabled;
+  elements.digestInfo.textContent = lastReport
+    ? `Last digest: ${new Date(lastReport.generatedAt).toLocaleString()}`
+    : 'No digest yet.';
+}
+
+async function handleSaveDigest() {
+  if (!currentSiteUrl) return;
+
+  const form = elements.digestForm;
+  const prefs = await saveDigestPrefs(currentSiteUrl, {
+    enabled: form.enabled.checked,
+    weekday: form.weekday.value,
+    topPages: form.topPages.value,
+    delivery: form.delivery.value
+  });
+  form.weekday.disabled = !prefs.enabled;
+}
+
+// Build the digest from the latest analysis now, regardless of the schedule
+async function handleGenerateDigest(delivery) {
+  if (!currentSiteUrl) return;
+  const siteUrl = currentSiteUrl;
+  const button = delivery === 'download' ? elements.digestDownloadBtn : elements.digestOpenBtn;
+
+  button.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'GENERATE_DIGEST', siteUrl, delivery });
+    if (!response.success) throw new Error(response.error);
+    if (delivery === 'download') showToast(`Saved ${response.filename}`);
+    populateDigestForm(await getDigestPrefs(siteUrl), await getDigestReport(siteUrl));
+  } catch (error) {
+    showToast('Digest failed: ' + error.message);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function handleSaveAlerts() {
+  if (!currentSiteUrl) return;
+
+  const form = elements.alertsForm;
+  updateAlertsFormState();
+  const prefs = await saveNotificationPrefs(currentSiteUrl, {
+    enabled: form.enabled.checked,
+    minSeverity: form.minSeverity.value,
+    quietStart: form.quietStart.value,
+    quietEnd: form.quietEnd.value
+  });
+
+  // Only overwrite quiet hours once both ends are filled in
+  if (form.quietStart.value && form.quietEnd.value) {
+    form.quietStart.value = prefs.quietStart;
+    form.quietEnd.value = prefs.quietEnd;
+  }
+}
+
+// Classification Rules
+async function loadRules() {
+  const response = await chrome.runtime.sendMessage({ action: 'GET_RULES' });
+  if (response.success) {
+    showRules(response.ruleSet);
+  }
+}
+
+function showRules(ruleSet) {
+  elements.rulesJson.value = JSON.stringify(ruleSet, null, 2);
+  elements.rulesError.classList.add('hidden');
+}
+
+// Validate and save edited/imported JSON (null restores the default rules), then re-analyze
+async function saveRules(json) {
+  let ruleSet = null;
+  if (json !== null) {
+    try {
+      ruleSet = parseRuleSet(json);
+    } catch (error) {
+      elements.rulesError.textContent = error.message;
+      elements.rulesError.classList.remove('hidden');
+      return;
+    }
+  }
+
+  const response = await chrome.runtime.sendMessage({ action: 'SAVE_RULES', ruleSet });
+  if (!response.success) {
+    showToast('Failed to save rules: ' + response.error);
+    return;
+  }
+
+  showRules(response.ruleSet);
+  showToast(ruleSet ? 'Rules saved' : 'Default rules restored');
+  if (currentSiteUrl) analyzeSite(currentSiteUrl, true);
+}
+
+async function handleImportRules(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  const json = await file.text();
+  elements.rulesJson.value = json;
+  saveRules(json);
+}
+
+function handleExportRules() {
+  const blob = new Blob([elements.rulesJson.value], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = 'content-decay-rules.json';
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Segments
+function showSegments(segments) {
+  elements.segmentsRules.value = formatSegmentRules(segments.rules);
+  elements.segmentsError.classList.add('hidden');
+
+  const mapped = Object.keys(segments.mapping).length;
+  const categories = new Set(Object.values(segments.mapping)).size;
+  elements.segmentsMappingInfo.textContent = mapped > 0
+    ? `${mapped} URLs mapped to ${categories} categories (mapping wins over the rules above)`
+    : 'No URL → category mapping imported';
+}
+
+function showSegmentsError(message) {
+  elements.segmentsError.textContent = message;
+  elements.segmentsError.classList.remove('hidden');
+}
+
+async function handleSaveSegments() {
+  let rules;
+  try {
+    rules = parseSegmentRules(elements.segmentsRules.value);
+  } catch (error) {
+    showSegmentsError(error.message);
+    return;
+  }
+  await applySegments({ ...currentSegments, rules }, 'Segments saved');
+}
+
+async function handleImportMapping(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  let mapping;
+  try {
+    mapping = parseSegmentMapping(await file.text());
+  } catch (error) {
+    showSegmentsError(`${file.name}: ${error.message}`);
+    return;
+  }
+  await applySegments({ ...currentSegments, mapping }, `Imported ${Object.keys(mapping).length} URLs`);
+}
+
+// Store the site's segments and regroup (no re-analysis needed, segments only group results)
+async function applySegments(segments, message) {
+  if (!currentSiteUrl) return;
+
+  currentSegments = await saveSegments(currentSiteUrl, segments);
+  showSegments(currentSegments);
+  segmentGrouping = hasSegments(currentSegments) ? 'segment' : 'directory';
+  activeSegment = null;
+  showToast(message);
+
+  if (currentAnalysis) renderAnalysis(currentAnalysis.summary, currentAnalysis.pages);
+}
+
+// Local data
+async function loadWarehouseStatus(siteUrl) {
+  const response = await chrome.runtime.sendMessage({ action: 'GET_WAREHOUSE_STATUS', siteUrl });
+  if (siteUrl !== currentSiteUrl) return;
+  showWarehouseStatus(response);
+}
+
+function showWarehouseStatus(response) {
+  if (response.success) {
+    elements.warehouseEnabled.checked = response.status.enabled;
+    elements.warehouseSyncBtn.disabled = !response.status.enabled;
+  }
+  elements.warehouseStatus.textContent = response.success ? formatWarehouseStatus(response.status) : response.error;
+}
+
+function formatWarehouseStatus(status) {
+  if (!status.enabled) {
+    return status.pageDays > 0
+      ? `Off: analyses use the API. ${status.pageDays} days still stored.`
+      : 'Off: analyses use the API.';
+  }
+  if (status.pageDays === 0) return 'Nothing stored yet. The days analyses read are synced in the background.';
+
+  const parts = [`${status.pageDays} days stored (${status.firstDate} to ${status.lastDate})`];
+  if (status.queryDays > 0) parts.push(`queries for ${status.queryDays} days`);
+  if (status.truncatedQueryDays > 0) {
+    parts.push(`queries capped on ${status.truncatedQueryDays} days (query breakdowns over those days use the API)`);
+  }
+  if (currentSettings?.brandKeywords) parts.push('brand-filtered analyses use the API');
+  if (status.lastSyncAt) parts.push(`synced ${new Date(status.lastSyncAt).toLocaleString()}`);
+  return parts.join(' · ');
+}
+
+async function handleToggleWarehouse() {
+  if (!currentSiteUrl) return;
+  const siteUrl = currentSiteUrl;
+
+  const response = await chrome.runtime.sendMessage({
+    action: 'SET_WAREHOUSE_ENABLED',
+    siteUrl,
+    enabled: elements.warehouseEnabled.checked
+  });
+  if (siteUrl !== currentSiteUrl) return;
+  if (!response.success) showToast(response.error);
+  showWarehouseStatus(response);
+}
+
+async function handleSyncWarehouse() {
+  if (!currentSiteUrl) return;
+  const siteUrl = currentSiteUrl;
+
+  elements.warehouseSyncBtn.disabled = true;
+  elements.warehouseStatus.textContent = 'Syncing...';
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'SYNC_WAREHOUSE', siteUrl });
+    if (!response.success) throw new Error(response.error);
+    showToast(response.fetched > 0 ? `Fetched ${response.fetched} days` : 'Already up to date');
+  } catch (error) {
+    showToast('Sync failed: ' + error.message);
+  } finally {
+    loadWarehouseStatus(siteUrl);
+  }
+}
+
+async function handleClearWarehouse() {
+  if (!currentSiteUrl) return;
+
+  const response = await chrome.runtime.sendMessage({ action: 'CLEAR_WAREHOUSE', siteUrl: currentSiteUrl });
+  showToast(response.success ? 'Local data cleared' : response.error);
+  loadWarehouseStatus(currentSiteUrl);
 }
 
 // Analysis
 async function analyzeSite(siteUrl, forceRefresh = false) {
+  if (siteUrl !== currentSiteUrl || !currentSettings) {
+    currentSettings = await getSiteSettings(siteUrl);
+    await loadSiteEvents(siteUrl); // Before the settings form: it lists events to split at
+    populateSettingsForm(currentSettings);
+    populateAlertsForm(await getNotificationPrefs(siteUrl));
+    populateDigestForm(await getDigestPrefs(siteUrl), await getDigestReport(siteUrl));
+    renderHistoryOptions([]);
+    activeSeverity = null;
+    activeSegment = null;
+    activeTriageFilter = 'all';
+    currentSegments = await getSegments(siteUrl);
+    showSegments(currentSegments);
+    segmentGrouping = hasSegments(currentSegments) ? 'segment' : 'directory';
+    annotationsByPage = groupAnnotationsByPage(await getAnnotations(siteUrl));
+    loadWarehouseStatus(siteUrl);
+  }
+
   currentSiteUrl = siteUrl;
   elements.currentSite.textContent = formatSiteUrl(siteUrl);
   showScreen('analysis');
 
   // Reset UI
-  elements.decayingPages.innerHTML = '<div class="loading-text">Analyzing your content...</div>';
+  connectProgress();
+  elements.decayingPages.innerHTML = `
+    <div class="loading-text">
+      <span id="analysis-progress-text">Analyzing your content...</span>
+      <div class="progress-bar"><div id="analysis-progress-fill" class="progress-fill"></div></div>
+    </div>
+  `;
+  elements.siteSummary.innerHTML = '';
   if (elements.cacheInfo) elements.cacheInfo.textContent = '';
 
+  // Secondary views follow the main analysis (site or settings may have changed)
+  currentCannibalization = null;
+  if (activeTab === 'cannibalization') {
+    loadCannibalization(forceRefresh);
+  }
+  if (activeTab === 'actions') {
+    loadActions();
+  }
+
   try {
     let response;
 
@@ -214,7 +993,8 @@ async function analyzeSite(siteUrl, forceRefresh = false) {
     if (!forceRefresh) {
       const cached = await chrome.runtime.sendMessage({
         action: 'GET_CACHED_ANALYSIS',
-        siteUrl
+        siteUrl,
+        options: currentSettings
       });
 
       if (cached.success && cached.cached) {
@@ -226,19 +1006,37 @@ async function analyzeSite(siteUrl, forceRefresh = false) {
     // Run fresh analysis if needed
     if (!response) {
       if (elements.cacheInfo) elements.cacheInfo.textContent = 'Running fresh analysis...';
-      response = await chrome.runtime.sendMessage({
-        action: 'ANALYZE_SITE',
-        siteUrl,
-        options: { forceRefresh }
-      });
+      const quotaTimer = setInterval(() => updateQuotaStatus(siteUrl), QUOTA_POLL_MS);
+      try {
+        response = await chrome.runtime.sendMessage({
+          action: 'ANALYZE_SITE',
+          siteUrl,
+          options: { ...currentSettings, forceRefresh }
+        });
+      } finally {
+        clearInterval(quotaTimer);
+      }
     }
 
     if (!response.success) {
       throw new Error(response.error);
     }
 
-    currentAnalysis = { summary: response.summary, pages: response.pages };
+    currentAnalysis = {
+      summary: response.summary,
+      pages: response.pages,
+      dateRanges: response.dateRanges,
+      ctrModel: response.ctrModel || null,
+      snapshotId: response.id
+    };
+    // After the analysis: it reopens fixed and ignored pages that got worse
+    triageByPage = await getTriage(siteUrl);
     renderAnalysis(response.summary, response.pages);
+    loadHistory(siteUrl);
+
+    if (response.reopened?.length > 0) {
+      showToast(`${response.reopened.length} fixed or ignored page${response.reopened.length === 1 ? '' : 's'} reopened`);
+    }
 
     if (!response.cached && elements.cacheInfo) {
       elements.cacheInfo.textContent = 'Analysis complete';
@@ -250,10 +1048,233 @@ async function analyzeSite(siteUrl, forceRefresh = false) {
     `;
     if (elements.cacheInfo) elements.cacheInfo.textContent = '';
   }
+
+  updateQuotaStatus(siteUrl);
+  loadWarehouseStatus(siteUrl);
+}
+
+// Progress of fresh analyses (also of ones resumed in the background after the worker restarted)
+function connectProgress() {
+  if (progressPort) return;
+  progressPort = chrome.runtime.connect({ name: PROGRESS_PORT_NAME });
+  progressPort.onMessage.addListener(handleProgress);
+  progressPort.onDisconnect.addListener(() => {
+    progressPort = null;
+  });
+}
+
+function handleProgress(message) {
+  if (message.type !== 'progress' || message.siteUrl !== currentSiteUrl) return;
+
+  // Only present while the page list is loading
+  const text = document.getElementById('analysis-progress-text');
+  const fill = document.getElementById('analysis-progress-fill');
+  if (text) text.textContent = formatJobProgress(message);
+  if (fill) fill.style.width = `${message.percent}%`;
+}
+
+// API usage under the cache info, polled while a fresh analysis is fetching
+async function updateQuotaStatus(siteUrl) {
+  const response = await chrome.runtime.sendMessage({ action: 'GET_QUOTA_STATUS', siteUrl });
+  if (!response.success || siteUrl !== currentSiteUrl) return;
+
+  elements.quotaStatus.textContent = formatQuotaStatus(response.status);
+  elements.quotaStatus.dataset.level = response.status.level;
+}
+
+// View Tabs
+function switchTab(tab) {
+  activeTab = tab;
+  document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.tab === tab));
+  document.querySelectorAll('.tab-panel').forEach(panel => panel.classList.toggle('hidden', panel.dataset.panel !== tab));
+
+  if (tab === 'cannibalization' && !currentCannibalization && currentSiteUrl) {
+    loadCannibalization();
+  }
+  if (tab === 'actions' && currentSiteUrl) {
+    loadActions();
+  }
+}
+
+// Cannibalization
+async function loadCannibalization(forceRefresh = false) {
+  const siteUrl = currentSiteUrl;
+  elements.cannibalizationList.innerHTML = '<div class="loading-text">Looking for pages competing on the same queries...</div>';
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'ANALYZE_CANNIBALIZATION',
+      siteUrl,
+      options: { ...currentSettings, forceRefresh }
+    });
+    if (siteUrl !== currentSiteUrl) return;
+
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    currentCannibalization = response;
+    renderCannibalization(response.clusters);
+  } catch (error) {
+    elements.cannibalizationList.innerHTML = `
+      <div class="error">Cannibalization analysis failed: ${error.message}</div>
+    `;
+  }
+}
+
+function renderCannibalization(clusters) {
+  if (clusters.length === 0) {
+    elements.cannibalizationList.innerHTML = `
+      <div class="empty-state">
+        <p>No queries with competing URLs found.</p>
+      </div>
+    `;
+    return;
+  }
+
+  const totalLost = clusters.reduce((sum, c) => sum + c.lostClicks, 0);
+
+  elements.cannibalizationList.innerHTML = `
+    <div class="section-header">
+      <div class="header-title">
+        <h3>Competing URLs</h3>
+        <span class="count-badge">${clusters.length}</span>
+      </div>
+      <span class="helper-text" style="margin: 0;">${fNum(totalLost)} clicks lost</span>
+    </div>
+    <div class="pages-list" style="max-height: 300px; overflow-y: auto;">
+      <table class="queries-table comparison-table" style="width: 100%;">
+        <thead>
+          <tr>
+            <th style="text-align: left;">Query / URLs</th>
+            <th style="text-align: right;">Lost Clicks</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${clusters.slice(0, 50).map((cluster, i) => `
+            <tr class="cluster-row" data-index="${i}" style="cursor: pointer;">
+              <td style="line-height: 1.3;">
+                <span class="cluster-query">${escapeHtml(cluster.query)}</span>
+                ${cluster.swapped ? '<span class="cluster-badge">Lead swapped</span>' : ''}
+                <span class="cluster-url winner" title="${escapeHtml(cluster.winner)}">▲ ${formatPagePath(cluster.winner)}</span>
+                <span class="cluster-url loser" title="${escapeHtml(cluster.loser)}">▼ ${formatPagePath(cluster.loser)}</span>
+                ${cluster.pages.length > 2 ? `<span class="cluster-url">+${cluster.pages.length - 2} more</span>` : ''}
+              </td>
+              <td style="text-align: right;">
+                <span class="diff ${cluster.lostClicks > 0 ? 'neg' : 'neutral'}">${cluster.lostClicks > 0 ? '-' : ''}${fNum(cluster.lostClicks)}</span>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  // Row click toggles the per-URL breakdown
+  elements.cannibalizationList.querySelectorAll('.cluster-row').forEach(row => {
+    row.addEventListener('click', () => {
+      const next = row.nextElementSibling;
+      if (next && next.classList.contains('cluster-detail')) {
+        next.remove();
+        return;
+      }
+      row.insertAdjacentHTML('afterend', renderClusterDetail(clusters[row.dataset.index]));
+    });
+  });
+}
+
+function renderClusterDetail(cluster) {
+  return `
+    <tr class="cluster-detail">
+      <td colspan="2">
+        <table style="width: 100%;">
+          <tr>
+            <th style="text-align: left;">URL</th>
+            <th style="text-align: right;">Clicks</th>
+            <th style="text-align: right;">Pos</th>
+            <th style="text-align: right;">Share</th>
+          </tr>
+          ${cluster.pages.map(p => `
+            <tr>
+              <td style="word-break: break-all;" title="${escapeHtml(p.page)}">${formatPagePath(p.page)}</td>
+              <td style="text-align: right;">${fNum(p.previous?.clicks || 0)} → ${fNum(p.current?.clicks || 0)}</td>
+              <td style="text-align: right;">${p.previous ? p.previous.position.toFixed(1) : '–'} → ${p.current ? p.current.position.toFixed(1) : '–'}</td>
+              <td style="text-align: right;">${p.previousShare}% → ${p.currentShare}%</td>
+            </tr>
+          `).join('')}
+        </table>
+      </td>
+    </tr>
+  `;
+}
+
+// Snapshot History
+async function loadHistory(siteUrl) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'LIST_SNAPSHOTS', siteUrl });
+    if (!response.success || siteUrl !== currentSiteUrl) return;
+    renderHistoryOptions(response.snapshots);
+  } catch (error) {
+    console.error('Failed to load history:', error);
+  }
+}
+
+function renderHistoryOptions(snapshots) {
+  const latestId = snapshots[0]?.id;
+
+  elements.historySelect.innerHTML = `
+    <option value="">Latest</option>
+    ${snapshots.map(snap => `
+      <option value="${snap.id}">${formatSnapshotLabel(snap)}</option>
+    `).join('')}
+  `;
+
+  // Keep showing whichever snapshot is on screen
+  const shownId = currentAnalysis?.snapshotId;
+  elements.historySelect.value = shownId && shownId !== latestId ? shownId : '';
+}
+
+function formatSnapshotLabel(snapshot) {
+  const date = new Date(snapshot.timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  const opts = snapshot.options || {};
+  const critical = snapshot.summary?.criticalCount ?? 0;
+  const windows = opts.customRanges ? formatCustomRanges(opts.customRanges) : `${opts.currentDays}d vs ${opts.previousDays}d`;
+  return `${date} · ${windows} · ${critical} critical`;
+}
+
+async function showSnapshot(siteUrl, snapshotId) {
+  elements.decayingPages.innerHTML = '<div class="loading-text">Loading snapshot...</div>';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_SNAPSHOT', siteUrl, snapshotId });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    currentAnalysis = {
+      summary: response.summary,
+      pages: response.pages,
+      dateRanges: response.dateRanges,
+      ctrModel: response.ctrModel || null,
+      snapshotId: response.id
+    };
+    renderAnalysis(response.summary, response.pages);
+
+    if (elements.cacheInfo) {
+      elements.cacheInfo.textContent = `Viewing snapshot from ${new Date(response.timestamp).toLocaleString()}`;
+    }
+  } catch (error) {
+    elements.decayingPages.innerHTML = `
+      <div class="error">Failed to load snapshot: ${error.message}</div>
+    `;
+  }
 }
 
 function renderAnalysis(summary, pages) {
-  // Just render all pages
+  renderSiteSummary(summary);
+  renderSegments(pages);
+  renderSegmentFilter();
+
   if (pages.length === 0) {
     elements.decayingPages.innerHTML = `
       <div class="empty-state">
@@ -263,7 +1284,147 @@ function renderAnalysis(summary, pages) {
     return;
   }
 
-  renderPageList(pages);
+  let shown = activeSeverity ? pages.filter(p => p.decay.severity === activeSeverity) : pages;
+  if (activeSegment) {
+    const getKey = getGroupingKey(activeSegment.grouping, currentSegments);
+    shown = shown.filter(p => getKey(p.page) === activeSegment.name);
+  }
+  renderPageList(shown);
+}
+
+/**
+ * Per-segment rollup of clicks, impressions and severities; a row click filters the page list
+ */
+function renderSegments(pages) {
+  const groupingOptions = Object.entries(SEGMENT_GROUPINGS)
+    .map(([value, label]) => `<option value="${value}" ${segmentGrouping === value ? 'selected' : ''}>${label}</option>`)
+    .join('');
+  const rollup = segmentGrouping === 'segment' && !hasSegments(currentSegments)
+    ? []
+    : rollupSegments(pages, getGroupingKey(segmentGrouping, currentSegments));
+
+  elements.segmentsList.innerHTML = `
+    <div class="section-header">
+      <div class="header-title">
+        <h3>Segments</h3>
+        <span class="count-badge">${rollup.length}</span>
+      </div>
+      <div class="header-controls">
+        <select id="segment-grouping-select" class="sort-select">${groupingOptions}</select>
+      </div>
+    </div>
+    ${rollup.length === 0 ? `
+      <div class="empty-state">
+        <p>${segmentGrouping === 'segment'
+          ? 'No segments defined yet. Add path prefixes or regexes in Settings, or import a URL → category CSV.'
+          : 'No pages found.'}</p>
+      </div>
+    ` : `
+      <div class="pages-list" style="max-height: 300px; overflow-y: auto;">
+        <table class="queries-table comparison-table" style="width: 100%;">
+          <thead>
+            <tr>
+              <th style="text-align: left;">Segment</th>
+              <th style="text-align: right;">Clicks</th>
+              <th style="text-align: right;">Clicks Δ</th>
+              <th style="text-align: right;">Impr. Δ</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rollup.map((segment, i) => `
+              <tr class="segment-row" data-index="${i}" style="cursor: pointer;"
+                title="${Object.entries(segment.classCounts).map(([id, count]) => `${id}: ${count}`).join(', ')}">
+                <td style="word-break: break-all; line-height: 1.3;">
+                  <span class="cluster-query">${escapeHtml(segment.name)}</span>
+                  <span class="segment-counts">
+                    ${segment.pageCount} pages
+                    ${['critical', 'warning', 'monitoring'].filter(s => segment.severityCounts[s] > 0)
+                      .map(s => `<span class="${s}">${segment.severityCounts[s]} ${s}</span>`).join('')}
+                  </span>
+                </td>
+                <td style="text-align: right;">${fNum(segment.previous.clicks)} → ${fNum(segment.current.clicks)}</td>
+                <td style="text-align: right;">
+                  <span class="diff ${segment.changes.clicks > 0 ? 'pos' : segment.changes.clicks < 0 ? 'neg' : 'neutral'}">${segment.changes.clicks > 0 ? '+' : ''}${segment.changes.clicks}%</span>
+                </td>
+                <td style="text-align: right;">
+                  <span class="diff ${segment.changes.impressions > 0 ? 'pos' : segment.changes.impressions < 0 ? 'neg' : 'neutral'}">${segment.changes.impressions > 0 ? '+' : ''}${segment.changes.impressions}%</span>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `}
+  `;
+
+  document.getElementById('segment-grouping-select').addEventListener('change', (e) => {
+    segmentGrouping = e.target.value;
+    renderSegments(pages);
+  });
+
+  elements.segmentsList.querySelectorAll('.segment-row').forEach(row => {
+    row.addEventListener('click', () => {
+      activeSegment = { grouping: segmentGrouping, name: rollup[row.dataset.index].name };
+      switchTab('pages');
+      renderAnalysis(currentAnalysis.summary, currentAnalysis.pages);
+    });
+  });
+}
+
+function renderSegmentFilter() {
+  elements.segmentFilter.classList.toggle('hidden', !activeSegment);
+  if (!activeSegment) return;
+
+  elements.segmentFilter.innerHTML = `
+    <span>${SEGMENT_GROUPINGS[activeSegment.grouping]}: <strong>${escapeHtml(activeSegment.name)}</strong></span>
+    <button type="button" class="btn btn-text">Show all pages</button>
+  `;
+  elements.segmentFilter.querySelector('button').addEventListener('click', () => {
+    activeSegment = null;
+    renderAnalysis(currentAnalysis.summary, currentAnalysis.pages);
+  });
+}
+
+/**
+ * Site totals for both periods, health score and severity cards that filter the page list
+ */
+function renderSiteSummary(summary) {
+  if (!summary) {
+    elements.siteSummary.innerHTML = '';
+    return;
+  }
+
+  const severities = [
+    { key: 'critical', label: 'Critical', count: summary.criticalCount },
+    { key: 'warning', label: 'Warning', count: summary.warningCount },
+    { key: 'monitoring', label: 'Monitor', count: summary.monitoringCount },
+    { key: 'healthy', label: 'Healthy', count: summary.healthyCount }
+  ];
+  const periodLabel = `${formatDateRange(currentAnalysis?.dateRanges?.current, 'Current')} vs ${formatDateRange(currentAnalysis?.dateRanges?.previous, 'previous')}`;
+
+  elements.siteSummary.innerHTML = `
+    ${summary.totals ? `<div class="summary-period">${periodLabel}</div>` : ''}
+    ${renderSiteTotals(summary.totals)}
+    <div class="summary-cards">
+      <div class="card health" title="Share of pages that are healthy or only being monitored">
+        <span class="count">${summary.healthScore}%</span>
+        <span class="label">Health</span>
+      </div>
+      ${severities.map(s => `
+        <div class="card ${s.key} ${activeSeverity === s.key ? 'active' : ''}" data-severity="${s.key}" title="Show only ${s.label.toLowerCase()} pages">
+          <span class="count">${s.count}</span>
+          <span class="label">${s.label}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+
+  elements.siteSummary.querySelectorAll('.card[data-severity]').forEach(card => {
+    card.addEventListener('click', () => {
+      activeSeverity = activeSeverity === card.dataset.severity ? null : card.dataset.severity;
+      renderAnalysis(currentAnalysis.summary, currentAnalysis.pages);
+    });
+  });
 }
 
 // State for page list sorting
@@ -272,7 +1433,8 @@ let currentPageSort = { col: 'diff', dir: 'desc' };
 
 function renderPageList(pages) {
   const metric = currentPageMetric;
-  const sorted = [...pages].sort((a, b) => {
+  const queue = filterByTriage(pages, triageByPage, activeTriageFilter);
+  const sorted = [...queue].sort((a, b) => {
     let valA, valB;
     const metricKey = metric === 'rank' ? 'position' : metric;
 
@@ -297,23 +1459,22 @@ function renderPageList(pages) {
 
   const metricLabel = metric === 'rank' ? 'Position' : metric.charAt(0).toUpperCase() + metric.slice(1);
 
-  // Get date range info from the first page (if available)
-  const dateSelect = document.getElementById('date-range-select');
-  const days = dateSelect ? parseInt(dateSelect.value, 10) : 30;
-  const now = new Date();
-  const currentEnd = now.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-  const currentStart = new Date(now - days * 86400000).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-  const prevEnd = new Date(now - days * 86400000).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-  const prevStart = new Date(now - days * 2 * 86400000).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  // Column headers reflect the windows the analysis actually used
+  const dateRanges = currentAnalysis?.dateRanges;
+  const currentLabel = formatDateRange(dateRanges?.current, 'Current');
+  const previousLabel = formatDateRange(dateRanges?.previous, 'Previous');
 
   elements.decayingPages.innerHTML = `
     <div class="section-header">
       <div class="header-title">
         <h3>Pages</h3>
-        <span class="count-badge">${pages.length}</span>
+        <span class="count-badge">${queue.length === pages.length ? pages.length : `${queue.length}/${pages.length}`}</span>
       </div>
       <div class="header-controls">
         <input type="text" id="page-filter-input" class="filter-input" placeholder="Filter pages..." />
+        <select id="page-triage-select" class="sort-select" title="Triage status">
+          ${renderTriageFilterOptions(pages)}
+        </select>
         <select id="page-metric-select" class="sort-select">
           <option value="clicks" ${metric === 'clicks' ? 'selected' : ''}>Clicks</option>
           <option value="impressions" ${metric === 'impressions' ? 'selected' : ''}>Impressions</option>
@@ -327,10 +1488,10 @@ function renderPageList(pages) {
           <tr>
             <th style="text-align: left;">Page</th>
             <th class="sortable" data-sort="current" style="text-align: right; cursor: pointer;">
-              ${currentStart} - ${currentEnd}${getArrow('current')}
+              ${currentLabel}${getArrow('current')}
             </th>
             <th class="sortable" data-sort="previous" style="text-align: right; cursor: pointer;">
-              ${prevStart} - ${prevEnd}${getArrow('previous')}
+              ${previousLabel}${getArrow('previous')}
             </th>
             <th class="sortable" data-sort="diff" style="text-align: right; cursor: pointer;">
               Diff${getArrow('diff')}
@@ -338,6 +1499,7 @@ function renderPageList(pages) {
           </tr>
         </thead>
         <tbody>
+          ${sorted.length === 0 ? '<tr><td colspan="4" style="text-align: center; color: var(--text-muted); padding: 20px;">No pages with this status</td></tr>' : ''}
           ${sorted.slice(0, 30).map(page => {
     const metricKey = metric === 'rank' ? 'position' : metric;
     const curr = page.current[metricKey] || 0;
@@ -364,8 +1526,9 @@ function renderPageList(pages) {
 
     return `
               <tr class="page-row" data-page="${encodeURIComponent(page.page)}" style="cursor: pointer;">
-                <td style="word-break: break-all; line-height: 1.3;" title="${page.page}">
+                <td style="word-break: break-all; line-height: 1.3;" title="${escapeHtml(page.page)}">
                   ${pagePath}
+                  ${renderTriageTag(triageByPage[page.page])}${renderOnsetTag(page, siteEvents)}${renderSeasonalTag(page)}${renderAnnotationTag(annotationsByPage.get(page.page))}${renderLossReason(page)}
                 </td>
                 <td style="text-align: right;">${metric === 'rank' ? curr.toFixed(1) : fNum(curr)}</td>
                 <td style="text-align: right;">${metric === 'rank' ? prev.toFixed(1) : fNum(prev)}</td>
@@ -386,6 +1549,12 @@ function renderPageList(pages) {
     renderPageList(pages);
   });
 
+  // Triage status filter
+  document.getElementById('page-triage-select').addEventListener('change', (e) => {
+    activeTriageFilter = e.target.value;
+    renderPageList(pages);
+  });
+
   // Filter input handler
   const filterInput = document.getElementById('page-filter-input');
   filterInput.addEventListener('input', (e) => {
@@ -393,8 +1562,8 @@ function renderPageList(pages) {
     if (query === '') {
       renderPageList(pages);
     } else {
-      const filtered = pages.filter(p => p.page.toLowerCase().includes(query));
-      renderFilteredTable(filtered, pages.length);
+      const filtered = queue.filter(p => p.page.toLowerCase().includes(query));
+      renderFilteredTable(filtered, queue.length);
     }
   });
 
@@ -421,6 +1590,20 @@ function renderPageList(pages) {
   });
 }
 
+// Status filter options with the number of pages in each
+function renderTriageFilterOptions(pages) {
+  const filters = [
+    ['all', 'All statuses'],
+    ['open', 'Open (not fixed/ignored)'],
+    ['overdue', 'Overdue'],
+    ...Object.entries(TRIAGE_STATUSES)
+  ];
+  return filters.map(([value, label]) => {
+    const count = value === 'all' ? pages.length : filterByTriage(pages, triageByPage, value).length;
+    return `<option value="${value}" ${activeTriageFilter === value ? 'selected' : ''}>${label} (${count})</option>`;
+  }).join('');
+}
+
 // Helper to render filtered results without re-rendering header
 function renderFilteredTable(filtered, totalCount) {
   const metric = currentPageMetric;
@@ -462,7 +1645,7 @@ function renderFilteredTable(filtered, totalCount) {
 
     return `
       <tr class="page-row" data-page="${encodeURIComponent(page.page)}" style="cursor: pointer;">
-        <td style="word-break: break-all; line-height: 1.3;" title="${page.page}">${pagePath}</td>
+        <td style="word-break: break-all; line-height: 1.3;" title="${escapeHtml(page.page)}">${pagePath}${renderTriageTag(triageByPage[page.page])}${renderOnsetTag(page, siteEvents)}${renderSeasonalTag(page)}${renderAnnotationTag(annotationsByPage.get(page.page))}${renderLossReason(page)}</td>
         <td style="text-align: right;">${metric === 'rank' ? curr.toFixed(1) : fNum(curr)}</td>
         <td style="text-align: right;">${metric === 'rank' ? prev.toFixed(1) : fNum(prev)}</td>
         <td style="text-align: right;">
@@ -481,36 +1664,47 @@ function renderFilteredTable(filtered, totalCount) {
   });
 }
 
-function fNum(num) {
-  return num >= 1000 ? (num / 1000).toFixed(1) + 'k' : num;
-}
-
-function formatPagePath(url) {
-  try {
-    const urlObj = new URL(url);
-    const path = urlObj.pathname;
-    return path.length > 40 ? '...' + path.slice(-37) : path;
-  } catch {
-    return url.slice(-40);
-  }
-}
-
 // Page Detail Modal
 function showPageDetail(pageUrl) {
   const page = currentAnalysis.pages.find(p => p.page === pageUrl);
   if (!page) return;
 
   const modal = elements.modal;
+  modal.dataset.page = pageUrl;
 
   // Set page URL
   modal.querySelector('#modal-page-url').textContent = pageUrl;
 
+  // Insights: decline onset, seasonality, revival potential, cannibalization
+  const insights = buildInsightLines(page, {
+    ctrModel: currentAnalysis.ctrModel,
+    cannibalization: currentCannibalization,
+    events: siteEvents
+  });
+  const insightsContainer = modal.querySelector('#modal-insights');
+  insightsContainer.innerHTML = insights.map(line => `<p>${line}</p>`).join('');
+  insightsContainer.classList.toggle('hidden', insights.length === 0);
+
+  // Click change attribution (waterfall + top reasons)
+  renderAttribution(page);
+
+  // Triage status, assignee and due date
+  populateTriageForm(pageUrl);
+
+  // Recorded actions and the form to add one
+  renderPageAnnotations(pageUrl);
+  elements.annotationForm.reset();
+  elements.annotationForm.date.value = toLocalDateString(Date.now());
+  elements.annotationForm.author.value = currentAuthor;
+
+  // Daily trend: smallest preset that covers both comparison windows
+  loadPageTrend(pageUrl, getTrendDays(currentAnalysis.dateRanges, currentSettings));
+
   // Set action links
   modal.querySelector('#modal-open-url').href = pageUrl;
 
   // Create GSC URL
-  const gscUrl = `https://search.google.com/search-console/performance/search-analytics?resource_id=${encodeURIComponent(currentSiteUrl)}&page=!${encodeURIComponent(pageUrl)}`;
-  modal.querySelector('#modal-open-gsc').href = gscUrl;
+  modal.querySelector('#modal-open-gsc').href = getGscPageUrl(currentSiteUrl, pageUrl);
 
   // Render Query Section if queries exist
   const queriesContainer = modal.querySelector('#modal-queries');
@@ -518,17 +1712,15 @@ function showPageDetail(pageUrl) {
     queriesContainer.innerHTML = '<p style="color: #888; text-align: center; padding: 20px;">Loading queries...</p>';
 
     // Fetch queries from background worker
-    const dateSelect = document.getElementById('date-range-select');
-    const days = dateSelect ? parseInt(dateSelect.value, 10) : 30;
-
     chrome.runtime.sendMessage({
       action: 'GET_PAGE_QUERIES',
       siteUrl: currentSiteUrl,
       pageUrl: pageUrl,
-      days: days
+      days: currentSettings.currentDays,
+      dateRanges: currentAnalysis.dateRanges
     }).then(response => {
       if (response.success && response.queries && response.queries.length > 0) {
-        renderQueryTable(queriesContainer, response.queries);
+        renderQueryTable(queriesContainer, response.queries, response.dateRanges);
       } else {
         queriesContainer.innerHTML = '<p style="color: #888; text-align: center; padding: 20px;">No query data available</p>';
       }
@@ -541,11 +1733,62 @@ function showPageDetail(pageUrl) {
   modal.classList.remove('hidden');
 }
 
+// Click Change Attribution
+function renderAttribution(page) {
+  const section = elements.modal.querySelector('#modal-attribution');
+  const attribution = buildAttributionHtml(page);
+  if (!attribution) {
+    section.classList.add('hidden');
+    return;
+  }
+
+  section.querySelector('#modal-waterfall').innerHTML = attribution.chart;
+  section.querySelector('#modal-reasons').innerHTML = attribution.reasons;
+  section.classList.remove('hidden');
+}
+
+// Daily Trend Chart
+async function loadPageTrend(pageUrl, days) {
+  const chartContainer = elements.modal.querySelector('#modal-trend-chart');
+  const ctrContainer = elements.modal.querySelector('#modal-trend-ctr');
+
+  elements.modal.querySelectorAll('.trend-range-btn').forEach(btn => {
+    btn.classList.toggle('active', parseInt(btn.dataset.days, 10) === days);
+  });
+  chartContainer.innerHTML = '<p style="color: #888; text-align: center; padding: 20px;">Loading trend...</p>';
+  ctrContainer.innerHTML = '';
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'GET_PAGE_TREND',
+      siteUrl: currentSiteUrl,
+      pageUrl,
+      days
+    });
+
+    // Ignore responses for a page the user has already navigated away from
+    if (elements.modal.dataset.page !== pageUrl) return;
+
+    if (!response.success || !response.trend || response.trend.length === 0) {
+      chartContainer.innerHTML = '<p style="color: #888; text-align: center; padding: 20px;">No daily data available</p>';
+      return;
+    }
+
+    const page = currentAnalysis?.pages.find(p => p.page === pageUrl);
+    const { bands, markers } = getTrendOverlays(currentAnalysis?.dateRanges, page, annotationsByPage.get(pageUrl), siteEvents);
+
+    chartContainer.innerHTML = buildTrendChart(response.trend, { bands, markers });
+    ctrContainer.innerHTML = `CTR ${buildSparkline(response.trend.map(d => d.ctr), { width: 60, height: 14, color: CHART_COLORS.text })}`;
+  } catch (error) {
+    chartContainer.innerHTML = '<p style="color: #888; text-align: center; padding: 20px;">Failed to load trend</p>';
+  }
+}
+
 // State for query table sorting
 let currentQueryMetric = 'clicks';
 let currentQuerySort = { col: 'diff', dir: 'desc' };
 
-function renderQueryTable(container, queries) {
+function renderQueryTable(container, queries, dateRanges) {
   const metric = currentQueryMetric;
   const metricKey = metric === 'rank' ? 'position' : metric;
 
@@ -572,13 +1815,8 @@ function renderQueryTable(container, queries) {
   };
 
   // Get date range info
-  const dateSelect = document.getElementById('date-range-select');
-  const days = dateSelect ? parseInt(dateSelect.value, 10) : 30;
-  const now = new Date();
-  const currentEnd = now.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-  const currentStart = new Date(now - days * 86400000).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-  const prevEnd = new Date(now - days * 86400000).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-  const prevStart = new Date(now - days * 2 * 86400000).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  const currentLabel = formatDateRange(dateRanges?.current, 'Current');
+  const previousLabel = formatDateRange(dateRanges?.previous, 'Previous');
 
   container.innerHTML = `
     <div class="section-header">
@@ -598,10 +1836,10 @@ function renderQueryTable(container, queries) {
           <tr>
             <th style="text-align: left;">Query</th>
             <th class="sortable" data-sort="current" style="text-align: right; cursor: pointer;">
-              ${currentStart} - ${currentEnd}${getArrow('current')}
+              ${currentLabel}${getArrow('current')}
             </th>
             <th class="sortable" data-sort="previous" style="text-align: right; cursor: pointer;">
-              ${prevStart} - ${prevEnd}${getArrow('previous')}
+              ${previousLabel}${getArrow('previous')}
             </th>
             <th class="sortable" data-sort="diff" style="text-align: right; cursor: pointer;">
               Diff${getArrow('diff')}
@@ -625,7 +1863,7 @@ function renderQueryTable(container, queries) {
 
     return `
               <tr>
-                <td style="word-break: break-all; line-height: 1.3;">${q.query}</td>
+                <td style="word-break: break-all; line-height: 1.3;">${escapeHtml(q.query)}</td>
                 <td style="text-align: right;">${metric === 'rank' ? curr.toFixed(1) : fNum(curr)}</td>
                 <td style="text-align: right;">${metric === 'rank' ? prev.toFixed(1) : fNum(prev)}</td>
                 <td style="text-align: right;">
@@ -642,7 +1880,7 @@ function renderQueryTable(container, queries) {
   // Metric dropdown handler
   container.querySelector('#query-metric-select').addEventListener('change', (e) => {
     currentQueryMetric = e.target.value;
-    renderQueryTable(container, queries);
+    renderQueryTable(container, queries, dateRanges);
   });
 
   // Sort header handlers
@@ -655,41 +1893,354 @@ function renderQueryTable(container, queries) {
         currentQuerySort.col = col;
         currentQuerySort.dir = 'desc';
       }
-      renderQueryTable(container, queries);
+      renderQueryTable(container, queries, dateRanges);
+    });
+  });
+}
+
+// Site events
+async function loadSiteEvents(siteUrl) {
+  const log = await getSiteEvents(siteUrl);
+  siteEvents = log.events;
+  elements.siteEventsAlgorithm.checked = log.showAlgorithmUpdates;
+  elements.siteEventsAlgorithmLabel.textContent = `Show confirmed Google updates (${ALGORITHM_UPDATES.length} bundled, ${ALGORITHM_UPDATES[0].date} to ${ALGORITHM_UPDATES[ALGORITHM_UPDATES.length - 1].date})`;
+  renderSiteEventList();
+}
+
+// The site's own events, newest first (bundled updates are covered by the checkbox)
+function renderSiteEventList() {
+  const events = siteEvents.filter(event => event.source !== 'bundled').reverse();
+  elements.siteEventsList.innerHTML = events.length === 0
+    ? '<li class="annotation-meta">No events yet. Add deploys and migrations, or import a list.</li>'
+    : events.map(event => `
+      <li data-id="${event.id}">
+        <span class="annotation-meta">${event.date}</span>
+        <span class="annotation-text"><strong>${EVENT_TYPES[event.type]}</strong> · ${escapeHtml(event.name)}</span>
+        <button type="button" class="btn btn-text annotation-delete" title="Delete">×</button>
+      </li>
+    `).join('');
+
+  elements.siteEventsList.querySelectorAll('.annotation-delete').forEach(btn => {
+    btn.addEventListener('click', () => handleDeleteSiteEvent(btn.closest('li').dataset.id));
+  });
+}
+
+function showSiteEventsError(message) {
+  elements.siteEventsError.textContent = message;
+  elements.siteEventsError.classList.toggle('hidden', !message);
+}
+
+async function handleAddSiteEvent(e) {
+  e.preventDefault();
+  if (!currentSiteUrl) return;
+
+  const form = elements.siteEventForm;
+  try {
+    await addSiteEvent(currentSiteUrl, { date: form.date.value, name: form.name.value, type: form.type.value });
+  } catch (error) {
+    showSiteEventsError(error.message);
+    return;
+  }
+
+  form.name.value = '';
+  await refreshSiteEvents('Event added');
+}
+
+async function handleDeleteSiteEvent(id) {
+  await deleteSiteEvent(currentSiteUrl, id);
+  await refreshSiteEvents();
+}
+
+async function handleToggleAlgorithmUpdates() {
+  await setShowAlgorithmUpdates(currentSiteUrl, elements.siteEventsAlgorithm.checked);
+  await refreshSiteEvents();
+}
+
+async function handleImportSiteEvents(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file || !currentSiteUrl) return;
+
+  let added;
+  try {
+    added = await importSiteEvents(currentSiteUrl, await file.text());
+  } catch (error) {
+    showSiteEventsError(`${file.name}: ${error.message}`);
+    return;
+  }
+  await refreshSiteEvents(added > 0 ? `Imported ${added} events` : 'No new events in the file');
+}
+
+// Reload the site's events and redraw everything that shows them
+async function refreshSiteEvents(message) {
+  await loadSiteEvents(currentSiteUrl);
+  showSiteEventsError('');
+  if (message) showToast(message);
+  if (currentAnalysis) renderAnalysis(currentAnalysis.summary, currentAnalysis.pages);
+  if (elements.settingsForm.comparisonMode.value === 'custom') renderSplitEventOptions();
+}
+
+// Triage
+function populateTriageForm(pageUrl) {
+  const entry = triageByPage[pageUrl];
+  const form = elements.triageForm;
+  form.status.value = getTriageStatus(entry);
+  form.assignee.value = entry?.assignee || '';
+  form.dueDate.value = entry?.dueDate || '';
+
+  elements.triageReopened.textContent = entry?.reopened
+    ? `Reopened ${new Date(entry.reopened.at).toLocaleDateString()} (was ${TRIAGE_STATUSES[entry.reopened.from]}): ${entry.reopened.reason}`
+    : '';
+  elements.triageReopened.classList.toggle('hidden', !entry?.reopened);
+}
+
+async function handleSaveTriage() {
+  const pageUrl = elements.modal.dataset.page;
+  if (!currentSiteUrl || !pageUrl) return;
+
+  const form = elements.triageForm;
+  const page = currentAnalysis?.pages.find(p => p.page === pageUrl);
+  try {
+    await saveTriageEntry(currentSiteUrl, pageUrl, {
+      status: form.status.value,
+      assignee: form.assignee.value,
+      dueDate: form.dueDate.value
+    }, page, currentAnalysis?.dateRanges);
+  } catch (error) {
+    showToast(error.message);
+    return;
+  }
+
+  triageByPage = await getTriage(currentSiteUrl);
+  populateTriageForm(pageUrl);
+  if (currentAnalysis) renderAnalysis(currentAnalysis.summary, currentAnalysis.pages);
+}
+
+// Annotations
+async function renderPageAnnotations(pageUrl) {
+  const annotations = annotationsByPage.get(pageUrl) || [];
+  elements.annotationList.innerHTML = annotations.length === 0
+    ? '<li class="annotation-meta">No actions recorded yet. Add one when you change this page to see whether it worked.</li>'
+    : annotations.map(a => `
+      <li data-id="${a.id}">
+        <span class="annotation-meta">${a.date}</span>
+        <span class="annotation-text">
+          <strong>${ACTION_TYPES[a.type].label}</strong>${a.note ? ` · ${escapeHtml(a.note)}` : ''}
+          ${a.author ? `<span class="annotation-meta">— ${escapeHtml(a.author)}</span>` : ''}
+        </span>
+        <span class="impact" data-impact></span>
+        <button type="button" class="btn btn-text annotation-delete" title="Delete">×</button>
+      </li>
+    `).join('');
+
+  elements.annotationList.querySelectorAll('.annotation-delete').forEach(btn => {
+    btn.addEventListener('click', () => handleDeleteAnnotation(btn.closest('li').dataset.id));
+  });
+
+  if (annotations.length === 0) return;
+
+  // Before/after for each action, filled in once the rows are in
+  const response = await chrome.runtime.sendMessage({
+    action: 'GET_ANNOTATION_IMPACT',
+    siteUrl: currentSiteUrl,
+    pageUrl,
+    days: impactDays
+  });
+  if (!response.success || elements.modal.dataset.page !== pageUrl) return;
+
+  for (const annotation of response.annotations) {
+    const cell = elements.annotationList.querySelector(`li[data-id="${annotation.id}"] [data-impact]`);
+    if (cell) cell.outerHTML = renderImpact(annotation, impactDays);
+  }
+}
+
+async function handleAddAnnotation(e) {
+  e.preventDefault();
+  const pageUrl = elements.modal.dataset.page;
+  if (!currentSiteUrl || !pageUrl) return;
+
+  const form = elements.annotationForm;
+  try {
+    await addAnnotation(currentSiteUrl, {
+      page: pageUrl,
+      type: form.type.value,
+      date: form.date.value,
+      note: form.note.value,
+      author: form.author.value
+    });
+  } catch (error) {
+    showToast(error.message);
+    return;
+  }
+
+  currentAuthor = form.author.value.trim() || currentAuthor;
+  form.note.value = '';
+  await refreshAnnotations(pageUrl);
+  showToast('Action recorded');
+}
+
+async function handleDeleteAnnotation(id) {
+  await deleteAnnotation(currentSiteUrl, id);
+  await refreshAnnotations(elements.modal.dataset.page);
+}
+
+// Reload the site's annotations and redraw everything that shows them
+async function refreshAnnotations(pageUrl) {
+  annotationsByPage = groupAnnotationsByPage(await getAnnotations(currentSiteUrl));
+  if (currentAnalysis) renderAnalysis(currentAnalysis.summary, currentAnalysis.pages);
+  if (activeTab === 'actions') loadActions();
+
+  if (pageUrl && elements.modal.dataset.page === pageUrl) {
+    renderPageAnnotations(pageUrl);
+    const activeRange = elements.modal.querySelector('.trend-range-btn.active');
+    loadPageTrend(pageUrl, activeRange ? parseInt(activeRange.dataset.days, 10) : getTrendDays(currentAnalysis.dateRanges, currentSettings));
+  }
+}
+
+// "Did it work?": every annotated action with its before/after comparison
+async function loadActions() {
+  const siteUrl = currentSiteUrl;
+  elements.actionsList.innerHTML = '<div class="loading-text">Comparing traffic before and after each action...</div>';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'GET_ANNOTATION_IMPACT', siteUrl, days: impactDays });
+    if (siteUrl !== currentSiteUrl) return;
+    if (!response.success) throw new Error(response.error);
+
+    renderActions(response.annotations);
+  } catch (error) {
+    elements.actionsList.innerHTML = `<div class="error">Failed to load actions: ${error.message}</div>`;
+  }
+}
+
+function renderActions(annotations) {
+  if (annotations.length === 0) {
+    elements.actionsList.innerHTML = `
+      <div class="empty-state">
+        <p>No actions recorded yet. Open a page and add what you changed (refresh, redirect, title rewrite...) to track whether it worked.</p>
+      </div>
+    `;
+    return;
+  }
+
+  const counts = annotations.reduce((acc, a) => {
+    if (a.impact) acc[a.impact.verdict] = (acc[a.impact.verdict] || 0) + 1;
+    return acc;
+  }, {});
+
+  elements.actionsList.innerHTML = `
+    <div class="section-header">
+      <div class="header-title">
+        <h3>Did It Work?</h3>
+        <span class="count-badge">${annotations.length}</span>
+      </div>
+      <select id="impact-days-select" class="sort-select" title="Days compared on each side of the action">
+        ${IMPACT_WINDOWS.map(days => `<option value="${days}" ${days === impactDays ? 'selected' : ''}>${days} days before vs after</option>`).join('')}
+      </select>
+    </div>
+    <p class="helper-text">${counts.improved || 0} improved · ${counts.declined || 0} declined · ${counts['no change'] || 0} no change · ${counts['too early'] || 0} too early</p>
+    <div class="pages-list" style="max-height: 300px; overflow-y: auto;">
+      <table class="queries-table comparison-table" style="width: 100%;">
+        <thead>
+          <tr>
+            <th style="text-align: left;">Action / Page</th>
+            <th style="text-align: right;">Clicks before → after</th>
+            <th style="text-align: right;">Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${annotations.map(a => `
+            <tr class="action-row" data-page="${encodeURIComponent(a.page)}" style="cursor: pointer;">
+              <td style="line-height: 1.3;">
+                <span class="cluster-query">${ACTION_TYPES[a.type].label} · ${formatShortDate(a.date)}</span>
+                <span class="cluster-url" title="${escapeHtml(a.page)}">${formatPagePath(a.page)}</span>
+                ${a.note ? `<span class="loss-reason">${escapeHtml(a.note)}${a.author ? ` — ${escapeHtml(a.author)}` : ''}</span>` : ''}
+              </td>
+              <td style="text-align: right;">${a.impact ? `${fNum(a.impact.before.clicks)} → ${fNum(a.impact.after.clicks)}` : '–'}</td>
+              <td style="text-align: right;">${renderImpact(a, impactDays)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  document.getElementById('impact-days-select').addEventListener('change', (e) => {
+    impactDays = parseInt(e.target.value, 10);
+    loadActions();
+  });
+
+  elements.actionsList.querySelectorAll('.action-row').forEach(row => {
+    row.addEventListener('click', () => {
+      const pageUrl = decodeURIComponent(row.dataset.page);
+      if (currentAnalysis?.pages.some(p => p.page === pageUrl)) {
+        showPageDetail(pageUrl);
+      } else {
+        showToast('This page is not in the current analysis');
+      }
     });
   });
 }
 
 function closeModal() {
   elements.modal.classList.add('hidden');
+  delete elements.modal.dataset.page;
+}
+
+// Full-tab dashboard on the current site
+function openDashboard() {
+  const query = currentSiteUrl ? `?site=${encodeURIComponent(currentSiteUrl)}` : '';
+  chrome.tabs.create({ url: chrome.runtime.getURL(`src/dashboard/dashboard.html${query}`) });
 }
 
 // Export
-async function handleExport() {
+async function handleExport(format) {
   if (!currentSiteUrl) return;
 
   try {
+    if (format === 'xlsx') showToast('Building workbook (fetching top queries)...');
+
     const response = await chrome.runtime.sendMessage({
-      action: 'EXPORT_CSV',
-      siteUrl: currentSiteUrl
+      action: 'EXPORT_ANALYSIS',
+      siteUrl: currentSiteUrl,
+      snapshotId: currentAnalysis?.snapshotId,
+      format
     });
 
     if (!response.success) {
       throw new Error(response.error);
     }
 
-    // Create download
-    const blob = new Blob([response.csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `content-decay-${formatSiteUrl(currentSiteUrl)}-${new Date().toISOString().split('T')[0]}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
-
-    showToast('CSV exported successfully!');
+    downloadExport(response);
+    showToast(`${EXPORT_FORMATS[format].label} exported successfully!`);
 
   } catch (error) {
     showToast('Export failed: ' + error.message);
   }
 }
+
+// Google Sheets (the Sheets scope is requested on first use, from this click)
+async function handleSendToSheets() {
+  if (!currentSiteUrl) return;
+
+  try {
+    showToast('Sending to Google Sheets...');
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'PUSH_TO_SHEETS',
+      siteUrl: currentSiteUrl,
+      snapshotId: currentAnalysis?.snapshotId,
+      interactive: true
+    });
+
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    showToast(`Sent to Google Sheets (tab ${response.lastTab})`);
+    chrome.tabs.create({ url: response.spreadsheetUrl });
+
+  } catch (error) {
+    showToast('Sending to Sheets failed: ' + error.message);
+  }
+}
@@ -0,0 +1,19 @@
+// Digest report page: shows the latest digest stored for ?site=, so it can be read and printed to PDF
+
+import { getDigestReport } from '../utils/digest.js';
+
+async function init() {
+  const siteUrl = new URLSearchParams(location.search).get('site');
+  const report = siteUrl ? await getDigestReport(siteUrl) : null;
+
+  if (!report) {
+    document.getElementById('report-status').textContent = 'No digest found for this site. Generate one from the extension settings.';
+    return;
+  }
+
+  // The digest is a complete document; swap it in (inline scripts wouldn't run here, and it has none)
+  const digest = new DOMParser().parseFromString(report.html, 'text/html');
+  document.replaceChild(document.adoptNode(digest.documentElement), document.documentElement);
+}
+
+init();
@@ -0,0 +1,22 @@
+// Confirmed Google Search ranking updates (start dates, from the Google Search Status Dashboard)
+// Bundled so every site's charts show them without setup; newer ones can be imported as site events.
+
+export const ALGORITHM_UPDATES = [
+  { date: '2023-03-15', name: 'March 2023 core update' },
+  { date: '2023-04-12', name: 'April 2023 reviews update' },
+  { date: '2023-08-22', name: 'August 2023 core update' },
+  { date: '2023-09-14', name: 'September 2023 helpful content update' },
+  { date: '2023-10-04', name: 'October 2023 spam update' },
+  { date: '2023-10-05', name: 'October 2023 core update' },
+  { date: '2023-11-02', name: 'November 2023 core update' },
+  { date: '2023-11-08', name: 'November 2023 reviews update' },
+  { date: '2024-03-05', name: 'March 2024 core update' },
+  { date: '2024-06-20', name: 'June 2024 spam update' },
+  { date: '2024-08-15', name: 'August 2024 core update' },
+  { date: '2024-11-11', name: 'November 2024 core update' },
+  { date: '2024-12-12', name: 'December 2024 core update' },
+  { date: '2024-12-19', name: 'December 2024 spam update' },
+  { date: '2025-03-13', name: 'March 2025 core update' },
+  { date: '2025-06-30', name: 'June 2025 core update' },
+  { date: '2025-08-26', name: 'August 2025 spam update' }
+];
@@ -0,0 +1,272 @@
+// Analysis cache and snapshot history persisted in chrome.storage
+//
+// Storage layout (per site, siteKey = btoa(siteUrl)):
+//   history_<siteKey>              -> [snapshot metadata], newest first
+//   snapshot_<siteKey>_<id>        -> full analysis result for one run
+//   analysis_<siteKey>_<hash>      -> { snapshotId, timestamp } pointer for cache lookups
+//   aux_<kind>_<siteKey>_<hash>    -> { timestamp, data } for secondary analyses (no history)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RETENTION = {
+  cacheMaxAge: 12 * 60 * 60 * 1000, // Serve a cached analysis for 12 hours
+  snapshotMaxAge: 180 * DAY_MS,      // Keep ~6 months of history
+  maxSnapshotsPerSite: 60
+};
+
+function siteKey(siteUrl) {
+  return btoa(siteUrl);
+}
+
+function historyKey(siteUrl) {
+  return `history_${siteKey(siteUrl)}`;
+}
+
+function snapshotKey(siteUrl, snapshotId) {
+  return `snapshot_${siteKey(siteUrl)}_${snapshotId}`;
+}
+
+function cacheKey(siteUrl, optionsHash) {
+  return `analysis_${siteKey(siteUrl)}_${optionsHash}`;
+}
+
+function auxKey(kind, siteUrl, optionsHash) {
+  return `aux_${kind}_${siteKey(siteUrl)}_${optionsHash}`;
+}
+
+/**
+ * Deterministic hash of the options an analysis was computed with
+ * @param {object} options - Normalized analysis settings
+ * @returns {string} 8-char hex hash
+ */
+export function hashOptions(options = {}) {
+  const str = stableStringify(options);
+  // FNV-1a (32-bit)
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Get a fresh cached analysis computed with the same options
+ */
+export async function getCachedAnalysis(siteUrl, options = {}) {
+  const key = cacheKey(siteUrl, hashOptions(options));
+  const result = await chrome.storage.local.get(key);
+  const pointer = result[key];
+
+  if (pointer) {
+    const age = Date.now() - pointer.timestamp;
+
+    if (age < RETENTION.cacheMaxAge) {
+      const snapshot = await getSnapshot(siteUrl, pointer.snapshotId);
+      if (snapshot) {
+        return {
+          success: true,
+          cached: true,
+          cacheAge: Math.round(age / 1000 / 60), // minutes
+          ...snapshot
+        };
+      }
+    }
+  }
+
+  return { success: false, cached: false };
+}
+
+/**
+ * Store an analysis run as a dated snapshot and point the options cache at it.
+ * A second run on the same day with the same options replaces the earlier one.
+ * @returns {object} The stored snapshot
+ */
+export async function saveAnalysis(siteUrl, options, result) {
+  const timestamp = Date.now();
+  const optionsHash = hashOptions(options);
+  const snapshot = {
+    id: String(timestamp),
+    timestamp,
+    optionsHash,
+    options,
+    ...result
+  };
+
+  const history = await listSnapshots(siteUrl);
+  const day = toDateKey(timestamp);
+  const replaced = history.filter(h => h.optionsHash === optionsHash && toDateKey(h.timestamp) === day);
+  const kept = history.filter(h => !replaced.includes(h));
+
+  await chrome.storage.local.set({
+    [snapshotKey(siteUrl, snapshot.id)]: snapshot,
+    [historyKey(siteUrl)]: [toMetadata(snapshot), ...kept],
+    [cacheKey(siteUrl, optionsHash)]: { snapshotId: snapshot.id, timestamp }
+  });
+
+  if (replaced.length > 0) {
+    await chrome.storage.local.remove(replaced.map(h => snapshotKey(siteUrl, h.id)));
+  }
+
+  await pruneSiteHistory(siteUrl);
+  return snapshot;
+}
+
+/**
+ * List snapshot metadata for a site (newest first, no page data)
+ */
+export async function listSnapshots(siteUrl) {
+  const key = historyKey(siteUrl);
+  const result = await chrome.storage.local.get(key);
+  return result[key] || [];
+}
+
+/**
+ * Load a full snapshot by id
+ */
+export async function getSnapshot(siteUrl, snapshotId) {
+  const key = snapshotKey(siteUrl, snapshotId);
+  const result = await chrome.storage.local.get(key);
+  return result[key] || null;
+}
+
+/**
+ * Load the most recent snapshot for a site regardless of options
+ */
+export async function getLatestSnapshot(siteUrl) {
+  const [latest] = await listSnapshots(siteUrl);
+  return latest ? getSnapshot(siteUrl, latest.id) : null;
+}
+
+/**
+ * Load the most recent snapshot older than the given one that used the same options
+ * (so day-to-day comparisons aren't skewed by settings changes)
+ * @param {number} minAgeDays - How much older it must be (e.g. 7 for week-over-week)
+ */
+export async function getPreviousSnapshot(siteUrl, snapshot, minAgeDays = 0) {
+  const history = await listSnapshots(siteUrl);
+  const before = minAgeDays > 0 ? snapshot.timestamp - minAgeDays * DAY_MS + 1 : snapshot.timestamp;
+  const previous = history.find(h => h.timestamp < before && h.optionsHash === snapshot.optionsHash);
+  return previous ? getSnapshot(siteUrl, previous.id) : null;
+}
+
+/**
+ * Get a fresh cached secondary analysis (e.g. 'cannibalization') for the same options
+ * @returns {object|null} { timestamp, cacheAge, data }
+ */
+export async function getCachedResult(kind, siteUrl, options = {}) {
+  const key = auxKey(kind, siteUrl, hashOptions(options));
+  const result = await chrome.storage.local.get(key);
+  const entry = result[key];
+
+  if (entry && Date.now() - entry.timestamp < RETENTION.cacheMaxAge) {
+    return { ...entry, cacheAge: Math.round((Date.now() - entry.timestamp) / 1000 / 60) };
+  }
+  return null;
+}
+
+/**
+ * Cache a secondary analysis result under the same retention as the main cache
+ */
+export async function saveCachedResult(kind, siteUrl, options, data) {
+  const entry = { timestamp: Date.now(), data };
+  await chrome.storage.local.set({ [auxKey(kind, siteUrl, hashOptions(options))]: entry });
+  return entry;
+}
+
+/**
+ * Drop cache pointers and secondary results (history is kept) for one site or all sites
+ */
+export async function clearCache(siteUrl = null) {
+  const storage = await chrome.storage.local.get(null);
+  const keys = Object.keys(storage).filter(k => {
+    if (!siteUrl) return k.startsWith('analysis_') || k.startsWith('aux_');
+    return k.startsWith(`analysis_${siteKey(siteUrl)}_`) ||
+      (k.startsWith('aux_') && k.includes(`_${siteKey(siteUrl)}_`));
+  });
+  if (keys.length > 0) {
+    await chrome.storage.local.remove(keys);
+  }
+}
+
+/**
+ * Apply retention limits to every site's history and drop expired cache pointers
+ * @returns {number} Number of storage keys removed
+ */
+export async function pruneAllHistory() {
+  const storage = await chrome.storage.local.get(null);
+  const now = Date.now();
+  const keysToRemove = [];
+
+  for (const [key, value] of Object.entries(storage)) {
+    if (key.startsWith('aux_')) {
+      if (!value.timestamp || now - value.timestamp > RETENTION.cacheMaxAge) keysToRemove.push(key);
+      continue;
+    }
+    if (!key.startsWith('analysis_')) continue;
+
+    // Legacy single-entry cache (analysis_<siteKey>, no options hash) or expired pointer
+    const isLegacy = !key.slice('analysis_'.length).includes('_');
+    if (isLegacy || !value.timestamp || now - value.timestamp > RETENTION.cacheMaxAge) {
+      keysToRemove.push(key);
+    }
+  }
+
+  if (keysToRemove.length > 0) {
+    await chrome.storage.local.remove(keysToRemove);
+  }
+
+  let removed = keysToRemove.length;
+  for (const key of Object.keys(storage)) {
+    if (key.startsWith('history_')) {
+      removed += await pruneSiteHistory(atob(key.slice('history_'.length)));
+    }
+  }
+
+  return removed;
+}
+
+async function pruneSiteHistory(siteUrl) {
+  const history = await listSnapshots(siteUrl);
+  const now = Date.now();
+
+  const kept = history
+    .filter(h => now - h.timestamp <= RETENTION.snapshotMaxAge)
+    .slice(0, RETENTION.maxSnapshotsPerSite);
+  const dropped = history.filter(h => !kept.includes(h));
+
+  if (dropped.length === 0) return 0;
+
+  await chrome.storage.local.set({ [historyKey(siteUrl)]: kept });
+  await chrome.storage.local.remove(dropped.map(h => snapshotKey(siteUrl, h.id)));
+  return dropped.length;
+}
+
+function toMetadata(snapshot) {
+  return {
+    id: snapshot.id,
+    timestamp: snapshot.timestamp,
+    optionsHash: snapshot.optionsHash,
+    options: snapshot.options,
+    summary: snapshot.summary,
+    dateRanges: snapshot.dateRanges
+  };
+}
+
+function toDateKey(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
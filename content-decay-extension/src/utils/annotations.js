@@ -0,0 +1,153 @@
+// Page annotations: actions taken on a page ("refreshed on 2026-03-02") and whether they worked
+//
+// Stored per site as a list; impact compares the page's daily Search Console rows in the N days
+// before an action with the N days after it (the action day itself is left out of both).
+
+import { addDays, daysBetween, fillDailyGaps, isDateString } from './dates.js';
+
+export const ACTION_TYPES = {
+  refresh: { label: 'Content refresh', short: 'Refresh' },
+  title: { label: 'Title / meta rewrite', short: 'Title' },
+  redirect: { label: 'Redirect', short: 'Redirect' },
+  consolidate: { label: 'Merged pages', short: 'Merge' },
+  links: { label: 'Internal links', short: 'Links' },
+  other: { label: 'Other', short: 'Note' }
+};
+
+// Window on each side of an action for "did it work?"
+export const IMPACT_WINDOWS = [14, 28, 56];
+export const DEFAULT_IMPACT_DAYS = 28;
+
+// After-window days needed before a verdict is given
+const MIN_AFTER_DAYS = 7;
+
+// Click change (%) that counts as a result rather than noise
+const IMPACT_THRESHOLD_PCT = 10;
+
+const NOTE_MAX_LENGTH = 500;
+
+function getAnnotationsKey(siteUrl) {
+  return `annotations_${btoa(siteUrl)}`;
+}
+
+/**
+ * All annotations of a site, newest action first
+ * @returns {Array} [{ id, page, type, date, note, author, createdAt }]
+ */
+export async function getAnnotations(siteUrl) {
+  const key = getAnnotationsKey(siteUrl);
+  const result = await chrome.storage.local.get(key);
+  return (result[key] || []).sort((a, b) => b.date.localeCompare(a.date) || b.createdAt - a.createdAt);
+}
+
+/**
+ * Record an action on a page
+ * @param {object} annotation - { page, type, date, note, author }
+ * @returns {object} The stored annotation
+ */
+export async function addAnnotation(siteUrl, annotation) {
+  const { page, type, date, note = '', author = '' } = annotation;
+  if (!page) throw new Error('Annotation needs a page');
+  if (!ACTION_TYPES[type]) throw new Error(`Unknown action type: ${type}`);
+  if (!isDateString(date)) throw new Error('Annotation needs a valid date');
+
+  const stored = {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    page,
+    type,
+    date,
+    note: String(note).trim().slice(0, NOTE_MAX_LENGTH),
+    author: String(author).trim(),
+    createdAt: Date.now()
+  };
+
+  const annotations = await getAnnotations(siteUrl);
+  await chrome.storage.local.set({ [getAnnotationsKey(siteUrl)]: [...annotations, stored] });
+  return stored;
+}
+
+export async function deleteAnnotation(siteUrl, id) {
+  const annotations = await getAnnotations(siteUrl);
+  await chrome.storage.local.set({ [getAnnotationsKey(siteUrl)]: annotations.filter(a => a.id !== id) });
+}
+
+/**
+ * Annotations keyed by page URL
+ * @returns {Map} page → [annotation]
+ */
+export function groupAnnotationsByPage(annotations) {
+  const byPage = new Map();
+  for (const annotation of annotations) {
+    if (!byPage.has(annotation.page)) byPage.set(annotation.page, []);
+    byPage.get(annotation.page).push(annotation);
+  }
+  return byPage;
+}
+
+/**
+ * Dates of daily rows needed to measure an action
+ * @returns {object} { startDate, endDate } (endDate may lie in the future; callers clamp it to available data)
+ */
+export function getImpactRange(date, days = DEFAULT_IMPACT_DAYS) {
+  return { startDate: addDays(date, -days), endDate: addDays(date, days) };
+}
+
+/**
+ * Compare a page's N days before an action with the N days after it
+ * @param {Array} trend - Daily rows [{ date, clicks, impressions, position }] covering getImpactRange
+ *   up to the latest available day
+ * @param {string} lastDate - Latest day with data (days after it don't count as zero-traffic days)
+ * @returns {object} { before, after, afterDays, changes: { clicks, impressions, ctr, position }, verdict }
+ *   verdict is 'improved', 'declined', 'no change' or 'too early'
+ */
+export function measureImpact(trend, date, days = DEFAULT_IMPACT_DAYS, lastDate = null) {
+  const { startDate, endDate } = getImpactRange(date, days);
+  const end = lastDate && lastDate < endDate ? lastDate : endDate;
+  const series = fillDailyGaps(trend, startDate, end);
+
+  const before = summarize(series.filter(d => d.date < date));
+  const after = summarize(series.filter(d => d.date > date));
+  const afterDays = end > date ? daysBetween(addDays(date, 1), end) : 0;
+
+  // Compare daily averages, so an after-window that is still filling up is comparable
+  const beforeDaily = before.clicks / days;
+  const afterDaily = afterDays > 0 ? after.clicks / afterDays : 0;
+
+  const changes = {
+    clicks: percentChange(afterDaily, beforeDaily),
+    impressions: afterDays > 0 ? percentChange(after.impressions / afterDays, before.impressions / days) : 0,
+    ctr: Math.round((after.ctr - before.ctr) * 1000) / 10,
+    position: before.position !== null && after.position !== null
+      ? Math.round((after.position - before.position) * 10) / 10
+      : null
+  };
+
+  let verdict = 'no change';
+  if (afterDays < MIN_AFTER_DAYS) verdict = 'too early';
+  else if (changes.clicks >= IMPACT_THRESHOLD_PCT) verdict = 'improved';
+  else if (changes.clicks <= -IMPACT_THRESHOLD_PCT) verdict = 'declined';
+
+  return { before, after, afterDays, changes, verdict };
+}
+
+// Totals of a run of daily rows; position is impression-weighted
+function summarize(rows) {
+  const clicks = rows.reduce((sum, d) => sum + d.clicks, 0);
+  const impressions = rows.reduce((sum, d) => sum + d.impressions, 0);
+  const ranked = rows.filter(d => d.position !== null && d.impressions > 0);
+  const rankedImpressions = ranked.reduce((sum, d) => sum + d.impressions, 0);
+
+  return {
+    clicks,
+    impressions,
+    ctr: impressions > 0 ? clicks / impressions : 0,
+    position: rankedImpressions > 0
+      ? ranked.reduce((sum, d) => sum + d.position * d.impressions, 0) / rankedImpressions
+      : null
+  };
+}
+
+function percentChange(current, previous) {
+  if (previous === 0) return current > 0 ? 100 : 0;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
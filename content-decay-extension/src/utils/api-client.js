@@ -0,0 +1,146 @@
+// Search Console request layer: token refresh, retries with exponential backoff and quota pacing
+
+import { getAccessToken, clearAccessToken, getSiteAccountId } from './auth.js';
+import { acquireRequestSlot, recordRequest, recordThrottle } from './quota.js';
+
+export const BASE_URL = 'https://www.googleapis.com/webmasters/v3';
+
+const MAX_RETRIES = 5;
+
+// Requests in flight at once; the per-minute pacing in quota.js still applies
+export const MAX_CONCURRENT_REQUESTS = 4;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 32000;
+
+// Rate limited or briefly unavailable: worth retrying
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// 403 reasons that mean "slow down" rather than "no permission"
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded', 'quotaExceeded'];
+
+/**
+ * Make authenticated API request
+ * Refreshes the token and retries once on 401, and backs off and retries on 429/5xx.
+ * @param {object} owner - { siteUrl } to use the token of the account that owns the property,
+ *   or { accountId }; defaults to the active account
+ */
+export async function apiRequest(endpoint, options = {}, owner = {}) {
+  const accountId = owner.accountId || await getSiteAccountId(owner.siteUrl);
+  let accessToken = accountId ? await getAccessToken(accountId) : null;
+
+  if (!accessToken) {
+    throw new Error('Not authenticated');
+  }
+
+  let refreshed = false;
+  let retries = 0;
+
+  while (true) {
+    await acquireRequestSlot({ siteUrl: owner.siteUrl, accountId });
+
+    let response;
+    try {
+      response = await fetch(`${BASE_URL}${endpoint}`, {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+          ...options.headers
+        }
+      });
+    } catch (error) {
+      // Network failure (offline, connection reset): retry like a 503
+      if (retries >= MAX_RETRIES) throw new Error(`Network error: ${error.message}`);
+      await sleep(getBackoffDelay(retries++));
+      continue;
+    }
+
+    recordRequest(owner.siteUrl);
+
+    if (response.status === 401) {
+      // Stored token expired early or was revoked: get a fresh one silently, once
+      await clearAccessToken(accountId);
+      accessToken = refreshed ? null : await getAccessToken(accountId);
+      refreshed = true;
+      if (!accessToken) throw new Error('Token expired. Please sign in again.');
+      continue;
+    }
+
+    if (response.ok) {
+      return response.json();
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (!isRetryable(response.status, body) || retries >= MAX_RETRIES) {
+      const error = new Error(body.error?.message || `API request failed: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const delay = getRetryAfter(response) ?? getBackoffDelay(retries);
+    if (response.status === 429 || response.status === 403) {
+      recordThrottle(owner.siteUrl, delay);
+    }
+    retries++;
+    console.warn(`Search Console returned ${response.status}, retrying in ${Math.round(delay)}ms (${retries}/${MAX_RETRIES})`);
+    await sleep(delay);
+  }
+}
+
+/**
+ * Run async tasks with at most `limit` in flight
+ * After a failure no new task starts; the ones in flight are awaited before rejecting.
+ * @param {Array<Function>} tasks - (isCancelled) => Promise; long tasks can poll isCancelled() to stop early
+ * @returns {Promise<Array>} Results in task order (rejects with the first failure)
+ */
+export async function runConcurrently(tasks, limit = MAX_CONCURRENT_REQUESTS) {
+  const results = new Array(tasks.length);
+  let next = 0;
+  let failure = null;
+  const isCancelled = () => failure !== null;
+
+  const worker = async () => {
+    while (next < tasks.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await tasks[index](isCancelled);
+      } catch (error) {
+        failure = failure || { error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  if (failure) throw failure.error;
+  return results;
+}
+
+function isRetryable(status, body) {
+  if (RETRYABLE_STATUSES.includes(status)) return true;
+  return status === 403 && (body.error?.errors || []).some(e => RATE_LIMIT_REASONS.includes(e.reason));
+}
+
+/**
+ * Exponential backoff with jitter: half the capped delay fixed, half random, so parallel
+ * requests that failed together don't retry together
+ */
+export function getBackoffDelay(retry) {
+  const cap = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** retry);
+  return cap / 2 + Math.random() * (cap / 2);
+}
+
+// Retry-After is either seconds or an HTTP date
+function getRetryAfter(response) {
+  const value = response.headers.get('Retry-After');
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.min(BACKOFF_MAX_MS, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.min(BACKOFF_MAX_MS, Math.max(0, date - Date.now()));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
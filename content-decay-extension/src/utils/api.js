@@ -1,47 +1,17 @@
 // Google Search Console API utilities
 
-const BASE_URL = 'https://www.googleapis.com/webmasters/v3';
+import { addDays, GSC_RETENTION_DAYS, YOY_OFFSET_DAYS } from './dates.js';
+import { apiRequest, runConcurrently } from './api-client.js';
 
-/**
- * Make authenticated API request
- */
-async function apiRequest(endpoint, options = {}) {
-  const result = await chrome.storage.local.get('accessToken');
-  const accessToken = result.accessToken;
-
-  if (!accessToken) {
-    throw new Error('Not authenticated');
-  }
-
-  const url = `${BASE_URL}${endpoint}`;
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Content-Type': 'application/json',
-      ...options.headers
-    }
-  });
-
-  if (response.status === 401) {
-    // Token expired, trigger re-auth
-    await chrome.storage.local.remove(['accessToken', 'expiresAt']);
-    throw new Error('Token expired. Please sign in again.');
-  }
-
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}));
-    throw new Error(error.error?.message || `API request failed: ${response.status}`);
-  }
-
-  return response.json();
-}
+// Search Analytics returns at most this many rows per request
+export const MAX_ROWS_PER_REQUEST = 25000;
 
 /**
  * Get list of verified sites from Search Console
+ * @param {string} accountId - Account to list properties for (defaults to the active account)
  */
-export async function getSites() {
-  const data = await apiRequest('/sites');
+export async function getSites(accountId = null) {
+  const data = await apiRequest('/sites', {}, { accountId });
   return data.siteEntry || [];
 }
 
@@ -69,71 +39,197 @@ export async function querySearchAnalytics(siteUrl, params) {
     {
       method: 'POST',
       body: JSON.stringify(requestBody)
-    }
+    },
+    { siteUrl }
   );
 
   return data.rows || [];
 }
 
 /**
- * Get all pages with their performance data
- * Fetches data for two periods for comparison
+ * Calculate the current/previous windows (and year-ago counterparts) for a comparison
+ * @param {object} options - { currentDays, previousDays, comparisonMode, seasonalAdjust, customRanges }
+ *   (customRanges: { current, previous } fixed windows, used in 'custom' mode)
+ * @returns {object} { mode, current, previous, seasonal } date ranges
  */
-export async function getPagePerformanceComparison(siteUrl, options = {}) {
+export function getComparisonRanges(options = {}) {
   const {
     currentDays = 30,
     previousDays = 30,
-    minImpressions = 100
+    comparisonMode = 'sequential',
+    seasonalAdjust = false,
+    customRanges = null
   } = options;
 
-  // Construct Filters if Brand Keywords exist
-  let dimensionFilterGroups = [];
-  if (options.brandKeywords) {
-    const keywords = options.brandKeywords.split(',').map(k => k.trim()).filter(k => k);
-    if (keywords.length > 0) {
-      dimensionFilterGroups = [{
-        filters: keywords.map(keyword => ({
-          dimension: 'query',
-          operator: 'notContains',
-          expression: keyword
-        }))
-      }];
+  let currentStart = getDateString(-(currentDays + 3));
+  let currentEnd = getDateString(-3);
+  let previousStart = comparisonMode === 'yoy'
+    ? addDays(currentStart, -YOY_OFFSET_DAYS)
+    : getDateString(-(currentDays + previousDays + 3));
+  let previousEnd = comparisonMode === 'yoy'
+    ? addDays(currentEnd, -YOY_OFFSET_DAYS)
+    : getDateString(-(currentDays + 3));
+
+  if (comparisonMode === 'custom' && customRanges) {
+    ({ startDate: currentStart, endDate: currentEnd } = customRanges.current);
+    ({ startDate: previousStart, endDate: previousEnd } = customRanges.previous);
+  }
+
+  // Year-ago counterparts of both windows, only if GSC still has that data
+  const seasonal = comparisonMode !== 'yoy' && seasonalAdjust &&
+    addDays(previousStart, -YOY_OFFSET_DAYS) >= getDateString(-GSC_RETENTION_DAYS)
+    ? {
+      current: { startDate: addDays(currentStart, -YOY_OFFSET_DAYS), endDate: addDays(currentEnd, -YOY_OFFSET_DAYS) },
+      previous: { startDate: addDays(previousStart, -YOY_OFFSET_DAYS), endDate: addDays(previousEnd, -YOY_OFFSET_DAYS) }
     }
+    : null;
+
+  const current = { startDate: currentStart, endDate: currentEnd };
+  return {
+    mode: comparisonMode,
+    current,
+    previous: { startDate: previousStart, endDate: previousEnd },
+    recent: getRecentRange(current),
+    seasonal
+  };
+}
+
+/**
+ * Build the dimension filter that excludes brand queries (comma-separated keywords)
+ * @returns {Array|undefined} dimensionFilterGroups for a searchAnalytics request
+ */
+export function getBrandFilterGroups(brandKeywords) {
+  if (!brandKeywords) return undefined;
+
+  const keywords = brandKeywords.split(',').map(k => k.trim()).filter(k => k);
+  if (keywords.length === 0) return undefined;
+
+  return [{
+    filters: keywords.map(keyword => ({
+      dimension: 'query',
+      operator: 'notContains',
+      expression: keyword
+    }))
+  }];
+}
+
+/**
+ * Search Analytics requests behind a page performance comparison
+ * - comparisonMode 'sequential': previous period immediately precedes the current one
+ * - comparisonMode 'yoy': previous period is the same window 52 weeks earlier
+ * - comparisonMode 'custom': the fixed windows in options.customRanges
+ * With seasonalAdjust (not in YoY mode), the same two windows one year earlier are
+ * requested as well so the analyzer can discount declines that happen every year.
+ * @returns {object} { ranges, requests: { name: { params, maxRows? } } } (params without rowLimit/startRow)
+ */
+export function getComparisonRequests(options = {}) {
+  const { comparisonMode = 'sequential' } = options;
+
+  // Construct Filters if Brand Keywords exist
+  const dimensionFilterGroups = getBrandFilterGroups(options.brandKeywords);
+
+  const ranges = getComparisonRanges(options);
+  const pageRequest = range => ({ params: { ...range, dimensions: ['page'], dimensionFilterGroups } });
+
+  const requests = {
+    current: pageRequest(ranges.current),
+    // Previous period (30-60 days ago, or the year-ago window)
+    previous: pageRequest(ranges.previous),
+    // Recent period (Last 7 days) for Velocity/Cliff detection
+    recent: pageRequest(ranges.recent),
+    // Site-wide totals for both periods (includes pages below the thresholds)
+    totalsCurrent: { params: { ...ranges.current, dimensions: [], dimensionFilterGroups }, maxRows: 1 },
+    totalsPrevious: { params: { ...ranges.previous, dimensions: [], dimensionFilterGroups }, maxRows: 1 }
+  };
+
+  // Last year's current/previous windows for seasonality adjustment
+  if (ranges.seasonal) {
+    requests.seasonalCurrent = pageRequest(ranges.seasonal.current);
+    requests.seasonalPrevious = pageRequest(ranges.seasonal.previous);
   }
 
-  // Calculate Dates
-  const currentStart = getDateString(-(currentDays + 3));
-  const currentEnd = getDateString(-3);
-  const previousStart = getDateString(-(currentDays + previousDays + 3));
-  const previousEnd = getDateString(-(currentDays + 3));
+  // Daily page rows across both periods (for decline-onset detection)
+  // In YoY mode the periods are a year apart, so only the current window is fetched
+  if (options.includeDaily) {
+    requests.daily = {
+      params: {
+        startDate: comparisonMode === 'yoy' ? ranges.current.startDate : ranges.previous.startDate,
+        endDate: ranges.current.endDate,
+        dimensions: ['page', 'date'],
+        dimensionFilterGroups
+      }
+    };
+  }
 
-  // Fetch Current Period
-  const currentPeriod = await queryAllSearchAnalytics(siteUrl, {
-    startDate: currentStart,
-    endDate: currentEnd,
-    dimensions: ['page'],
-    dimensionFilterGroups: dimensionFilterGroups.length ? dimensionFilterGroups : undefined
-  });
+  // Per-page query rows for both periods (for click-change attribution)
+  if (options.includeQueries) {
+    const queryRequest = range => ({
+      params: { ...range, dimensions: ['query', 'page'], dimensionFilterGroups },
+      maxRows: 100000
+    });
+    requests.queriesCurrent = queryRequest(ranges.current);
+    requests.queriesPrevious = queryRequest(ranges.previous);
+  }
 
-  // Previous period (30-60 days ago)
-  const previousPeriod = await queryAllSearchAnalytics(siteUrl, {
-    startDate: previousStart,
-    endDate: previousEnd,
-    dimensions: ['page'],
-    dimensionFilterGroups: dimensionFilterGroups.length ? dimensionFilterGroups : undefined
-  });
+  return { ranges, requests };
+}
 
-  // Recent period (Last 7 days) for Velocity/Cliff detection
-  const recentPeriod = await queryAllSearchAnalytics(siteUrl, {
-    startDate: getDateString(-10), // 7 days + 3 days lag
-    endDate: getDateString(-3),
-    dimensions: ['page'],
-    dimensionFilterGroups: dimensionFilterGroups.length ? dimensionFilterGroups : undefined
-  });
+// Last week of the current window (for preset windows, the week before the data lag),
+// cut at the window's start when the window is shorter
+function getRecentRange(current) {
+  const startDate = addDays(current.endDate, -7);
+  return {
+    startDate: startDate < current.startDate ? current.startDate : startDate,
+    endDate: current.endDate
+  };
+}
+
+/**
+ * Fetch every request of a comparison, several at a time (pacing happens in apiRequest)
+ * @returns {object} { name: rows }
+ */
+export async function fetchAllRequests(siteUrl, requests) {
+  const names = Object.keys(requests);
+  const results = await runConcurrently(
+    names.map(name => () => queryAllSearchAnalytics(siteUrl, requests[name].params, requests[name].maxRows))
+  );
+  return Object.fromEntries(names.map((name, i) => [name, results[i]]));
+}
+
+/**
+ * Get all pages with their performance data
+ * Fetches data for two periods for comparison (see getComparisonRequests). The service worker
+ * fetches the same requests through a resumable job (fetch-jobs.js) instead.
+ */
+export async function getPagePerformanceComparison(siteUrl, options = {}) {
+  const { ranges, requests } = getComparisonRequests(options);
+  const rows = await fetchAllRequests(siteUrl, requests);
+  return buildPerformanceComparison(rows, ranges, options);
+}
+
+/**
+ * Join the fetched rows of a comparison into per-page current/previous/recent metrics
+ * @param {object} rows - { name: rows } for the requests from getComparisonRequests
+ */
+export function buildPerformanceComparison(rows, ranges, options = {}) {
+  const { minImpressions = 100 } = options;
+  const currentPeriod = rows.current;
+
+  const seasonalCurrentMap = rows.seasonalCurrent ? new Map(rows.seasonalCurrent.map(row => [row.keys[0], row])) : null;
+  const seasonalPreviousMap = rows.seasonalPrevious ? new Map(rows.seasonalPrevious.map(row => [row.keys[0], row])) : null;
+  const dailyMap = rows.daily ? groupDailyRows(rows.daily) : null;
+  const queryMap = rows.queriesCurrent
+    ? groupQueriesByPage({ current: rows.queriesCurrent, previous: rows.queriesPrevious })
+    : null;
+
+  const totals = {
+    current: toTotals(rows.totalsCurrent),
+    previous: toTotals(rows.totalsPrevious)
+  };
 
   // Create lookup maps
-  const previousMap = new Map(previousPeriod.map(row => [row.keys[0], row]));
-  const recentMap = new Map(recentPeriod.map(row => [row.keys[0], row]));
+  const previousMap = new Map(rows.previous.map(row => [row.keys[0], row]));
+  const recentMap = new Map(rows.recent.map(row => [row.keys[0], row]));
 
   // Compare and analyze
   const comparison = currentPeriod
@@ -142,6 +238,8 @@ export async function getPagePerformanceComparison(siteUrl, options = {}) {
       const pageUrl = current.keys[0];
       const previous = previousMap.get(pageUrl);
       const recent = recentMap.get(pageUrl);
+      const seasonalCurrent = seasonalCurrentMap?.get(pageUrl);
+      const seasonalPrevious = seasonalPreviousMap?.get(pageUrl);
 
       return {
         page: pageUrl,
@@ -163,16 +261,20 @@ export async function getPagePerformanceComparison(siteUrl, options = {}) {
           ctr: recent.ctr,
           position: recent.position
         } : null,
+        seasonal: seasonalCurrent && seasonalPrevious ? {
+          current: { clicks: seasonalCurrent.clicks, impressions: seasonalCurrent.impressions },
+          previous: { clicks: seasonalPrevious.clicks, impressions: seasonalPrevious.impressions }
+        } : null,
+        daily: dailyMap ? (dailyMap.get(pageUrl) || []) : undefined,
+        queries: queryMap ? (queryMap.get(pageUrl) || []) : undefined,
         isNew: !previous
       };
     });
 
   return {
     pages: comparison,
-    dateRanges: {
-      current: { startDate: currentStart, endDate: currentEnd },
-      previous: { startDate: previousStart, endDate: previousEnd }
-    }
+    dateRanges: ranges,
+    totals
   };
 }
 
@@ -180,10 +282,14 @@ export async function getPagePerformanceComparison(siteUrl, options = {}) {
 /**
  * Get detailed query data for a specific page
  */
-export async function getPageQueryData(siteUrl, pageUrl, days = 30) {
+export async function getPageQueryData(siteUrl, pageUrl, days = 30, dateRanges = null) {
   console.log(`Fetching query comparison for: ${pageUrl}`);
 
-  const dateRange = {
+  // Reuse the analysis windows when given (e.g. year-over-year), else the last N days vs the N before
+  const dateRange = dateRanges ? {
+    current: dateRanges.current,
+    previous: dateRanges.previous
+  } : {
     current: {
       startDate: getDateString(-(days + 3)),
       endDate: getDateString(-3)
@@ -278,6 +384,14 @@ export async function getPageQueryData(siteUrl, pageUrl, days = 30) {
  * Get daily performance data for a page (for trend analysis)
  */
 export async function getPageDailyTrend(siteUrl, pageUrl, days = 90) {
+  return getPageDailyRange(siteUrl, pageUrl, getDateString(-days), getDateString(-3));
+}
+
+/**
+ * Get daily performance data for a page between two dates
+ * @returns {Array} [{ date, clicks, impressions, ctr, position }] (days without impressions omitted)
+ */
+export async function getPageDailyRange(siteUrl, pageUrl, startDate, endDate) {
   const encodedSiteUrl = encodeURIComponent(siteUrl);
 
   const data = await apiRequest(
@@ -285,8 +399,8 @@ export async function getPageDailyTrend(siteUrl, pageUrl, days = 90) {
     {
       method: 'POST',
       body: JSON.stringify({
-        startDate: getDateString(-days),
-        endDate: getDateString(-3),
+        startDate,
+        endDate,
         dimensions: ['date'],
         dimensionFilterGroups: [{
           groupType: 'and',
@@ -298,7 +412,8 @@ export async function getPageDailyTrend(siteUrl, pageUrl, days = 90) {
         }],
         rowLimit: 1000
       })
-    }
+    },
+    { siteUrl }
   );
 
   return (data.rows || []).map(row => ({
@@ -310,6 +425,105 @@ export async function getPageDailyTrend(siteUrl, pageUrl, days = 90) {
   }));
 }
 
+/**
+ * Get page+query rows for the current and previous windows of a comparison
+ * Used to find queries where several of the site's URLs compete.
+ * @param {object} options - Analysis settings (windows, brandKeywords)
+ * @param {number} maxRows - Cap per period; page+query row counts grow quickly on large sites
+ * @param {object} ranges - Fixed { mode, current, previous } windows (default: from the settings, ending today)
+ */
+export async function getPageQueryComparison(siteUrl, options = {}, maxRows = 100000, ranges = getComparisonRanges(options)) {
+  const dimensionFilterGroups = getBrandFilterGroups(options.brandKeywords);
+
+  const current = await queryAllSearchAnalytics(siteUrl, {
+    ...ranges.current,
+    dimensions: ['query', 'page'],
+    dimensionFilterGroups
+  }, maxRows);
+
+  const previous = await queryAllSearchAnalytics(siteUrl, {
+    ...ranges.previous,
+    dimensions: ['query', 'page'],
+    dimensionFilterGroups
+  }, maxRows);
+
+  return {
+    current,
+    previous,
+    dateRanges: { mode: ranges.mode, current: ranges.current, previous: ranges.previous }
+  };
+}
+
+/**
+ * Top queries of every page over an analysis' own windows (for exports)
+ * @param {object} options - Settings the analysis ran with (brandKeywords)
+ * @param {object} dateRanges - The analysis' { current, previous } windows
+ * @returns {Map} page URL -> [{ query, current, previous }] by current clicks, at most `limit` per page
+ */
+export async function getTopQueriesByPage(siteUrl, options, dateRanges, limit = 10) {
+  const byPage = groupQueriesByPage(await getPageQueryComparison(siteUrl, options, 50000, dateRanges));
+  const clicks = q => q.current?.clicks || 0;
+
+  return new Map([...byPage].map(([pageUrl, queries]) => [
+    pageUrl,
+    queries
+      .sort((a, b) => clicks(b) - clicks(a) || (b.previous?.clicks || 0) - (a.previous?.clicks || 0))
+      .slice(0, limit)
+  ]));
+}
+
+/**
+ * Regroup page+query rows into page URL -> [{ query, current, previous }]
+ */
+function groupQueriesByPage({ current, previous }) {
+  const byPage = new Map();
+  const add = (rows, period) => {
+    for (const row of rows) {
+      const [query, pageUrl] = row.keys;
+      if (!byPage.has(pageUrl)) byPage.set(pageUrl, new Map());
+      const queries = byPage.get(pageUrl);
+      if (!queries.has(query)) queries.set(query, { query, current: null, previous: null });
+      queries.get(query)[period] = {
+        clicks: row.clicks,
+        impressions: row.impressions,
+        ctr: row.ctr,
+        position: row.position
+      };
+    }
+  };
+  add(current, 'current');
+  add(previous, 'previous');
+
+  return new Map([...byPage].map(([pageUrl, queries]) => [pageUrl, [...queries.values()]]));
+}
+
+/**
+ * Get daily clicks/impressions for every page in one paginated query
+ * @returns {Map} page URL -> [{ date, clicks, impressions }] sorted by date
+ */
+export async function getPageDailySeries(siteUrl, params) {
+  return groupDailyRows(await queryAllSearchAnalytics(siteUrl, {
+    ...params,
+    dimensions: ['page', 'date']
+  }));
+}
+
+// page+date rows → page URL -> [{ date, clicks, impressions }] sorted by date
+function groupDailyRows(rows) {
+  const series = new Map();
+  for (const row of rows) {
+    const [pageUrl, date] = row.keys;
+    if (!series.has(pageUrl)) series.set(pageUrl, []);
+    series.get(pageUrl).push({ date, clicks: row.clicks, impressions: row.impressions });
+  }
+
+  for (const days of series.values()) {
+    days.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  return series;
+}
+
 /**
  * Helper: Get date string in YYYY-MM-DD format
  */
@@ -321,11 +535,12 @@ function getDateString(daysOffset = 0) {
 
 /**
  * Paginate through all results (for large sites with >25k pages)
+ * @param {number} maxRows - Stop once this many rows have been collected
  */
-export async function queryAllSearchAnalytics(siteUrl, params) {
+export async function queryAllSearchAnalytics(siteUrl, params, maxRows = Infinity) {
   const allRows = [];
   let startRow = 0;
-  const rowLimit = 25000;
+  const rowLimit = Math.min(MAX_ROWS_PER_REQUEST, maxRows);
 
   while (true) {
     const rows = await querySearchAnalytics(siteUrl, {
@@ -336,14 +551,12 @@ export async function queryAllSearchAnalytics(siteUrl, params) {
 
     allRows.push(...rows);
 
-    if (rows.length < rowLimit) {
+    if (rows.length < rowLimit || allRows.length >= maxRows) {
       break;
     }
 
+    // Pacing and rate-limit retries happen in apiRequest
     startRow += rowLimit;
-
-    // Add small delay to avoid rate limits
-    await new Promise(resolve => setTimeout(resolve, 500));
   }
 
   return allRows;
@@ -351,31 +564,43 @@ export async function queryAllSearchAnalytics(siteUrl, params) {
 
 /**
  * Get site-level summary statistics
+ * @param {string} siteUrl
+ * @param {number} days - Last N days (ignored when options.dateRange is given)
+ * @param {object} options - { dateRange: { startDate, endDate }, dimensionFilterGroups }
  */
-export async function getSiteSummary(siteUrl, days = 30) {
+export async function getSiteSummary(siteUrl, days = 30, options = {}) {
   const encodedSiteUrl = encodeURIComponent(siteUrl);
+  const { startDate, endDate } = options.dateRange || {
+    startDate: getDateString(-days),
+    endDate: getDateString(-3)
+  };
 
   const data = await apiRequest(
     `/sites/${encodedSiteUrl}/searchAnalytics/query`,
     {
       method: 'POST',
       body: JSON.stringify({
-        startDate: getDateString(-days),
-        endDate: getDateString(-3),
+        startDate,
+        endDate,
         dimensions: [],  // No dimensions = aggregate totals
+        dimensionFilterGroups: options.dimensionFilterGroups,
         rowLimit: 1
       })
-    }
+    },
+    { siteUrl }
   );
 
-  if (data.rows && data.rows.length > 0) {
-    return {
-      clicks: data.rows[0].clicks,
-      impressions: data.rows[0].impressions,
-      ctr: data.rows[0].ctr,
-      position: data.rows[0].position
-    };
-  }
+  return toTotals(data.rows);
+}
 
-  return null;
+// The single row of a no-dimension query as { clicks, impressions, ctr, position }
+function toTotals(rows) {
+  if (!rows || rows.length === 0) return null;
+  const [row] = rows;
+  return {
+    clicks: row.clicks,
+    impressions: row.impressions,
+    ctr: row.ctr,
+    position: row.position
+  };
 }
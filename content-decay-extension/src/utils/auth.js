@@ -1,75 +1,243 @@
 // Authentication utilities for Google OAuth2
+//
+// Several Google accounts can be signed in at once. Tokens come from chrome.identity.launchWebAuthFlow
+// (getAuthToken only knows the Chrome profile's account) and are stored per account; each Search Console
+// property remembers which account listed it, so its API calls use that account's token.
+
+// Requested only when results are first sent to Google Sheets (files the extension creates)
+export const SHEETS_SCOPE = 'https://www.googleapis.com/auth/drive.file';
+
+const AUTH_URL = 'https://accounts.google.com/o/oauth2/v2/auth';
+const REVOKE_URL = 'https://oauth2.googleapis.com/revoke';
+
+// Refresh a little before Google's expiry so a request never goes out with a dying token
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Signed-in accounts, the selected one, and property → owning account
+const ACCOUNTS_KEY = 'accounts';
+const ACTIVE_ACCOUNT_KEY = 'activeAccountId';
+const SITE_ACCOUNTS_KEY = 'siteAccounts';
+
+function getTokenKey(accountId) {
+  return `token_${accountId}`;
+}
 
 /**
- * Initiate OAuth2 flow using getAuthToken
- * This uses the Chrome Identity API with the oauth2 config from manifest.json
+ * Run the OAuth implicit flow in a browser window (or silently, with prompt=none)
+ * @param {object} options - { interactive, prompt, loginHint, scopes }
+ * @returns {object} { accessToken, expiresAt, scopes }
  */
-export async function signIn() {
-  return new Promise((resolve, reject) => {
-    chrome.identity.getAuthToken({ interactive: true }, (token) => {
-      if (chrome.runtime.lastError) {
-        console.error('Auth error:', chrome.runtime.lastError);
-        reject(new Error(chrome.runtime.lastError.message));
-        return;
-      }
-      
-      if (!token) {
-        reject(new Error('No token received'));
-        return;
-      }
-      
-      // Store token
-      chrome.storage.local.set({ accessToken: token }, () => {
-        resolve({ accessToken: token });
-      });
-    });
+async function authorize({ interactive, prompt, loginHint, scopes }) {
+  const { client_id: clientId, scopes: baseScopes } = chrome.runtime.getManifest().oauth2;
+  const params = new URLSearchParams({
+    client_id: clientId,
+    response_type: 'token',
+    redirect_uri: chrome.identity.getRedirectURL(),
+    scope: (scopes || baseScopes).join(' '),
+    // Tokens keep scopes granted earlier (e.g. Sheets) instead of narrowing to this request's
+    include_granted_scopes: 'true'
   });
+  if (prompt) params.set('prompt', prompt);
+  if (loginHint) params.set('login_hint', loginHint);
+
+  let responseUrl;
+  try {
+    responseUrl = await chrome.identity.launchWebAuthFlow({ url: `${AUTH_URL}?${params}`, interactive });
+  } catch (error) {
+    throw new Error(error.message || 'Authorization was cancelled');
+  }
+
+  const result = new URLSearchParams(new URL(responseUrl).hash.slice(1));
+  if (result.get('error')) {
+    throw new Error(`Authorization failed: ${result.get('error')}`);
+  }
+
+  const accessToken = result.get('access_token');
+  if (!accessToken) {
+    throw new Error('No token received');
+  }
+
+  return {
+    accessToken,
+    expiresAt: Date.now() + Number(result.get('expires_in') || 3600) * 1000,
+    scopes: (result.get('scope') || '').split(' ').filter(Boolean)
+  };
 }
 
 /**
- * Get access token (refreshes automatically if needed)
+ * All signed-in accounts
+ * @returns {Array} [{ id, email, name, picture }]
  */
-export async function getAccessToken() {
-  return new Promise((resolve) => {
-    // getAuthToken with interactive: false will return cached token or refresh if needed
-    chrome.identity.getAuthToken({ interactive: false }, (token) => {
-      if (chrome.runtime.lastError || !token) {
-        resolve(null);
-      } else {
-        // Update stored token
-        chrome.storage.local.set({ accessToken: token }, () => {
-          resolve(token);
-        });
-      }
-    });
+export async function getAccounts() {
+  const result = await chrome.storage.local.get(ACCOUNTS_KEY);
+  return result[ACCOUNTS_KEY] || [];
+}
+
+/**
+ * The account the popup and dashboard are showing (the first one if none was picked)
+ */
+export async function getActiveAccount() {
+  const result = await chrome.storage.local.get([ACCOUNTS_KEY, ACTIVE_ACCOUNT_KEY]);
+  const accounts = result[ACCOUNTS_KEY] || [];
+  return accounts.find(a => a.id === result[ACTIVE_ACCOUNT_KEY]) || accounts[0] || null;
+}
+
+// A signed-in account by id, or the active one
+async function findAccount(accountId) {
+  if (!accountId) return getActiveAccount();
+  return (await getAccounts()).find(a => a.id === accountId) || null;
+}
+
+export async function setActiveAccount(accountId) {
+  const accounts = await getAccounts();
+  if (!accounts.some(a => a.id === accountId)) {
+    throw new Error('Account is not signed in');
+  }
+  await chrome.storage.local.set({ [ACTIVE_ACCOUNT_KEY]: accountId });
+}
+
+/**
+ * Sign in a Google account (the account chooser is always shown, so another account can be added)
+ * The new account becomes the active one.
+ * @returns {object} The account { id, email, name, picture }
+ */
+export async function signIn() {
+  const token = await authorize({ interactive: true, prompt: 'select_account' });
+  const userInfo = await getUserInfo(token.accessToken);
+
+  const account = {
+    id: userInfo.id,
+    email: userInfo.email,
+    name: userInfo.name || userInfo.email,
+    picture: userInfo.picture || ''
+  };
+
+  const accounts = (await getAccounts()).filter(a => a.id !== account.id);
+  await chrome.storage.local.set({
+    [ACCOUNTS_KEY]: [...accounts, account],
+    [ACTIVE_ACCOUNT_KEY]: account.id,
+    [getTokenKey(account.id)]: token
   });
+
+  return account;
 }
 
 /**
- * Sign out and revoke token
+ * Get an account's access token, refreshing it silently once it has expired
+ * @param {string} accountId - Defaults to the active account
+ * @returns {Promise<string|null>} null if the account needs to sign in again
  */
-export async function signOut() {
-  return new Promise((resolve) => {
-    // First get the current token
-    chrome.identity.getAuthToken({ interactive: false }, (token) => {
-      if (token) {
-        // Remove the cached token
-        chrome.identity.removeCachedAuthToken({ token }, () => {
-          // Clear local storage
-          chrome.storage.local.remove(['accessToken', 'userInfo'], () => {
-            resolve();
-          });
-        });
-      } else {
-        // Just clear storage if no token
-        chrome.storage.local.remove(['accessToken', 'userInfo'], () => {
-          resolve();
-        });
-      }
-    });
+export async function getAccessToken(accountId = null) {
+  const token = await getAccountToken(accountId);
+  return token?.accessToken || null;
+}
+
+// extraScope: only accept a token that was also granted this scope
+async function getAccountToken(accountId, extraScope = null) {
+  const account = await findAccount(accountId);
+  if (!account) return null;
+
+  const key = getTokenKey(account.id);
+  const stored = (await chrome.storage.local.get(key))[key];
+  if (stored && stored.expiresAt - EXPIRY_MARGIN_MS > Date.now() &&
+      (!extraScope || stored.scopes.includes(extraScope))) {
+    return stored;
+  }
+
+  try {
+    const scopes = extraScope ? [...chrome.runtime.getManifest().oauth2.scopes, extraScope] : null;
+    const token = await authorize({ interactive: false, prompt: 'none', loginHint: account.email, scopes });
+    await chrome.storage.local.set({ [key]: token });
+    return token;
+  } catch (error) {
+    console.warn(`Silent token refresh failed for ${account.email}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Forget an account's token (e.g. after a 401) so the next request refreshes it
+ */
+export async function clearAccessToken(accountId) {
+  await chrome.storage.local.remove(getTokenKey(accountId));
+}
+
+/**
+ * Get a token that also covers the Sheets scope (incremental authorization)
+ * @param {boolean} interactive - Ask for consent if the scope has not been granted yet
+ * @param {string} accountId - Defaults to the active account
+ * @returns {Promise<string|null>} null if not granted (non-interactive only)
+ */
+export async function getSheetsToken(interactive = false, accountId = null) {
+  const token = await getAccountToken(accountId, SHEETS_SCOPE);
+  if (token || !interactive) return token?.accessToken || null;
+
+  const account = await findAccount(accountId);
+  if (!account) throw new Error('Not signed in');
+
+  const scopes = [...chrome.runtime.getManifest().oauth2.scopes, SHEETS_SCOPE];
+  const granted = await authorize({ interactive: true, loginHint: account.email, scopes });
+  if (!granted.scopes.includes(SHEETS_SCOPE)) {
+    throw new Error('Google Sheets access was not granted');
+  }
+  await chrome.storage.local.set({ [getTokenKey(account.id)]: granted });
+  return granted.accessToken;
+}
+
+/**
+ * Sign out one account and revoke its token
+ * Its properties fall back to whichever other account lists them next.
+ * @param {string} accountId - Defaults to the active account
+ */
+export async function signOut(accountId = null) {
+  const account = await findAccount(accountId);
+  if (!account) return;
+
+  const key = getTokenKey(account.id);
+  const stored = (await chrome.storage.local.get(key))[key];
+  if (stored?.accessToken) {
+    // Best effort: the token expires on its own anyway
+    await fetch(`${REVOKE_URL}?token=${encodeURIComponent(stored.accessToken)}`, { method: 'POST' })
+      .catch(error => console.warn('Token revoke failed:', error.message));
+  }
+
+  const result = await chrome.storage.local.get([ACCOUNTS_KEY, ACTIVE_ACCOUNT_KEY, SITE_ACCOUNTS_KEY]);
+  const accounts = (result[ACCOUNTS_KEY] || []).filter(a => a.id !== account.id);
+  const siteAccounts = Object.fromEntries(
+    Object.entries(result[SITE_ACCOUNTS_KEY] || {}).filter(([, id]) => id !== account.id)
+  );
+
+  await chrome.storage.local.remove(key);
+  await chrome.storage.local.set({
+    [ACCOUNTS_KEY]: accounts,
+    [ACTIVE_ACCOUNT_KEY]: result[ACTIVE_ACCOUNT_KEY] === account.id ? (accounts[0]?.id || null) : result[ACTIVE_ACCOUNT_KEY],
+    [SITE_ACCOUNTS_KEY]: siteAccounts
   });
 }
 
+/**
+ * Record which account a list of properties came from
+ */
+export async function setSiteAccount(siteUrls, accountId) {
+  const result = await chrome.storage.local.get(SITE_ACCOUNTS_KEY);
+  const siteAccounts = result[SITE_ACCOUNTS_KEY] || {};
+  for (const siteUrl of siteUrls) {
+    siteAccounts[siteUrl] = accountId;
+  }
+  await chrome.storage.local.set({ [SITE_ACCOUNTS_KEY]: siteAccounts });
+}
+
+/**
+ * Account whose token is used for a property (the active account if none has listed it yet)
+ * @returns {Promise<string|null>} Account id
+ */
+export async function getSiteAccountId(siteUrl) {
+  const result = await chrome.storage.local.get(SITE_ACCOUNTS_KEY);
+  const owner = siteUrl ? result[SITE_ACCOUNTS_KEY]?.[siteUrl] : null;
+  if (owner) return owner;
+  return (await getActiveAccount())?.id || null;
+}
+
 /**
  * Get user profile information
  */
@@ -82,18 +250,20 @@ export async function getUserInfo(accessToken) {
       }
     }
   );
-  
+
   if (!response.ok) {
     throw new Error('Failed to fetch user info');
   }
-  
+
   return response.json();
 }
 
 /**
- * Check if user is authenticated
+ * Check if any account is signed in with a usable token
  */
 export async function isAuthenticated() {
-  const token = await getAccessToken();
-  return token !== null;
+  for (const account of await getAccounts()) {
+    if (await getAccessToken(account.id)) return true;
+  }
+  return false;
 }
@@ -0,0 +1,135 @@
+// Query-level cannibalization detection
+// Finds queries where two or more of the site's URLs split impressions or swap the lead between periods
+
+const DEFAULTS = {
+  minImpressions: 50, // Query impressions (both periods) needed to be considered
+  minShare: 0.1,      // A URL competes if it holds >= 10% of the query's impressions in either period
+  maxClusters: 200
+};
+
+/**
+ * Detect cannibalization clusters from page+query rows
+ * @param {Array} currentRows - GSC rows with keys [query, page] for the current window
+ * @param {Array} previousRows - Same for the previous window
+ * @param {object} options - { minImpressions, minShare, maxClusters }
+ * @returns {Array} Clusters sorted by lost clicks:
+ *   { query, pages, winner, loser, swapped, split, lostClicks, current, previous }
+ */
+export function detectCannibalization(currentRows, previousRows, options = {}) {
+  const { minImpressions, minShare, maxClusters } = { ...DEFAULTS, ...options };
+
+  // query -> page -> { current, previous }
+  const byQuery = new Map();
+  const addRows = (rows, period) => {
+    for (const row of rows) {
+      const [query, page] = row.keys;
+      if (!byQuery.has(query)) byQuery.set(query, new Map());
+      const pages = byQuery.get(query);
+      if (!pages.has(page)) pages.set(page, { page, current: null, previous: null });
+      pages.get(page)[period] = {
+        clicks: row.clicks,
+        impressions: row.impressions,
+        ctr: row.ctr,
+        position: row.position
+      };
+    }
+  };
+  addRows(currentRows, 'current');
+  addRows(previousRows, 'previous');
+
+  const clusters = [];
+
+  for (const [query, pageMap] of byQuery) {
+    if (pageMap.size < 2) continue;
+
+    const entries = [...pageMap.values()];
+    const current = sumPeriod(entries, 'current');
+    const previous = sumPeriod(entries, 'previous');
+    if (current.impressions + previous.impressions < minImpressions) continue;
+
+    const competing = entries
+      .map(e => ({
+        ...e,
+        currentShare: share(e.current, current),
+        previousShare: share(e.previous, previous),
+        clickChange: (e.current?.clicks || 0) - (e.previous?.clicks || 0)
+      }))
+      .filter(e => e.currentShare >= minShare || e.previousShare >= minShare);
+    if (competing.length < 2) continue;
+
+    const leaderNow = findLeader(competing, 'current');
+    const leaderBefore = findLeader(competing, 'previous');
+    const swapped = Boolean(leaderNow && leaderBefore && leaderNow.page !== leaderBefore.page);
+    const split = competing.filter(e => e.currentShare >= minShare).length >= 2;
+    if (!swapped && !split) continue;
+
+    const winner = leaderNow || leaderBefore;
+    const loser = competing
+      .filter(e => e.page !== winner.page)
+      .sort((a, b) => a.clickChange - b.clickChange || b.currentShare - a.currentShare)[0];
+
+    clusters.push({
+      query,
+      pages: competing
+        .sort((a, b) => (b.current?.clicks || 0) - (a.current?.clicks || 0) || b.currentShare - a.currentShare)
+        .map(e => ({
+          page: e.page,
+          current: e.current,
+          previous: e.previous,
+          currentShare: Math.round(e.currentShare * 1000) / 10,
+          previousShare: Math.round(e.previousShare * 1000) / 10
+        })),
+      winner: winner.page,
+      loser: loser.page,
+      swapped,
+      split,
+      lostClicks: Math.max(0, previous.clicks - current.clicks),
+      current,
+      previous
+    });
+  }
+
+  return clusters
+    .sort((a, b) => b.lostClicks - a.lostClicks || b.current.impressions - a.current.impressions)
+    .slice(0, maxClusters);
+}
+
+/**
+ * Roll clusters up per URL: how many queries each page is competing on and clicks lost there
+ * @returns {Array} [{ page, queries, lostClicks, wins, losses }] sorted by lost clicks
+ */
+export function summarizeCannibalizationByPage(clusters) {
+  const byPage = new Map();
+  const get = (page) => {
+    if (!byPage.has(page)) byPage.set(page, { page, queries: 0, lostClicks: 0, wins: 0, losses: 0 });
+    return byPage.get(page);
+  };
+
+  for (const cluster of clusters) {
+    for (const p of cluster.pages) get(p.page).queries++;
+    get(cluster.winner).wins++;
+    const loser = get(cluster.loser);
+    loser.losses++;
+    loser.lostClicks += cluster.lostClicks;
+  }
+
+  return [...byPage.values()].sort((a, b) => b.lostClicks - a.lostClicks || b.queries - a.queries);
+}
+
+function sumPeriod(entries, period) {
+  return entries.reduce((acc, e) => ({
+    clicks: acc.clicks + (e[period]?.clicks || 0),
+    impressions: acc.impressions + (e[period]?.impressions || 0)
+  }), { clicks: 0, impressions: 0 });
+}
+
+function share(metrics, total) {
+  return metrics && total.impressions > 0 ? metrics.impressions / total.impressions : 0;
+}
+
+// Leading URL in a period: most clicks, then best (lowest) position
+function findLeader(entries, period) {
+  return entries
+    .filter(e => e[period])
+    .sort((a, b) => b[period].clicks - a[period].clicks || a[period].position - b[period].position)[0] || null;
+}
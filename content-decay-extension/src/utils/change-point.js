@@ -0,0 +1,90 @@
+// Change-point detection for daily metric series
+// CUSUM estimator with a bootstrap confidence level (Taylor's change-point analysis)
+
+const DEFAULTS = {
+  bootstraps: 200,
+  minSegment: 7 // Each side of the change must span at least a week
+};
+
+/**
+ * Find the single most likely shift in the mean of a series
+ * @param {number[]} values - Evenly spaced (daily) observations
+ * @param {object} options - { bootstraps, minSegment }
+ * @returns {object|null} { index, preLevel, postLevel, confidence } where index is
+ *   the first observation after the change, or null if the series is too short/flat
+ */
+export function detectChangePoint(values, options = {}) {
+  const { bootstraps, minSegment } = { ...DEFAULTS, ...options };
+  const n = values.length;
+  if (n < minSegment * 2) return null;
+
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const observed = cusum(values, mean, minSegment);
+  if (observed.range === 0 || observed.index === -1) return null;
+
+  // Confidence: how often a random reordering (no change by construction)
+  // produces a smaller CUSUM range than the observed series
+  const random = mulberry32(n);
+  const shuffled = [...values];
+  let below = 0;
+  for (let b = 0; b < bootstraps; b++) {
+    shuffle(shuffled, random);
+    if (cusum(shuffled, mean, minSegment).range < observed.range) below++;
+  }
+
+  const pre = values.slice(0, observed.index);
+  const post = values.slice(observed.index);
+
+  return {
+    index: observed.index,
+    preLevel: pre.reduce((sum, v) => sum + v, 0) / pre.length,
+    postLevel: post.reduce((sum, v) => sum + v, 0) / post.length,
+    confidence: below / bootstraps
+  };
+}
+
+/**
+ * Cumulative sum of deviations from the mean.
+ * The change is estimated where |S| peaks (restricted so both segments are >= minSegment).
+ */
+function cusum(values, mean, minSegment) {
+  const n = values.length;
+  let sum = 0;
+  let max = 0;
+  let min = 0;
+  let peak = 0;
+  let index = -1;
+
+  for (let i = 0; i < n; i++) {
+    sum += values[i] - mean;
+    if (sum > max) max = sum;
+    if (sum < min) min = sum;
+
+    const split = i + 1; // First index of the post-change segment
+    if (split >= minSegment && n - split >= minSegment && Math.abs(sum) > peak) {
+      peak = Math.abs(sum);
+      index = split;
+    }
+  }
+
+  return { range: max - min, index };
+}
+
+function shuffle(arr, random) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+}
+
+// Small seeded PRNG so the same data always yields the same confidence
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
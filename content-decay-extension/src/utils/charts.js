@@ -0,0 +1,208 @@
+// Lightweight SVG chart builders
+// Return markup strings with inline styling so they work in the popup and in exported reports alike
+
+import { fillDailyGaps } from './dates.js';
+
+export const CHART_COLORS = {
+  clicks: '#5b9aff',
+  impressions: '#a855f7',
+  position: '#f59e0b',
+  grid: 'rgba(148, 163, 184, 0.15)',
+  text: '#94a3b8',
+  marker: '#f43f5e',
+  annotation: '#10b981',
+  event: '#eab308',
+  gain: '#10b981',
+  loss: '#f43f5e',
+  total: '#64748b',
+  currentBand: 'rgba(91, 154, 255, 0.12)',
+  previousBand: 'rgba(148, 163, 184, 0.10)'
+};
+
+/**
+ * Build a daily trend line chart
+ * Clicks and impressions are each scaled to their own maximum (left axis shows clicks);
+ * position is drawn on an inverted right axis so that "up" always means better.
+ * @param {Array} trend - [{ date, clicks, impressions, ctr, position }] from getPageDailyTrend
+ * @param {object} options - { width, height, bands: [{ startDate, endDate, label, color }],
+ *   markers: [{ date, label, color }] }
+ * @returns {string} SVG markup ('' when there is no data)
+ */
+export function buildTrendChart(trend, options = {}) {
+  const { width = 360, height = 180, bands = [], markers = [] } = options;
+  const series = fillDailyGaps(trend);
+  if (series.length === 0) return '';
+
+  const pad = { top: 12, right: 30, bottom: 20, left: 36 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const lastIndex = Math.max(1, series.length - 1);
+
+  const x = (i) => pad.left + (i / lastIndex) * plotW;
+
+  const maxClicks = Math.max(1, ...series.map(d => d.clicks));
+  const maxImpressions = Math.max(1, ...series.map(d => d.impressions));
+  const positions = series.map(d => d.position).filter(p => p !== null);
+  const minPos = positions.length ? Math.max(1, Math.floor(Math.min(...positions))) : 1;
+  const maxPos = positions.length ? Math.ceil(Math.max(...positions)) : 10;
+  const posSpan = Math.max(1, maxPos - minPos);
+
+  const yClicks = (v) => pad.top + plotH - (v / maxClicks) * plotH;
+  const yImpressions = (v) => pad.top + plotH - (v / maxImpressions) * plotH;
+  const yPosition = (p) => pad.top + ((p - minPos) / posSpan) * plotH;
+
+  const indexOfDate = (date) => series.findIndex(d => d.date >= date);
+
+  // Shaded comparison windows
+  const bandRects = bands.map(band => {
+    if (band.endDate < series[0].date || band.startDate > series[series.length - 1].date) return '';
+    const startIdx = Math.max(0, indexOfDate(band.startDate));
+    const endIdx = indexOfDate(band.endDate);
+    const x1 = x(startIdx);
+    const x2 = x(endIdx === -1 ? series.length - 1 : endIdx);
+    return `
+      <rect x="${x1.toFixed(1)}" y="${pad.top}" width="${Math.max(1, x2 - x1).toFixed(1)}" height="${plotH}" fill="${band.color || CHART_COLORS.currentBand}"></rect>
+      ${band.label ? `<text x="${(x1 + 3).toFixed(1)}" y="${pad.top + 9}" font-size="8" fill="${CHART_COLORS.text}">${band.label}</text>` : ''}
+    `;
+  }).join('');
+
+  // Vertical event markers (e.g. detected decline onset, annotated actions, site events)
+  const markerLines = markers.map(marker => {
+    const idx = series.findIndex(d => d.date === marker.date);
+    if (idx === -1) return '';
+    const mx = x(idx).toFixed(1);
+    const color = marker.color || CHART_COLORS.text;
+    return `
+      <line x1="${mx}" y1="${pad.top}" x2="${mx}" y2="${pad.top + plotH}" stroke="${color}" stroke-width="1" stroke-dasharray="2 2"></line>
+      ${marker.label ? `<text x="${mx}" y="${pad.top - 2}" font-size="8" text-anchor="middle" fill="${color}">${marker.label}</text>` : ''}
+    `;
+  }).join('');
+
+  // Hover targets: one transparent column per day with a native tooltip
+  const colW = plotW / Math.max(1, series.length);
+  const hoverCols = series.map((d, i) => `
+    <rect x="${(x(i) - colW / 2).toFixed(1)}" y="${pad.top}" width="${colW.toFixed(2)}" height="${plotH}" fill="transparent">
+      <title>${formatShortDate(d.date)}: ${d.clicks} clicks, ${d.impressions} impr.${d.position !== null ? `, pos ${d.position.toFixed(1)}` : ''}</title>
+    </rect>
+  `).join('');
+
+  const midIndex = Math.floor((series.length - 1) / 2);
+
+  return `
+    <svg class="trend-chart" viewBox="0 0 ${width} ${height}" width="100%" xmlns="http://www.w3.org/2000/svg" font-family="Inter, sans-serif">
+      ${bandRects}
+      <line x1="${pad.left}" y1="${pad.top + plotH}" x2="${pad.left + plotW}" y2="${pad.top + plotH}" stroke="${CHART_COLORS.grid}"></line>
+      <line x1="${pad.left}" y1="${pad.top}" x2="${pad.left + plotW}" y2="${pad.top}" stroke="${CHART_COLORS.grid}"></line>
+      <path d="${linePath(series, x, d => yImpressions(d.impressions))}" fill="none" stroke="${CHART_COLORS.impressions}" stroke-width="1.2" stroke-opacity="0.7"></path>
+      <path d="${linePath(series, x, d => yClicks(d.clicks))}" fill="none" stroke="${CHART_COLORS.clicks}" stroke-width="1.6"></path>
+      <path d="${linePath(series, x, d => d.position === null ? null : yPosition(d.position))}" fill="none" stroke="${CHART_COLORS.position}" stroke-width="1.2" stroke-dasharray="3 2"></path>
+      <text x="${pad.left - 4}" y="${pad.top + 4}" font-size="9" text-anchor="end" fill="${CHART_COLORS.clicks}">${formatAxisNumber(maxClicks)}</text>
+      <text x="${pad.left - 4}" y="${pad.top + plotH}" font-size="9" text-anchor="end" fill="${CHART_COLORS.clicks}">0</text>
+      <text x="${pad.left + plotW + 4}" y="${pad.top + 4}" font-size="9" fill="${CHART_COLORS.position}">${minPos}</text>
+      <text x="${pad.left + plotW + 4}" y="${pad.top + plotH}" font-size="9" fill="${CHART_COLORS.position}">${maxPos}</text>
+      <text x="${pad.left}" y="${height - 4}" font-size="9" fill="${CHART_COLORS.text}">${formatShortDate(series[0].date)}</text>
+      <text x="${x(midIndex).toFixed(1)}" y="${height - 4}" font-size="9" text-anchor="middle" fill="${CHART_COLORS.text}">${formatShortDate(series[midIndex].date)}</text>
+      <text x="${pad.left + plotW}" y="${height - 4}" font-size="9" text-anchor="end" fill="${CHART_COLORS.text}">${formatShortDate(series[series.length - 1].date)}</text>
+      ${markerLines}
+      ${hoverCols}
+    </svg>
+  `;
+}
+
+/**
+ * Build a vertical waterfall chart: start total, signed steps, end total
+ * @param {object} start - { label, value }
+ * @param {Array} steps - [{ label, value }] signed contributions
+ * @param {object} end - { label, value }
+ * @returns {string} SVG markup
+ */
+export function buildWaterfallChart(start, steps, end, options = {}) {
+  const { width = 360, height = 150 } = options;
+  const pad = { top: 14, right: 4, bottom: 28, left: 4 };
+  const plotH = height - pad.top - pad.bottom;
+  const bars = [{ ...start, total: true }, ...steps, { ...end, total: true }];
+  const slot = (width - pad.left - pad.right) / bars.length;
+  const barW = slot * 0.6;
+
+  // Running level after each bar, to find the vertical extent
+  let level = 0;
+  const spans = bars.map(bar => {
+    const from = bar.total ? 0 : level;
+    const to = bar.total ? bar.value : level + bar.value;
+    level = to;
+    return { from, to };
+  });
+  const values = spans.flatMap(s => [s.from, s.to]);
+  const max = Math.max(0, ...values);
+  const min = Math.min(0, ...values);
+  const span = max - min || 1;
+  const y = (v) => pad.top + ((max - v) / span) * plotH;
+
+  const rects = bars.map((bar, i) => {
+    const { from, to } = spans[i];
+    const x = pad.left + i * slot + (slot - barW) / 2;
+    const top = y(Math.max(from, to));
+    const h = Math.max(1, Math.abs(y(from) - y(to)));
+    const color = bar.total ? CHART_COLORS.total : bar.value < 0 ? CHART_COLORS.loss : CHART_COLORS.gain;
+    const valueLabel = bar.total ? formatAxisNumber(bar.value) : `${bar.value > 0 ? '+' : ''}${formatAxisNumber(bar.value)}`;
+    return `
+      <rect x="${x.toFixed(1)}" y="${top.toFixed(1)}" width="${barW.toFixed(1)}" height="${h.toFixed(1)}" rx="2" fill="${color}">
+        <title>${bar.label}: ${valueLabel}</title>
+      </rect>
+      <text x="${(x + barW / 2).toFixed(1)}" y="${(top - 3).toFixed(1)}" font-size="8" text-anchor="middle" fill="${CHART_COLORS.text}">${valueLabel}</text>
+      <text x="${(x + barW / 2).toFixed(1)}" y="${height - 16}" font-size="7.5" text-anchor="middle" fill="${CHART_COLORS.text}">${bar.label.split(' ')[0]}</text>
+      <text x="${(x + barW / 2).toFixed(1)}" y="${height - 7}" font-size="7.5" text-anchor="middle" fill="${CHART_COLORS.text}">${bar.label.split(' ').slice(1).join(' ')}</text>
+    `;
+  }).join('');
+
+  return `
+    <svg class="waterfall-chart" viewBox="0 0 ${width} ${height}" width="100%" xmlns="http://www.w3.org/2000/svg" font-family="Inter, sans-serif">
+      <line x1="${pad.left}" y1="${y(0).toFixed(1)}" x2="${width - pad.right}" y2="${y(0).toFixed(1)}" stroke="${CHART_COLORS.grid}"></line>
+      ${rects}
+    </svg>
+  `;
+}
+
+/**
+ * Build a tiny inline sparkline for a single series of numbers
+ * @returns {string} SVG markup
+ */
+export function buildSparkline(values, options = {}) {
+  const { width = 80, height = 20, color = CHART_COLORS.clicks } = options;
+  if (!values || values.length < 2) return '';
+
+  const max = Math.max(...values);
+  const min = Math.min(...values);
+  const span = max - min || 1;
+  const points = values.map((v, i) => {
+    const px = (i / (values.length - 1)) * width;
+    const py = height - 1 - ((v - min) / span) * (height - 2);
+    return `${px.toFixed(1)},${py.toFixed(1)}`;
+  }).join(' ');
+
+  return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg"><polyline points="${points}" fill="none" stroke="${color}" stroke-width="1.5"></polyline></svg>`;
+}
+
+// Build an SVG path, breaking the line wherever y is null
+function linePath(series, x, y) {
+  let path = '';
+  let penDown = false;
+  series.forEach((d, i) => {
+    const py = y(d);
+    if (py === null) {
+      penDown = false;
+      return;
+    }
+    path += `${penDown ? 'L' : 'M'}${x(i).toFixed(1)},${py.toFixed(1)} `;
+    penDown = true;
+  });
+  return path.trim();
+}
+
+function formatShortDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+function formatAxisNumber(num) {
+  return Math.abs(num) >= 1000 ? (num / 1000).toFixed(1) + 'k' : String(Math.round(num));
+}
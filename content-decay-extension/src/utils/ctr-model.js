@@ -0,0 +1,127 @@
+// Expected click-through rate by search position
+
+// Typical organic CTR for positions 1-20 (index 0 = position 1)
+export const DEFAULT_CTR_CURVE = [
+  0.280, 0.157, 0.110, 0.080, 0.072, 0.051, 0.040, 0.032, 0.028, 0.025,
+  0.018, 0.016, 0.014, 0.012, 0.011, 0.010, 0.009, 0.008, 0.007, 0.006
+];
+
+/**
+ * Expected CTR at a (possibly fractional) average position
+ * Interpolates between whole positions; beyond the curve it keeps decaying with 1/position.
+ * @param {number} position - GSC average position (1 = top)
+ * @param {number[]} curve - CTR per whole position, index 0 = position 1
+ */
+export function expectedCtr(position, curve = DEFAULT_CTR_CURVE) {
+  const pos = Math.max(1, position || 1);
+  const last = curve.length;
+
+  if (pos >= last) {
+    return curve[last - 1] * (last / pos);
+  }
+
+  const lower = Math.floor(pos);
+  const fraction = pos - lower;
+  return curve[lower - 1] + (curve[lower] - curve[lower - 1]) * fraction;
+}
+
+// Impressions a position bucket needs before the site's own CTR fully replaces the default
+const FIT_PRIOR_IMPRESSIONS = 5000;
+
+// Fewer impressions than this across all rows and the default curve is used as-is
+const MIN_FIT_IMPRESSIONS = 10000;
+
+export const CTR_MODELS = ['site', 'default'];
+
+/**
+ * Fit a site's CTR-by-position curve from its own GSC rows
+ * Each whole position is the impression-weighted CTR of rows ranking there, shrunk
+ * toward the default curve when a bucket is thin, then forced to never increase with position.
+ * @param {Array} rows - [{ clicks, impressions, position }] e.g. page or query rows
+ * @param {number[]} fallback - Curve used for thin buckets and when there isn't enough data
+ * @returns {object} { curve, source: 'site'|'default', impressions }
+ */
+export function fitCtrCurve(rows, fallback = DEFAULT_CTR_CURVE) {
+  const buckets = fallback.map(() => ({ clicks: 0, impressions: 0 }));
+  let impressions = 0;
+
+  for (const row of rows) {
+    if (!row || !(row.impressions > 0) || !(row.position >= 1)) continue;
+    const index = Math.round(row.position) - 1;
+    if (index >= buckets.length) continue;
+    buckets[index].clicks += row.clicks;
+    buckets[index].impressions += row.impressions;
+    impressions += row.impressions;
+  }
+
+  if (impressions < MIN_FIT_IMPRESSIONS) {
+    return { curve: [...fallback], source: 'default', impressions };
+  }
+
+  const raw = buckets.map((b, i) => {
+    const weight = b.impressions / (b.impressions + FIT_PRIOR_IMPRESSIONS);
+    const siteCtr = b.impressions > 0 ? b.clicks / b.impressions : 0;
+    return weight * siteCtr + (1 - weight) * fallback[i];
+  });
+
+  return { curve: makeNonIncreasing(raw), source: 'site', impressions };
+}
+
+/**
+ * Clicks a page is missing against the CTR curve
+ * - ctrGap: at its current position (snippet / intent problem)
+ * - rankingGain: from moving up to the target position (ranking problem)
+ * @param {object} metrics - { clicks, impressions, position } for the current period
+ * @param {number[]} curve - CTR curve (fitted or default)
+ * @returns {object} { position, targetPosition, actualCtr, expectedCtr, targetCtr, ctrGap, rankingGain, potential }
+ */
+export function estimateRevivalPotential(metrics, curve = DEFAULT_CTR_CURVE) {
+  const { clicks, impressions, position } = metrics;
+  const targetPosition = getTargetPosition(position);
+  const actualCtr = impressions > 0 ? clicks / impressions : 0;
+  const currentExpected = expectedCtr(position, curve);
+  const targetExpected = expectedCtr(targetPosition, curve);
+
+  const ctrGap = Math.max(0, Math.round(impressions * (currentExpected - actualCtr)));
+  const rankingGain = Math.max(0, Math.round(impressions * (targetExpected - currentExpected)));
+
+  return {
+    position: Math.round(position * 10) / 10,
+    targetPosition,
+    actualCtr: roundCtr(actualCtr),
+    expectedCtr: roundCtr(currentExpected),
+    targetCtr: roundCtr(targetExpected),
+    ctrGap,
+    rankingGain,
+    potential: ctrGap + rankingGain
+  };
+}
+
+// A realistic next step up: top 3 -> #1, page one -> top 3, page two -> page one, deeper -> page two
+function getTargetPosition(position) {
+  if (position <= 3) return 1;
+  if (position <= 10) return 3;
+  if (position <= 20) return 10;
+  return 20;
+}
+
+// Pool adjacent violators so CTR never rises as position worsens
+function makeNonIncreasing(values) {
+  const blocks = [];
+  for (const value of values) {
+    blocks.push({ sum: value, count: 1 });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      if (prev.sum / prev.count >= last.sum / last.count) break;
+      prev.sum += last.sum;
+      prev.count += last.count;
+      blocks.pop();
+    }
+  }
+  return blocks.flatMap(b => Array(b.count).fill(Math.round((b.sum / b.count) * 10000) / 10000));
+}
+
+function roundCtr(ctr) {
+  return Math.round(ctr * 10000) / 10000;
+}
@@ -0,0 +1,83 @@
+// Date helpers for YYYY-MM-DD strings (as used by the Search Console API)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Search Console keeps ~16 months of data
+export const GSC_RETENTION_DAYS = 486;
+
+// Year-over-year windows shift by 52 weeks so weekdays line up
+export const YOY_OFFSET_DAYS = 364;
+
+// Search Console data lags by ~3 days
+export const DATA_LAG_DAYS = 3;
+
+/**
+ * Shift a YYYY-MM-DD date string by a number of days
+ */
+export function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Local calendar date of a timestamp as YYYY-MM-DD
+ */
+export function toLocalDateString(timestamp) {
+  const date = new Date(timestamp);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Days Search Console can serve: back to its retention limit, up to the last day past the data lag
+ * @returns {object} { earliest, latest } as YYYY-MM-DD
+ */
+export function getAvailableDateRange(now = Date.now()) {
+  const today = toLocalDateString(now);
+  return {
+    earliest: addDays(today, -GSC_RETENTION_DAYS),
+    latest: addDays(today, -DATA_LAG_DAYS)
+  };
+}
+
+/**
+ * Whether a value is a real YYYY-MM-DD date
+ */
+export function isDateString(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) && addDays(value, 0) === value;
+}
+
+/**
+ * Inclusive number of days between two YYYY-MM-DD date strings
+ */
+export function daysBetween(startDate, endDate) {
+  return Math.round((Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / DAY_MS) + 1;
+}
+
+/**
+ * Turn sparse daily rows into a continuous series
+ * GSC omits days with no impressions; those are inserted as zero-traffic days.
+ * @param {Array} rows - [{ date, clicks, impressions, ctr?, position? }]
+ * @param {string} startDate - First day (defaults to the earliest row)
+ * @param {string} endDate - Last day (defaults to the latest row)
+ */
+export function fillDailyGaps(rows, startDate = null, endDate = null) {
+  if (!rows || (rows.length === 0 && !(startDate && endDate))) return [];
+
+  const byDate = new Map(rows.map(d => [d.date, d]));
+  const sorted = [...byDate.keys()].sort();
+  const first = startDate || sorted[0];
+  const last = endDate || sorted[sorted.length - 1];
+  const filled = [];
+
+  for (let date = first; date <= last; date = addDays(date, 1)) {
+    const row = byDate.get(date);
+    filled.push(row
+      ? { ctr: 0, ...row, position: row.position || null }
+      : { date, clicks: 0, impressions: 0, ctr: 0, position: null });
+  }
+
+  return filled;
+}
@@ -1,27 +1,49 @@
 // Content Decay Analysis Engine
 // Detects declining content based on Search Console metrics using 3-level diagnosis
 
+import { detectChangePoint } from './change-point.js';
+import { daysBetween, fillDailyGaps } from './dates.js';
+import { attributeClickChange } from './query-attribution.js';
+import { DEFAULT_CTR_CURVE, fitCtrCurve, estimateRevivalPotential } from './ctr-model.js';
+import { DEFAULT_RULE_SET } from './decay-rules.js';
+
+// Below this many clicks across the window, onset detection runs on impressions instead
+const MIN_CLICKS_FOR_ONSET = 30;
+
 /**
  * Analyze content decay using advanced diagnostic patterns
  * @param {Array} pageComparisons - Array of page objects with current, previous, and recent metrics
- * @param {object} options - Analysis options including weights
+ * @param {object} options - Analysis options including weights, ctrModel and ruleSet
  * @returns {Array} Analyzed pages sorted by decay severity
  */
 export function analyzeContentDecay(comparisonResult, options = {}) {
-  const weights = options.weights || {
+  const weights = {
     clicks: 0.4,
     impressions: 0.3,
     ctr: 0.2,
-    position: 2.0
+    position: 2.0,
+    ...options.weights
   };
 
   const pages = comparisonResult.pages || comparisonResult; // Handle both old array and new object format
   const dateRanges = comparisonResult.dateRanges || null;
 
+  const ruleSet = options.ruleSet || DEFAULT_RULE_SET;
+
+  // Expected CTR by position: the site's own curve (from every page's current metrics) or the default
+  const ctrModel = options.ctrModel === 'default'
+    ? { curve: [...DEFAULT_CTR_CURVE], source: 'default', impressions: 0 }
+    : fitCtrCurve(pages.map(page => page.current));
+
   const analyzed = pages
     .filter(page => page.previous !== null)
-    .map(page => {
-      const diagnosis = diagnoseDecay(page, weights);
+    .map(({ daily, queries, ...page }) => {
+      const diagnosis = diagnoseDecay(page, weights, ctrModel.curve, ruleSet, dateRanges);
+      // Daily and query rows are only inputs; they are not kept in the result
+      diagnosis.onset = daily ? detectDeclineOnset(daily, dateRanges) : null;
+      diagnosis.attribution = queries && queries.length > 0
+        ? attributeClickChange(queries, page, { ctrCurve: ctrModel.curve })
+        : null;
       return {
         ...page,
         decay: diagnosis
@@ -31,7 +53,8 @@ export function analyzeContentDecay(comparisonResult, options = {}) {
 
   return {
     pages: analyzed,
-    dateRanges
+    dateRanges,
+    ctrModel
   };
 }
 
@@ -39,8 +62,11 @@ export function analyzeContentDecay(comparisonResult, options = {}) {
  * Advanced Diagnosis System (The Revival Engine)
  * @param {object} page - Page object with {current, previous, recent} data
  * @param {object} weights - User configured weights
+ * @param {number[]} ctrCurve - Expected CTR by position
+ * @param {object} ruleSet - Classification rules
+ * @param {object} dateRanges - The comparison's windows (their lengths turn sums into daily rates)
  */
-function diagnoseDecay(page, weights) {
+function diagnoseDecay(page, weights, ctrCurve, ruleSet, dateRanges = null) {
   const current = page.current;
   const previous = page.previous;
   const recent = page.recent;
@@ -53,88 +79,66 @@ function diagnoseDecay(page, weights) {
     position: previous.position - current.position // Positive = improved
   };
 
+  // Seasonality: compare against how the same windows moved a year ago.
+  // Trend checks use the seasonally adjusted changes so recurring dips aren't flagged as decay.
+  const seasonality = getSeasonalAdjustment(page, changes);
+  const trendChanges = seasonality
+    ? { ...changes, clicks: seasonality.adjusted.clicks, impressions: seasonality.adjusted.impressions }
+    : changes;
+
   // 2. Revival Score (Opportunity Calculation)
   // "How many clicks SHOULD this page be getting vs what it IS getting?"
-  // Simplified Model: Assume top ranking achieves ~20% CTR.
-  // Revival Potential = (Impressions * 0.20) - Current Clicks
-  // We weight it by Position to be realistic (if you are pos 50, potential is lower unless you rank up)
-  // BUT the user wants "Revival", so we assume the goal is to rank up.
-  const idealCtr = 0.20;
-  const potentialClicks = current.impressions * idealCtr;
-  const revivalScore = Math.max(0, Math.round(potentialClicks - current.clicks));
-
-  // 3. Velocity Checks
-  let velocityScore = 0;
-  let isCliff = false;
-
-  if (recent) {
-    const dailyClicksMonth = current.clicks / 30;
-    const dailyClicksWeek = recent.clicks / 7;
-    const velocityChange = calculatePercentChange(dailyClicksWeek, dailyClicksMonth);
-
-    if (velocityChange < -30) {
-      isCliff = true;
-      velocityScore = 20;
-    }
-  }
+  // Expected CTR comes from the position curve: the gap at the current position (snippet fixes)
+  // plus the gain from reaching a realistic target position (ranking fixes).
+  const revival = estimateRevivalPotential(current, ctrCurve);
+  const revivalScore = revival.potential;
+
+  // Weighted Decline (user-tunable weights; higher = worse)
+  // Percent drops in clicks/impressions/CTR plus positions lost, each scaled by its weight
+  const weightedDecline =
+    -trendChanges.clicks * weights.clicks +
+    -trendChanges.impressions * weights.impressions +
+    -changes.ctr * weights.ctr +
+    -changes.position * weights.position;
+  const decayScore = Math.max(0, Math.round(weightedDecline * 10) / 10);
+
+  // 3. Velocity Check: the recent week's daily clicks vs the current window's
+  // (each sum divided by its own window's length; windows are configurable and custom ones can be short)
+  const currentDays = dateRanges?.current ? daysBetween(dateRanges.current.startDate, dateRanges.current.endDate) : 30;
+  const recentDays = dateRanges?.recent ? daysBetween(dateRanges.recent.startDate, dateRanges.recent.endDate) : 7;
+  const velocityChange = recent
+    ? calculatePercentChange(recent.clicks / recentDays, current.clicks / currentDays)
+    : null;
 
   // 4. Taxonomy Classification (The Decay Types)
-  // We classify the page into a specific "Character"
-  let decayClass = 'healthy';
-  const signals = [];
-  const symptoms = [];
-
-  // Class A: The Ghost Town (Zeroed out)
-  if (current.clicks === 0 && current.impressions < 100) {
-    decayClass = 'ghost_town';
-    symptoms.push('👻 Ghost Town');
-  }
-  // Class B: The Zombie (High Impressions, Dead Clicks - HUGE Opportunity)
-  else if (current.impressions > 1000 && current.ctr < 0.5) {
-    decayClass = 'zombie';
-    symptoms.push('🧟 Zombie Page');
-    signals.push('low_ctr_high_imp');
-  }
-  // Class C: The Plunge (Velocity Cliff)
-  else if (isCliff) {
-    decayClass = 'plunge';
-    symptoms.push('📉 The Plunge');
-    signals.push('velocity_cliff');
-  }
-  // Class D: The Bleeder (Steady decline)
-  else if (changes.clicks < -10 && changes.position > -2) {
-    decayClass = 'bleeder';
-    symptoms.push('🩸 The Bleeder');
-    signals.push('slow_bleed');
-  }
-  // Class E: Rank Rot (Lost position)
-  else if (changes.position < -3) {
-    decayClass = 'rank_rot';
-    symptoms.push('⚔️ Rank Rot');
-  }
-  // Healthy Check
-  else if (changes.clicks > -5) {
-    decayClass = 'healthy';
-  } else {
-    decayClass = 'decaying'; // Generic fallback
-    symptoms.push('Decay Detected');
-  }
+  // The page's "Character" comes from the declarative rule set (first matching class wins)
+  const seasonalitySummary = seasonality ? {
+    expectedClicksChange: Math.round(seasonality.expected.clicks * 10) / 10,
+    adjustedClicksChange: Math.round(seasonality.adjusted.clicks * 10) / 10,
+    adjustedImpressionsChange: Math.round(seasonality.adjusted.impressions * 10) / 10,
+    isSeasonal: seasonality.isSeasonal
+  } : null;
 
-  // Final Severity Mapping
-  const severityMap = {
-    'plunge': 'critical',
-    'zombie': 'warning', // Zombie is actually high potential, so we warn to fix it
-    'rank_rot': 'critical',
-    'bleeder': 'warning',
-    'ghost_town': 'monitoring',
-    'decaying': 'monitoring',
-    'healthy': 'healthy'
+  const facts = {
+    current,
+    previous,
+    recent,
+    changes,
+    trend: trendChanges,
+    velocity: { change: velocityChange },
+    revival: {
+      ...revival,
+      ctrRatio: revival.expectedCtr > 0 ? revival.actualCtr / revival.expectedCtr : null
+    },
+    seasonality: seasonalitySummary,
+    decayScore
   };
-
-  const severity = severityMap[decayClass];
+  const { decayClass, severity, signals, symptoms, recommendation } = classifyPage(facts, ruleSet);
 
   return {
     score: revivalScore, // Note: returning Revival Potential as the main score now!
+    decayScore,
+    revival,
     decayClass,
     severity,
     changes: {
@@ -143,39 +147,145 @@ function diagnoseDecay(page, weights) {
       ctr: Math.round(changes.ctr * 10) / 10,
       position: Math.round(changes.position * 10) / 10
     },
+    seasonality: seasonalitySummary,
     signals,
     symptoms,
-    recommendation: getRevivalRecommendations(decayClass, signals, revivalScore)
+    recommendation
   };
 }
 
 /**
- * Get Revival-Focused Recommendations
+ * Seasonally adjust click/impression changes using last year's movement between the same windows
+ * e.g. -40% this year when the same period last year went -35% is an adjusted change of ~-7.7%
+ * @returns {object|null} { expected, adjusted, isSeasonal } or null without year-ago data
  */
-function getRevivalRecommendations(decayClass, signals, revivalScore) {
-  const recs = [];
+function getSeasonalAdjustment(page, changes) {
+  const seasonal = page.seasonal;
+  if (!seasonal || seasonal.previous.clicks === 0 || seasonal.previous.impressions === 0) return null;
 
-  if (decayClass === 'zombie') {
-    recs.push(`🧟 **Revive this Zombie**: It has visibility but no clicks. Fix the Title & Meta Description ASAP.`);
-    recs.push(`💰 **Opportunity**: Optimizing this could yield ~${revivalScore} more clicks.`);
-  }
-  else if (decayClass === 'plunge') {
-    recs.push('📉 **Stop the Plunge**: Technical audit required. Check robots.txt and recent code pushes.');
-  }
-  else if (decayClass === 'bleeder') {
-    recs.push('🩸 **Stem the Bleed**: Your content is aging. Add a "Last Updated" section and fresh stats.');
+  const expected = {
+    clicks: calculatePercentChange(seasonal.current.clicks, seasonal.previous.clicks),
+    impressions: calculatePercentChange(seasonal.current.impressions, seasonal.previous.impressions)
+  };
+  const adjusted = {
+    clicks: adjustForSeason(changes.clicks, expected.clicks),
+    impressions: adjustForSeason(changes.impressions, expected.impressions)
+  };
+
+  return {
+    expected,
+    adjusted,
+    // Declined, but in line with last year's pattern
+    isSeasonal: changes.clicks < -10 && expected.clicks < -10 && adjusted.clicks > -10
+  };
+}
+
+function adjustForSeason(actualPct, expectedPct) {
+  if (expectedPct <= -100) return actualPct;
+  return ((1 + actualPct / 100) / (1 + expectedPct / 100) - 1) * 100;
+}
+
+/**
+ * Detect when a page's decline started from its daily series
+ * @param {Array} daily - [{ date, clicks, impressions }] covering both periods
+ * @param {object} dateRanges - { current, previous } windows used for the comparison
+ * @returns {object|null} { date, metric, preLevel, postLevel, changePct, confidence } for declines only
+ */
+export function detectDeclineOnset(daily, dateRanges = null) {
+  // YoY windows are a year apart; only the current window has daily rows then
+  const startDate = dateRanges?.mode === 'yoy'
+    ? dateRanges.current.startDate
+    : dateRanges?.previous?.startDate;
+  const series = fillDailyGaps(
+    daily,
+    startDate || null,
+    dateRanges?.current?.endDate || null
+  );
+  if (series.length === 0) return null;
+
+  const totalClicks = series.reduce((sum, d) => sum + d.clicks, 0);
+  const metric = totalClicks >= MIN_CLICKS_FOR_ONSET ? 'clicks' : 'impressions';
+  const result = detectChangePoint(series.map(d => d[metric]));
+
+  if (!result || result.postLevel >= result.preLevel) return null;
+
+  return {
+    date: series[result.index].date,
+    metric,
+    preLevel: Math.round(result.preLevel * 10) / 10,
+    postLevel: Math.round(result.postLevel * 10) / 10,
+    changePct: Math.round(calculatePercentChange(result.postLevel, result.preLevel) * 10) / 10,
+    confidence: Math.round(result.confidence * 100) / 100
+  };
+}
+
+/**
+ * Rule engine: classify a page with a declarative rule set (see decay-rules.js)
+ * The first class whose condition matches sets class, severity and recommendations;
+ * every matching tag adds its symptom and signals on top.
+ * @param {object} facts - Metrics the rule conditions can reference
+ * @param {object} ruleSet - { classes, tags }
+ * @returns {object} { decayClass, severity, signals, symptoms, recommendation }
+ */
+export function classifyPage(facts, ruleSet = DEFAULT_RULE_SET) {
+  const match = ruleSet.classes.find(rule => !rule.when || evaluateCondition(rule.when, facts));
+  const signals = match ? [...match.signals] : [];
+  const symptoms = match?.label ? [match.label] : [];
+
+  for (const tag of ruleSet.tags || []) {
+    if (!evaluateCondition(tag.when, facts)) continue;
+    if (tag.label) symptoms.push(tag.label);
+    signals.push(...tag.signals);
   }
-  else if (decayClass === 'rank_rot') {
-    recs.push('⚔️ **Fight Back**: Competitors overtook you. Expand word count and add unique video/images.');
+
+  const recommendation = (match?.recommendations || []).map(text => fillTemplate(text, facts));
+  if (recommendation.length === 0) recommendation.push('Monitor performance.');
+
+  return {
+    decayClass: match ? match.id : 'healthy',
+    severity: match ? match.severity : 'healthy',
+    signals,
+    symptoms,
+    recommendation
+  };
+}
+
+/**
+ * Evaluate a rule condition ({ all }, { any }, { not } or { fact, op, value }) against facts
+ * A comparison on a missing fact (e.g. velocity without recent data) is false.
+ */
+export function evaluateCondition(condition, facts) {
+  if (condition.all) return condition.all.every(c => evaluateCondition(c, facts));
+  if (condition.any) return condition.any.some(c => evaluateCondition(c, facts));
+  if (condition.not) return !evaluateCondition(condition.not, facts);
+
+  const actual = getFact(facts, condition.fact);
+  if (actual === undefined || actual === null) {
+    return condition.op === '==' ? condition.value === null : condition.op === '!=' && condition.value !== null;
   }
-  else if (decayClass === 'ghost_town') {
-    recs.push('👻 **Exorcise**: This page is dead. Consider deleting or 301 redirecting to a healthy page.');
+
+  switch (condition.op) {
+    case '<': return actual < condition.value;
+    case '<=': return actual <= condition.value;
+    case '>': return actual > condition.value;
+    case '>=': return actual >= condition.value;
+    case '==': return actual === condition.value;
+    case '!=': return actual !== condition.value;
+    default: return false;
   }
+}
 
-  // Fallback
-  if (recs.length === 0) recs.push('Monitor performance.');
+function getFact(facts, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), facts);
+}
 
-  return recs;
+// Replace {fact.path} placeholders with rounded fact values
+function fillTemplate(text, facts) {
+  return text.replace(/\{([\w.]+)\}/g, (placeholder, path) => {
+    const value = getFact(facts, path);
+    if (value === undefined || value === null) return placeholder;
+    return typeof value === 'number' ? String(Math.round(value * 10) / 10) : String(value);
+  });
 }
 
 /**
@@ -218,27 +328,3 @@ function createEmptySummary() {
     totalPages: 0, criticalCount: 0, warningCount: 0, monitoringCount: 0, healthyCount: 0, healthScore: 100, avgDecayScore: 0
   };
 }
-
-export function exportToCSV(analyzedPages) {
-  const headers = [
-    'URL', 'Diagnosis', 'Severity', 'Score',
-    'Clicks Change %', 'Impression Change %', 'CTR Change %', 'Pos Change',
-    'Current Clicks', 'Previous Clicks', 'Recs'
-  ];
-
-  const rows = analyzedPages.map(p => [
-    p.page,
-    p.decay.symptoms.join(' + ') || 'General Decay',
-    p.decay.severity,
-    p.decay.score,
-    p.decay.changes.clicks,
-    p.decay.changes.impressions,
-    p.decay.changes.ctr,
-    p.decay.changes.position,
-    p.current.clicks,
-    p.previous?.clicks || 0,
-    p.decay.recommendation[0] || ''
-  ]);
-
-  return [headers, ...rows].map(r => r.map(c => `"${c}"`).join(',')).join('\n');
-}
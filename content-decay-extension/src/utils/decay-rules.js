@@ -0,0 +1,273 @@
+// Declarative decay classification rules persisted in chrome.storage
+//
+// A rule set is plain JSON:
+//   {
+//     version: 1,
+//     name: 'My taxonomy',
+//     classes: [ { id, label, severity, when, signals, recommendations } ],  // first match wins
+//     tags:    [ { id, label, when, signals } ]                              // every match is added
+//   }
+// Conditions (`when`) are { all: [...] }, { any: [...] }, { not: {...} } or a comparison
+// { fact: 'current.impressions', op: '>', value: 1000 }. A class without `when` always matches.
+// Recommendation text may reference facts as {revival.ctrGap}.
+//
+// Facts available to conditions and templates (see decay-analyzer.js):
+//   current.*, previous.*, recent.*  clicks, impressions, ctr (0-1), position
+//   changes.*                         % change in clicks, impressions, ctr; positions gained
+//   trend.*                           like changes, with clicks/impressions seasonally adjusted
+//   velocity.change                   % change of the recent week's daily clicks vs the current window's (per-day rates)
+//   revival.*                         expectedCtr, actualCtr, ctrRatio, targetPosition, ctrGap, rankingGain, potential
+//   seasonality.*                     expectedClicksChange, adjustedClicksChange, isSeasonal
+//   decayScore                        weighted decline score
+
+const RULES_KEY = 'decayRules';
+
+export const RULE_SET_VERSION = 1;
+
+export const SEVERITIES = ['critical', 'warning', 'monitoring', 'healthy'];
+
+export const OPERATORS = ['<', '<=', '>', '>=', '==', '!='];
+
+export const DEFAULT_RULE_SET = {
+  version: RULE_SET_VERSION,
+  name: 'Default taxonomy',
+  classes: [
+    {
+      id: 'ghost_town',
+      label: '👻 Ghost Town',
+      severity: 'monitoring',
+      when: {
+        all: [
+          { fact: 'current.clicks', op: '==', value: 0 },
+          { fact: 'current.impressions', op: '<', value: 100 }
+        ]
+      },
+      signals: [],
+      recommendations: ['👻 **Exorcise**: This page is dead. Consider deleting or 301 redirecting to a healthy page.']
+    },
+    {
+      // High impressions, CTR under half of what its position should get
+      id: 'zombie',
+      label: '🧟 Zombie Page',
+      severity: 'warning',
+      when: {
+        all: [
+          { fact: 'current.impressions', op: '>', value: 1000 },
+          { fact: 'revival.ctrRatio', op: '<', value: 0.5 }
+        ]
+      },
+      signals: ['low_ctr_high_imp'],
+      recommendations: [
+        '🧟 **Revive this Zombie**: It has visibility but no clicks. Fix the Title & Meta Description ASAP.',
+        '💰 **Opportunity**: Matching the expected CTR at position {revival.position} could yield ~{revival.ctrGap} more clicks.'
+      ]
+    },
+    {
+      id: 'plunge',
+      label: '📉 The Plunge',
+      severity: 'critical',
+      when: { fact: 'velocity.change', op: '<', value: -30 },
+      signals: ['velocity_cliff'],
+      recommendations: ['📉 **Stop the Plunge**: Technical audit required. Check robots.txt and recent code pushes.']
+    },
+    {
+      id: 'bleeder',
+      label: '🩸 The Bleeder',
+      severity: 'warning',
+      when: {
+        all: [
+          { fact: 'trend.clicks', op: '<', value: -10 },
+          { fact: 'changes.position', op: '>', value: -2 }
+        ]
+      },
+      signals: ['slow_bleed'],
+      recommendations: ['🩸 **Stem the Bleed**: Your content is aging. Add a "Last Updated" section and fresh stats.']
+    },
+    {
+      id: 'rank_rot',
+      label: '⚔️ Rank Rot',
+      severity: 'critical',
+      when: { fact: 'changes.position', op: '<', value: -3 },
+      signals: [],
+      recommendations: ['⚔️ **Fight Back**: Competitors overtook you. Expand word count and add unique video/images.']
+    },
+    {
+      id: 'healthy',
+      label: '',
+      severity: 'healthy',
+      when: { fact: 'trend.clicks', op: '>', value: -5 },
+      signals: [],
+      recommendations: []
+    },
+    {
+      id: 'decaying',
+      label: 'Decay Detected',
+      severity: 'monitoring',
+      signals: [],
+      recommendations: []
+    }
+  ],
+  tags: [
+    {
+      // Declined, but in line with last year's pattern
+      id: 'seasonal',
+      label: '🍂 Seasonal Dip',
+      when: { fact: 'seasonality.isSeasonal', op: '==', value: true },
+      signals: ['seasonal']
+    }
+  ]
+};
+
+/**
+ * Get the saved rule set (or the default taxonomy)
+ */
+export async function getRuleSet() {
+  const result = await chrome.storage.local.get(RULES_KEY);
+  const saved = result[RULES_KEY];
+  if (!saved) return DEFAULT_RULE_SET;
+
+  try {
+    return validateRuleSet(saved);
+  } catch (error) {
+    console.warn('Saved decay rules are invalid, using defaults:', error.message);
+    return DEFAULT_RULE_SET;
+  }
+}
+
+/**
+ * Validate and persist a rule set
+ * @returns {object} The stored rule set
+ */
+export async function saveRuleSet(ruleSet) {
+  const validated = validateRuleSet(ruleSet);
+  await chrome.storage.local.set({ [RULES_KEY]: validated });
+  return validated;
+}
+
+/**
+ * Remove the saved rule set (falls back to the default taxonomy)
+ */
+export async function resetRuleSet() {
+  await chrome.storage.local.remove(RULES_KEY);
+  return DEFAULT_RULE_SET;
+}
+
+/**
+ * Parse and validate rule set JSON (e.g. from an imported file)
+ * @throws {Error} With the position of the first problem
+ */
+export function parseRuleSet(json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  return validateRuleSet(parsed);
+}
+
+/**
+ * Check a rule set's structure
+ * @returns {object} A clean copy with defaults filled in
+ * @throws {Error} Describing the first invalid rule or condition
+ */
+export function validateRuleSet(ruleSet) {
+  if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+    throw new Error('Rule set must be an object');
+  }
+  if (ruleSet.version !== RULE_SET_VERSION) {
+    throw new Error(`Unsupported rule set version: ${ruleSet.version} (expected ${RULE_SET_VERSION})`);
+  }
+  if (!Array.isArray(ruleSet.classes) || ruleSet.classes.length === 0) {
+    throw new Error('Rule set needs at least one class');
+  }
+
+  const ids = new Set();
+  const checkId = (rule, where) => {
+    if (typeof rule.id !== 'string' || !/^[a-z0-9_]+$/.test(rule.id)) {
+      throw new Error(`${where}: id must be lowercase letters, digits or underscores`);
+    }
+    if (ids.has(rule.id)) throw new Error(`${where}: duplicate id "${rule.id}"`);
+    ids.add(rule.id);
+  };
+
+  const classes = ruleSet.classes.map((rule, i) => {
+    const where = `Class ${i + 1}`;
+    if (!rule || typeof rule !== 'object') throw new Error(`${where}: must be an object`);
+    checkId(rule, where);
+    if (!SEVERITIES.includes(rule.severity)) {
+      throw new Error(`${where} (${rule.id}): severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    return {
+      id: rule.id,
+      label: toText(rule.label, `${where} (${rule.id}): label`),
+      severity: rule.severity,
+      ...(rule.when !== undefined && { when: validateCondition(rule.when, `${where} (${rule.id})`) }),
+      signals: toTextList(rule.signals, `${where} (${rule.id}): signals`),
+      recommendations: toTextList(rule.recommendations, `${where} (${rule.id}): recommendations`)
+    };
+  });
+
+  if (ruleSet.tags !== undefined && !Array.isArray(ruleSet.tags)) {
+    throw new Error('tags must be an array');
+  }
+  const tags = (ruleSet.tags || []).map((rule, i) => {
+    const where = `Tag ${i + 1}`;
+    if (!rule || typeof rule !== 'object') throw new Error(`${where}: must be an object`);
+    checkId(rule, where);
+    if (rule.when === undefined) throw new Error(`${where} (${rule.id}): when is required`);
+    return {
+      id: rule.id,
+      label: toText(rule.label, `${where} (${rule.id}): label`),
+      when: validateCondition(rule.when, `${where} (${rule.id})`),
+      signals: toTextList(rule.signals, `${where} (${rule.id}): signals`)
+    };
+  });
+
+  return {
+    version: RULE_SET_VERSION,
+    name: toText(ruleSet.name, 'name') || 'Custom rules',
+    classes,
+    tags
+  };
+}
+
+function validateCondition(condition, where) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    throw new Error(`${where}: condition must be an object`);
+  }
+
+  if ('all' in condition || 'any' in condition) {
+    const key = 'all' in condition ? 'all' : 'any';
+    if (!Array.isArray(condition[key])) throw new Error(`${where}: "${key}" must be an array`);
+    return { [key]: condition[key].map(c => validateCondition(c, where)) };
+  }
+  if ('not' in condition) {
+    return { not: validateCondition(condition.not, where) };
+  }
+
+  if (typeof condition.fact !== 'string' || !condition.fact) {
+    throw new Error(`${where}: condition needs a "fact" (e.g. "current.clicks")`);
+  }
+  if (!OPERATORS.includes(condition.op)) {
+    throw new Error(`${where}: unknown operator "${condition.op}" (use ${OPERATORS.join(' ')})`);
+  }
+  if (!['number', 'boolean', 'string'].includes(typeof condition.value) && condition.value !== null) {
+    throw new Error(`${where}: value for "${condition.fact}" must be a number, boolean, string or null`);
+  }
+  return { fact: condition.fact, op: condition.op, value: condition.value };
+}
+
+function toText(value, where) {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') throw new Error(`${where} must be a string`);
+  return value;
+}
+
+function toTextList(value, where) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+    throw new Error(`${where} must be an array of strings`);
+  }
+  return [...value];
+}
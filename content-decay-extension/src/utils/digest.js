@@ -0,0 +1,390 @@
+// Weekly digest: a self-contained, print-ready HTML report per site
+//
+// Built from the latest snapshot, its diff against the run about a week earlier and the segment
+// rollup. Styles and SVG charts are inline, so the file opens anywhere and prints cleanly to PDF.
+
+import { SEVERITY_RANK } from './notifications.js';
+import { rollupSegments } from './segments.js';
+import { NOT_ANALYZED } from './snapshot-diff.js';
+import { escapeHtml, fNum, formatDateRange, formatPercent, formatSiteUrl, getPagePath } from './format.js';
+
+export const DIGEST_DELIVERY = {
+  tab: 'Open in a new tab',
+  download: 'Save to Downloads'
+};
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const DIGEST_TOP_PAGES = [5, 10, 25];
+
+export const DEFAULT_DIGEST_PREFS = {
+  enabled: false,
+  weekday: 1, // Monday
+  delivery: 'tab',
+  topPages: 10
+};
+
+// Runs in the clicks-over-time chart
+const HISTORY_POINTS = 12;
+
+// Print-friendly colors (the extension's own palette is for a dark background)
+const COLORS = {
+  critical: '#dc2626',
+  warning: '#d97706',
+  monitoring: '#ca8a04',
+  healthy: '#059669',
+  clicks: '#2563eb',
+  muted: '#6b7280'
+};
+
+function getPrefsKey(siteUrl) {
+  return `digest_${btoa(siteUrl)}`;
+}
+
+function getReportKey(siteUrl) {
+  return `digestReport_${btoa(siteUrl)}`;
+}
+
+/**
+ * Get a site's digest preferences (digests are opt-in per site)
+ */
+export async function getDigestPrefs(siteUrl) {
+  const key = getPrefsKey(siteUrl);
+  const result = await chrome.storage.local.get(key);
+  return normalizeDigestPrefs(result[key] || {});
+}
+
+/**
+ * Validate and persist a site's digest preferences
+ * @returns {object} The normalized preferences that were stored
+ */
+export async function saveDigestPrefs(siteUrl, prefs) {
+  const normalized = normalizeDigestPrefs(prefs);
+  await chrome.storage.local.set({ [getPrefsKey(siteUrl)]: normalized });
+  return normalized;
+}
+
+export function normalizeDigestPrefs(prefs = {}) {
+  const weekday = parseInt(prefs.weekday, 10);
+  const topPages = parseInt(prefs.topPages, 10);
+
+  return {
+    enabled: Boolean(prefs.enabled),
+    weekday: weekday >= 0 && weekday <= 6 ? weekday : DEFAULT_DIGEST_PREFS.weekday,
+    delivery: DIGEST_DELIVERY[prefs.delivery] ? prefs.delivery : DEFAULT_DIGEST_PREFS.delivery,
+    topPages: DIGEST_TOP_PAGES.includes(topPages) ? topPages : DEFAULT_DIGEST_PREFS.topPages
+  };
+}
+
+/**
+ * The last report generated for a site (opened by the report page)
+ * @returns {object|null} { html, filename, generatedAt, snapshotId }
+ */
+export async function getDigestReport(siteUrl) {
+  const key = getReportKey(siteUrl);
+  const result = await chrome.storage.local.get(key);
+  return result[key] || null;
+}
+
+export async function saveDigestReport(siteUrl, report) {
+  await chrome.storage.local.set({ [getReportKey(siteUrl)]: report });
+}
+
+/**
+ * Whether a scheduled digest is due: the configured weekday has come round since the last one
+ * (a week with the browser closed on that day still gets its digest on the next run)
+ */
+export function isDigestDue(prefs, lastGeneratedAt, now = Date.now()) {
+  if (!prefs.enabled) return false;
+
+  const scheduled = new Date(now);
+  scheduled.setHours(0, 0, 0, 0);
+  scheduled.setDate(scheduled.getDate() - ((scheduled.getDay() - prefs.weekday + 7) % 7));
+  return !lastGeneratedAt || lastGeneratedAt < scheduled.getTime();
+}
+
+/**
+ * Build the digest document
+ * @param {object} data - {
+ *   siteUrl, snapshot: latest analysis, diff: diffSnapshots result against an earlier run (or null),
+ *   history: snapshot metadata with the same settings, newest first,
+ *   getSegment: page URL → segment name, segmentLabel, topPages, generatedAt
+ * }
+ * @returns {string} Complete HTML document
+ */
+export function buildDigestHtml(data) {
+  const { siteUrl, snapshot, diff = null, history = [], getSegment, segmentLabel = 'Segment', topPages = DEFAULT_DIGEST_PREFS.topPages } = data;
+  const generatedAt = data.generatedAt || Date.now();
+  const site = formatSiteUrl(siteUrl);
+  const title = `Content decay digest · ${site} · ${formatDay(generatedAt)}`;
+
+  const critical = snapshot.pages
+    .filter(p => p.decay.severity === 'critical')
+    .sort((a, b) => a.decay.changes.clicks - b.decay.changes.clicks || b.previous.clicks - a.previous.clicks)
+    .slice(0, topPages);
+
+  const sections = [
+    renderSummary(snapshot, diff, history),
+    renderPageSection('Top critical pages', critical, 'No critical pages in this analysis.'),
+    diff ? renderChangeSection('New decay', getNewDecay(diff).slice(0, topPages),
+      'No page became warning or critical since the last report.') : '',
+    diff ? renderChangeSection('Recovered', getRecovered(diff).slice(0, topPages),
+      'No warning or critical page recovered since the last report.') : '',
+    getSegment ? renderSegments(rollupSegments(snapshot.pages, getSegment), segmentLabel) : ''
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>${DIGEST_CSS}</style>
+</head>
+<body>
+<header>
+  <h1>Content decay digest</h1>
+  <p class="meta">
+    <strong>${escapeHtml(site)}</strong> · generated ${formatDay(generatedAt)}<br>
+    Current ${formatDateRange(snapshot.dateRanges?.current, '—')} vs. previous ${formatDateRange(snapshot.dateRanges?.previous, '—')}
+    ${diff ? `· changes since the analysis of ${formatDay(diff.base.timestamp)}` : '· first report, no earlier analysis to compare with'}
+  </p>
+</header>
+${sections.join('\n')}
+<footer>Content Decay Analyzer · print this page (Ctrl/⌘+P) to save it as a PDF</footer>
+</body>
+</html>
+`;
+}
+
+function renderSummary(snapshot, diff, history) {
+  const totals = snapshot.summary.totals;
+  const metric = (label, current, previous, format, lowerIsBetter = false) => {
+    const change = lowerIsBetter ? previous - current : (previous > 0 ? ((current - previous) / previous) * 100 : 0);
+    const text = lowerIsBetter ? `${change >= 0 ? '▲' : '▼'} ${Math.abs(change).toFixed(1)}` : `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+    return `<div class="card"><span class="label">${label}</span><span class="value">${format(current)}</span><span class="${change < 0 ? 'neg' : 'pos'}">${text}</span></div>`;
+  };
+
+  const severities = Object.keys(SEVERITY_RANK).reverse();
+  const severityCards = severities.map(severity => {
+    const count = snapshot.summary[`${severity}Count`] ?? 0;
+    const counts = diff?.severityCounts[severity];
+    const delta = counts ? counts.after - counts.before : null;
+    return `
+      <div class="card">
+        <span class="label">${capitalize(severity)}</span>
+        <span class="value" style="color: ${COLORS[severity]}">${count}</span>
+        ${delta !== null ? `<span class="muted">${delta > 0 ? '+' : ''}${delta} since last</span>` : ''}
+      </div>`;
+  }).join('');
+
+  // Site clicks per run, oldest first
+  const runs = history.slice(0, HISTORY_POINTS).reverse().filter(h => h.summary?.totals?.current);
+
+  return `
+<section>
+  <h2>Summary</h2>
+  ${totals?.current ? `
+  <div class="cards">
+    ${metric('Clicks', totals.current.clicks, totals.previous?.clicks || 0, fNum)}
+    ${metric('Impressions', totals.current.impressions, totals.previous?.impressions || 0, fNum)}
+    ${metric('CTR', totals.current.ctr, totals.previous?.ctr || 0, formatPercent)}
+    ${metric('Avg position', totals.current.position, totals.previous?.position || 0, v => v.toFixed(1), true)}
+  </div>` : ''}
+  <div class="cards">${severityCards}</div>
+  <div class="charts">
+    <figure>
+      ${buildSeverityBar(snapshot.summary)}
+      <figcaption>Pages by severity (${snapshot.summary.totalPages} analyzed)</figcaption>
+    </figure>
+    ${runs.length >= 2 ? `
+    <figure>
+      ${buildClicksChart(runs)}
+      <figcaption>Site clicks per analysis (current window), last ${runs.length} runs</figcaption>
+    </figure>` : ''}
+  </div>
+</section>`;
+}
+
+function renderPageSection(title, pages, emptyText) {
+  return `
+<section>
+  <h2>${title} <span class="count">${pages.length}</span></h2>
+  ${pages.length === 0 ? `<p class="empty">${emptyText}</p>` : `
+  <table>
+    <thead><tr><th>Page</th><th>Class</th><th class="num">Clicks</th><th class="num">Previous</th><th class="num">Change</th><th>Next step</th></tr></thead>
+    <tbody>
+      ${pages.map(p => `
+      <tr>
+        <td class="page">${escapeHtml(getPagePath(p.page))}${p.decay.attribution?.summary ? `<div class="muted">${escapeHtml(p.decay.attribution.summary)}</div>` : ''}</td>
+        <td>${escapeHtml(p.decay.decayClass)}</td>
+        <td class="num">${fNum(p.current.clicks)}</td>
+        <td class="num">${fNum(p.previous.clicks)}</td>
+        <td class="num neg">${p.decay.changes.clicks}%</td>
+        <td class="muted">${escapeHtml(p.decay.recommendation[0] || '')}</td>
+      </tr>`).join('')}
+    </tbody>
+  </table>`}
+</section>`;
+}
+
+// Pages at warning or critical now that weren't before: escalations, plus pages new to the analysis
+function getNewDecay(diff) {
+  const isDecaying = severity => SEVERITY_RANK[severity] >= SEVERITY_RANK.warning;
+  const appeared = diff.classChanges.flatMap(entry => entry.entered)
+    .filter(c => c.fromClass === NOT_ANALYZED && isDecaying(c.toSeverity));
+
+  return [...diff.escalations.filter(c => isDecaying(c.toSeverity)), ...appeared]
+    .sort((a, b) => SEVERITY_RANK[b.toSeverity] - SEVERITY_RANK[a.toSeverity] || a.clicksChange - b.clicksChange);
+}
+
+// Pages that were warning or critical and improved, plus those that dropped out of the analysis
+function getRecovered(diff) {
+  const wasDecaying = severity => SEVERITY_RANK[severity] >= SEVERITY_RANK.warning;
+  const droppedOut = diff.classChanges.flatMap(entry => entry.left)
+    .filter(c => c.toClass === NOT_ANALYZED && wasDecaying(c.fromSeverity));
+
+  return [...diff.improvements.filter(c => wasDecaying(c.fromSeverity)), ...droppedOut]
+    .sort((a, b) => SEVERITY_RANK[b.fromSeverity] - SEVERITY_RANK[a.fromSeverity] || b.clicksChange - a.clicksChange);
+}
+
+function renderChangeSection(title, changes, emptyText) {
+  return `
+<section>
+  <h2>${title} <span class="count">${changes.length}</span></h2>
+  ${changes.length === 0 ? `<p class="empty">${emptyText}</p>` : `
+  <table>
+    <thead><tr><th>Page</th><th>Severity</th><th>Class</th><th class="num">Clicks before</th><th class="num">Clicks now</th></tr></thead>
+    <tbody>
+      ${changes.map(c => `
+      <tr>
+        <td class="page">${escapeHtml(getPagePath(c.page))}</td>
+        <td>${severityLabel(c.fromSeverity)} → ${severityLabel(c.toSeverity)}</td>
+        <td>${c.fromClass === c.toClass ? escapeHtml(c.toClass) : `${escapeHtml(c.fromClass)} → ${escapeHtml(c.toClass)}`}</td>
+        <td class="num">${fNum(c.clicksBefore)}</td>
+        <td class="num ${c.clicksChange < 0 ? 'neg' : 'pos'}">${fNum(c.clicksAfter)}</td>
+      </tr>`).join('')}
+    </tbody>
+  </table>`}
+</section>`;
+}
+
+function renderSegments(rollup, segmentLabel) {
+  if (rollup.length === 0) return '';
+  const maxChange = Math.max(1, ...rollup.map(s => Math.abs(s.clicksDiff)));
+
+  return `
+<section>
+  <h2>${escapeHtml(segmentLabel)} rollup</h2>
+  <table>
+    <thead><tr><th>${escapeHtml(segmentLabel)}</th><th class="num">Pages</th><th class="num">Clicks</th><th class="num">Clicks Δ</th><th></th><th class="num">Critical</th><th class="num">Warning</th></tr></thead>
+    <tbody>
+      ${rollup.map(s => `
+      <tr>
+        <td>${escapeHtml(s.name)}</td>
+        <td class="num">${s.pageCount}</td>
+        <td class="num">${fNum(s.current.clicks)}</td>
+        <td class="num ${s.clicksDiff < 0 ? 'neg' : 'pos'}">${s.clicksDiff > 0 ? '+' : ''}${fNum(s.clicksDiff)}</td>
+        <td>${buildChangeBar(s.clicksDiff, maxChange)}</td>
+        <td class="num">${s.severityCounts.critical || ''}</td>
+        <td class="num">${s.severityCounts.warning || ''}</td>
+      </tr>`).join('')}
+    </tbody>
+  </table>
+</section>`;
+}
+
+// Stacked horizontal bar of pages per severity
+function buildSeverityBar(summary, width = 320, height = 18) {
+  const severities = Object.keys(SEVERITY_RANK).reverse();
+  const total = Math.max(1, summary.totalPages);
+  let x = 0;
+  const rects = severities.map(severity => {
+    const w = ((summary[`${severity}Count`] ?? 0) / total) * width;
+    const rect = w > 0 ? `<rect x="${x.toFixed(1)}" y="0" width="${w.toFixed(1)}" height="${height}" fill="${COLORS[severity]}"><title>${severity}: ${summary[`${severity}Count`]}</title></rect>` : '';
+    x += w;
+    return rect;
+  }).join('');
+
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">${rects}</svg>`;
+}
+
+// Line of site clicks across runs, with the first and last values labelled
+function buildClicksChart(runs, width = 320, height = 60) {
+  const values = runs.map(r => r.summary.totals.current.clicks);
+  const max = Math.max(...values);
+  const min = Math.min(...values);
+  const span = max - min || 1;
+  const pad = 4;
+  const points = values.map((v, i) => {
+    const px = pad + (i / (values.length - 1)) * (width - pad * 2);
+    const py = height - 14 - ((v - min) / span) * (height - 20);
+    return `${px.toFixed(1)},${py.toFixed(1)}`;
+  }).join(' ');
+
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+    <polyline points="${points}" fill="none" stroke="${COLORS.clicks}" stroke-width="2"></polyline>
+    <text x="${pad}" y="${height - 2}" font-size="9" fill="${COLORS.muted}">${formatDay(runs[0].timestamp)} · ${fNum(values[0])}</text>
+    <text x="${width - pad}" y="${height - 2}" font-size="9" fill="${COLORS.muted}" text-anchor="end">${formatDay(runs[runs.length - 1].timestamp)} · ${fNum(values[values.length - 1])}</text>
+  </svg>`;
+}
+
+// Bar from the middle: losses to the left, gains to the right
+function buildChangeBar(value, maxAbs, width = 100, height = 10) {
+  const half = width / 2;
+  const w = (Math.abs(value) / maxAbs) * half;
+  const x = value < 0 ? half - w : half;
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+    <line x1="${half}" y1="0" x2="${half}" y2="${height}" stroke="${COLORS.muted}" stroke-width="0.5"></line>
+    <rect x="${x.toFixed(1)}" y="1" width="${w.toFixed(1)}" height="${height - 2}" fill="${value < 0 ? COLORS.critical : COLORS.healthy}"></rect>
+  </svg>`;
+}
+
+function severityLabel(severity) {
+  return severity ? `<span style="color: ${COLORS[severity]}">${severity}</span>` : '—';
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatDay(timestamp) {
+  return new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+const DIGEST_CSS = `
+  * { box-sizing: border-box; }
+  body { max-width: 960px; margin: 0 auto; padding: 32px 24px; font: 13px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #111827; background: #fff; }
+  h1 { margin: 0 0 4px; font-size: 22px; }
+  h2 { margin: 0 0 12px; font-size: 16px; border-bottom: 2px solid #e5e7eb; padding-bottom: 4px; }
+  h2 .count { font-size: 12px; font-weight: normal; color: ${COLORS.muted}; }
+  .meta { margin: 0; color: ${COLORS.muted}; }
+  header { margin-bottom: 24px; }
+  section { margin-bottom: 28px; }
+  .cards { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; margin-bottom: 12px; }
+  .card { display: flex; flex-direction: column; padding: 10px 12px; border: 1px solid #e5e7eb; border-radius: 8px; }
+  .card .label { font-size: 11px; text-transform: uppercase; letter-spacing: 0.04em; color: ${COLORS.muted}; }
+  .card .value { font-size: 20px; font-weight: 700; }
+  .charts { display: flex; gap: 32px; align-items: flex-end; flex-wrap: wrap; }
+  figure { margin: 0; }
+  figcaption { font-size: 11px; color: ${COLORS.muted}; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th { text-align: left; font-size: 11px; text-transform: uppercase; color: ${COLORS.muted}; border-bottom: 1px solid #d1d5db; padding: 4px 6px; }
+  td { border-bottom: 1px solid #f3f4f6; padding: 5px 6px; vertical-align: top; }
+  td.page { word-break: break-all; max-width: 320px; }
+  .num { text-align: right; white-space: nowrap; }
+  .neg { color: ${COLORS.critical}; }
+  .pos { color: ${COLORS.healthy}; }
+  .muted { color: ${COLORS.muted}; font-size: 11px; }
+  .empty { color: ${COLORS.muted}; font-style: italic; }
+  footer { margin-top: 32px; font-size: 11px; color: ${COLORS.muted}; }
+  @page { margin: 14mm; }
+  @media print {
+    body { padding: 0; max-width: none; }
+    h2 { break-after: avoid; }
+    .cards, figure { break-inside: avoid; }
+    tr { break-inside: avoid; }
+    thead { display: table-header-group; }
+    footer { display: none; }
+  }
+`;
@@ -0,0 +1,238 @@
+// Analysis exports: escaped CSV, full JSON dump and a multi-sheet XLSX workbook
+
+import { buildXlsx } from './xlsx.js';
+import { rollupSegments } from './segments.js';
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  xlsx: { label: 'Excel', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+// Page table columns shared by the CSV and the workbook's Pages sheet
+const PAGE_COLUMNS = [
+  { header: 'URL', get: p => p.page, width: 60 },
+  { header: 'Diagnosis', get: p => p.decay.symptoms.join(' + ') || 'General Decay', width: 24 },
+  { header: 'Class', get: p => p.decay.decayClass },
+  { header: 'Severity', get: p => p.decay.severity },
+  { header: 'Score', get: p => p.decay.score },
+  { header: 'Decay Score', get: p => p.decay.decayScore },
+  { header: 'Clicks Change %', get: p => p.decay.changes.clicks },
+  { header: 'Impression Change %', get: p => p.decay.changes.impressions },
+  { header: 'CTR Change %', get: p => p.decay.changes.ctr },
+  { header: 'Pos Change', get: p => p.decay.changes.position },
+  { header: 'Current Clicks', get: p => p.current.clicks },
+  { header: 'Previous Clicks', get: p => p.previous?.clicks || 0 },
+  { header: 'Current Impressions', get: p => p.current.impressions },
+  { header: 'Previous Impressions', get: p => p.previous?.impressions || 0 },
+  { header: 'Current Position', get: p => round(p.current.position, 1) },
+  { header: 'Previous Position', get: p => round(p.previous?.position, 1) },
+  { header: 'Expected CTR %', get: p => p.decay.revival ? round(p.decay.revival.expectedCtr * 100, 1) : '' },
+  { header: 'Actual CTR %', get: p => p.decay.revival ? round(p.decay.revival.actualCtr * 100, 1) : '' },
+  { header: 'Target Position', get: p => p.decay.revival?.targetPosition ?? '' },
+  { header: 'CTR Gap Clicks', get: p => p.decay.revival?.ctrGap ?? '' },
+  { header: 'Ranking Gain Clicks', get: p => p.decay.revival?.rankingGain ?? '' },
+  { header: 'Seasonal Expected Clicks %', get: p => p.decay.seasonality?.expectedClicksChange ?? '' },
+  { header: 'Seasonally Adjusted Clicks %', get: p => p.decay.seasonality?.adjustedClicksChange ?? '' },
+  { header: 'Top Loss Reason', get: p => p.decay.attribution?.summary || '', width: 40 },
+  { header: 'Decline Onset', get: p => p.decay.onset?.date || '' },
+  { header: 'Onset Metric', get: p => p.decay.onset?.metric || '' },
+  { header: 'Pre-Onset Daily Avg', get: p => p.decay.onset?.preLevel ?? '' },
+  { header: 'Post-Onset Daily Avg', get: p => p.decay.onset?.postLevel ?? '' },
+  { header: 'Onset Confidence', get: p => p.decay.onset?.confidence ?? '' },
+  { header: 'Recommendations', get: p => p.decay.recommendation.join('\n'), width: 60 }
+];
+
+/**
+ * RFC 4180 CSV: fields with commas, quotes or line breaks are quoted and inner quotes doubled
+ * @param {Array} rows - [[cell, ...], ...]
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n');
+}
+
+function escapeCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Page table (header row first)
+ * @param {Function} getSegment - Optional page URL → segment name, adds a Segment column
+ */
+export function buildPageRows(pages, getSegment = null) {
+  const columns = getSegment
+    ? [PAGE_COLUMNS[0], { header: 'Segment', get: p => getSegment(p.page) }, ...PAGE_COLUMNS.slice(1)]
+    : PAGE_COLUMNS;
+  return [
+    columns.map(c => c.header),
+    ...pages.map(page => columns.map(c => c.get(page)))
+  ];
+}
+
+// The byte order mark makes Excel read the file as UTF-8
+export function exportToCSV(pages, getSegment = null) {
+  return '\ufeff' + toCsv(buildPageRows(pages, getSegment));
+}
+
+/**
+ * Everything a snapshot holds, plus when and for which site it was exported
+ */
+export function exportToJSON(snapshot, siteUrl) {
+  return JSON.stringify({
+    siteUrl,
+    exportedAt: new Date().toISOString(),
+    snapshot: {
+      id: snapshot.id,
+      timestamp: snapshot.timestamp,
+      createdAt: new Date(snapshot.timestamp).toISOString(),
+      options: snapshot.options,
+      dateRanges: snapshot.dateRanges || null,
+      ctrModel: snapshot.ctrModel || null,
+      summary: snapshot.summary
+    },
+    pages: snapshot.pages
+  }, null, 2);
+}
+
+/**
+ * Workbook with Pages, Top Queries, Segments and Settings sheets
+ * @param {object} snapshot - Stored analysis
+ * @param {object} context - { siteUrl, queriesByPage: Map|null, getSegment, segmentLabel }
+ * @returns {Uint8Array}
+ */
+export function exportToXLSX(snapshot, context) {
+  const { siteUrl, queriesByPage = null, getSegment, segmentLabel = 'Segment' } = context;
+  const pageWidths = [PAGE_COLUMNS[0].width, 20, ...PAGE_COLUMNS.slice(1).map(c => c.width || 14)];
+
+  const sheets = [
+    { name: 'Pages', rows: buildPageRows(snapshot.pages, getSegment), widths: pageWidths },
+    { name: 'Top Queries', rows: buildQueryRows(snapshot.pages, queriesByPage), widths: [60, 40, 12, 12, 12, 14, 14, 12, 12] },
+    { name: 'Segments', rows: buildSegmentRows(snapshot.pages, getSegment, segmentLabel), widths: [30, 8, 14, 14, 12, 16, 16, 12, 9, 9, 11, 9, 40] },
+    { name: 'Settings', rows: buildSettingsRows(snapshot, siteUrl), widths: [32, 60] }
+  ];
+
+  return buildXlsx(sheets);
+}
+
+function buildQueryRows(pages, queriesByPage) {
+  const header = [
+    'URL', 'Query', 'Current Clicks', 'Previous Clicks', 'Clicks Change',
+    'Current Impressions', 'Previous Impressions', 'Current Position', 'Previous Position'
+  ];
+  if (!queriesByPage) return [header, ['Query data could not be loaded for this export.']];
+
+  const rows = [];
+  for (const page of pages) {
+    for (const q of queriesByPage.get(page.page) || []) {
+      const current = q.current?.clicks || 0;
+      const previous = q.previous?.clicks || 0;
+      rows.push([
+        page.page,
+        q.query,
+        current,
+        previous,
+        current - previous,
+        q.current?.impressions || 0,
+        q.previous?.impressions || 0,
+        round(q.current?.position, 1),
+        round(q.previous?.position, 1)
+      ]);
+    }
+  }
+  return [header, ...rows];
+}
+
+function buildSegmentRows(pages, getSegment, segmentLabel) {
+  return [
+    [
+      segmentLabel, 'Pages', 'Current Clicks', 'Previous Clicks', 'Clicks Change %',
+      'Current Impressions', 'Previous Impressions', 'Impr. Change %',
+      'Critical', 'Warning', 'Monitoring', 'Healthy', 'Decay Classes'
+    ],
+    ...rollupSegments(pages, getSegment).map(s => [
+      s.name,
+      s.pageCount,
+      s.current.clicks,
+      s.previous.clicks,
+      s.changes.clicks,
+      s.current.impressions,
+      s.previous.impressions,
+      s.changes.impressions,
+      s.severityCounts.critical,
+      s.severityCounts.warning,
+      s.severityCounts.monitoring,
+      s.severityCounts.healthy,
+      Object.entries(s.classCounts).map(([id, count]) => `${id}: ${count}`).join(', ')
+    ])
+  ];
+}
+
+// Key/value rows describing where the data came from and the options used
+function buildSettingsRows(snapshot, siteUrl) {
+  const rows = [
+    ['Setting', 'Value'],
+    ['Site', siteUrl],
+    ['Analyzed at', new Date(snapshot.timestamp).toISOString()],
+    ['Exported at', new Date().toISOString()],
+    ['Comparison mode', snapshot.dateRanges?.mode || snapshot.options?.comparisonMode || ''],
+    ['Current period', formatRange(snapshot.dateRanges?.current)],
+    ['Previous period', formatRange(snapshot.dateRanges?.previous)],
+    ['CTR curve', snapshot.ctrModel?.source || '']
+  ];
+
+  for (const [key, value] of flatten(snapshot.options || {})) {
+    rows.push([`Option: ${key}`, value]);
+  }
+  for (const [key, value] of flatten(snapshot.summary || {})) {
+    rows.push([`Summary: ${key}`, value]);
+  }
+  return rows;
+}
+
+function flatten(object, prefix = '') {
+  return Object.entries(object).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) return flatten(value, path);
+    return [[path, Array.isArray(value) ? value.join(', ') : value]];
+  });
+}
+
+function formatRange(range) {
+  return range ? `${range.startDate} to ${range.endDate}` : '';
+}
+
+function round(value, digits) {
+  if (typeof value !== 'number') return '';
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Bytes to base64, for passing binary exports through extension messaging
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Save an export response ({ content, encoding, format, filename }) as a download (pages only)
+ */
+export function downloadExport(response) {
+  const { mimeType } = EXPORT_FORMATS[response.format];
+  const data = response.encoding === 'base64'
+    ? Uint8Array.from(atob(response.content), ch => ch.charCodeAt(0))
+    : response.content;
+
+  const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = response.filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
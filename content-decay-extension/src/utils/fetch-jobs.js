@@ -0,0 +1,239 @@
+// Resumable fetch jobs: paginated Search Analytics requests whose progress survives a service worker restart
+//
+// Storage layout (chrome.storage.local):
+//   fetchJobs                        -> [jobKey, ...] unfinished jobs
+//   fetchjob_<siteKey>_<hash>        -> { siteUrl, context, createdAt, updatedAt, tasks: { name: task } }
+//   fetchjob_<siteKey>_<hash>_<name>_<n> -> rows of the n-th page fetched for a task
+// A task is { params, maxRows, nextRow, chunks, rowCount, done }. A job whose last run threw has
+// failedAt set and is only retried when the analysis is requested again. The hash covers the requests
+// themselves (dates included), so re-running the same analysis on the same day picks the job up again.
+
+import { querySearchAnalytics, MAX_ROWS_PER_REQUEST } from './api.js';
+import { runConcurrently } from './api-client.js';
+import { hashOptions } from './analysis-store.js';
+
+const JOB_INDEX_KEY = 'fetchJobs';
+
+// Port the popup and dashboard connect to for { type: 'progress', siteUrl, phase, percent, ... } messages
+export const PROGRESS_PORT_NAME = 'analysis-progress';
+
+// Partial rows older than this are dropped instead of resumed
+const JOB_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+
+// Jobs running in this service worker instance: job key → promise of its rows
+const runningJobs = new Map();
+
+// Index updates are chained so concurrent jobs don't drop each other's keys
+let indexUpdate = Promise.resolve();
+
+function getJobKey(siteUrl, requests) {
+  return `fetchjob_${btoa(siteUrl)}_${hashOptions(requests)}`;
+}
+
+function getChunkKey(jobKey, name, index) {
+  return `${jobKey}_${name}_${index}`;
+}
+
+/**
+ * Fetch a set of requests as a resumable job
+ * Requests run several at a time; every page of rows is written to storage as it arrives, so a
+ * worker that is killed mid-run continues from the last saved page when the job is run again.
+ * @param {object} requests - { name: { params, maxRows? } } (params without rowLimit/startRow)
+ * @param {object} options - { context: stored with the job (e.g. settings to resume with), onProgress }
+ * @returns {object} { name: rows }
+ */
+export async function runFetchJob(siteUrl, requests, { context = null, onProgress = null } = {}) {
+  const jobKey = getJobKey(siteUrl, requests);
+
+  // Already running (e.g. resumed by the alarm while the popup asked again): share the result
+  if (runningJobs.has(jobKey)) {
+    return runningJobs.get(jobKey);
+  }
+
+  const promise = executeJob(jobKey, siteUrl, requests, context, onProgress)
+    .finally(() => runningJobs.delete(jobKey));
+  runningJobs.set(jobKey, promise);
+  return promise;
+}
+
+async function executeJob(jobKey, siteUrl, requests, context, onProgress) {
+  const job = await loadOrCreateJob(jobKey, siteUrl, requests, context);
+  const names = Object.keys(job.tasks);
+
+  const reportProgress = () => {
+    if (onProgress) onProgress(getJobProgress(job));
+  };
+  reportProgress();
+
+  // Writes of the shared job record are chained so an older state never lands after a newer one
+  let saving = Promise.resolve();
+  const saveJob = () => {
+    job.updatedAt = Date.now();
+    saving = saving.then(() => chrome.storage.local.set({ [jobKey]: job }));
+    return saving;
+  };
+
+  try {
+    await runConcurrently(names.map(name => async (isCancelled) => {
+      const task = job.tasks[name];
+      const maxRows = task.maxRows ?? Infinity;
+      const rowLimit = Math.min(MAX_ROWS_PER_REQUEST, maxRows);
+
+      while (!task.done && !isCancelled()) {
+        const rows = await querySearchAnalytics(siteUrl, { ...task.params, rowLimit, startRow: task.nextRow });
+
+        await chrome.storage.local.set({ [getChunkKey(jobKey, name, task.chunks)]: rows });
+        task.chunks++;
+        task.rowCount += rows.length;
+        task.nextRow += rowLimit;
+        task.done = rows.length < rowLimit || task.rowCount >= maxRows;
+
+        await saveJob();
+        reportProgress();
+      }
+    }));
+  } catch (error) {
+    // Pages fetched so far are kept for the next run
+    job.failedAt = Date.now();
+    await saveJob();
+    throw error;
+  }
+
+  const results = {};
+  for (const name of names) {
+    const task = job.tasks[name];
+    const keys = Array.from({ length: task.chunks }, (_, i) => getChunkKey(jobKey, name, i));
+    const stored = keys.length > 0 ? await chrome.storage.local.get(keys) : {};
+    results[name] = keys.flatMap(key => stored[key] || []);
+  }
+
+  await discardFetchJob(jobKey);
+  return results;
+}
+
+async function loadOrCreateJob(jobKey, siteUrl, requests, context) {
+  const stored = (await chrome.storage.local.get(jobKey))[jobKey];
+  if (stored && Date.now() - stored.createdAt < JOB_MAX_AGE_MS) {
+    console.log(`Resuming fetch job for ${siteUrl} (${getJobProgress(stored).percent}% done)`);
+    delete stored.failedAt;
+    return stored;
+  }
+  if (stored) await discardFetchJob(jobKey);
+
+  const now = Date.now();
+  const job = {
+    siteUrl,
+    context,
+    createdAt: now,
+    updatedAt: now,
+    tasks: Object.fromEntries(Object.entries(requests).map(([name, request]) => [name, {
+      params: request.params,
+      maxRows: request.maxRows ?? null,
+      nextRow: 0,
+      chunks: 0,
+      rowCount: 0,
+      done: false
+    }]))
+  };
+
+  await chrome.storage.local.set({ [jobKey]: job });
+  await updateJobIndex(index => [...index.filter(key => key !== jobKey), jobKey]);
+  return job;
+}
+
+/**
+ * Progress of a job: each request weighs the same, and one with n pages fetched so far counts
+ * as n/(n+1) done since its total is only known once a short page arrives
+ * @returns {object} { percent, rows, requestsDone, requestCount }
+ */
+export function getJobProgress(job) {
+  const tasks = Object.values(job.tasks);
+  const fraction = tasks.reduce((sum, task) => sum + (task.done ? 1 : task.chunks / (task.chunks + 1)), 0);
+
+  return {
+    percent: tasks.length > 0 ? Math.floor((fraction / tasks.length) * 100) : 100,
+    rows: tasks.reduce((sum, task) => sum + task.rowCount, 0),
+    requestsDone: tasks.filter(task => task.done).length,
+    requestCount: tasks.length
+  };
+}
+
+/**
+ * Progress message (from the progress port) as a status line
+ */
+export function formatJobProgress(progress) {
+  if (progress.phase === 'analyzing') return 'Analyzing pages...';
+  if (progress.phase === 'syncing') {
+    return `Syncing local data... ${progress.daysDone}/${progress.dayCount} days`;
+  }
+  const rows = progress.rows ? ` · ${progress.rows.toLocaleString()} rows` : '';
+  return `Fetching Search Console data... ${progress.percent}%${rows}`;
+}
+
+async function getJobIndex() {
+  const result = await chrome.storage.local.get(JOB_INDEX_KEY);
+  return result[JOB_INDEX_KEY] || [];
+}
+
+function updateJobIndex(update) {
+  indexUpdate = indexUpdate
+    .then(async () => chrome.storage.local.set({ [JOB_INDEX_KEY]: update(await getJobIndex()) }));
+  return indexUpdate;
+}
+
+/**
+ * Unfinished jobs not running in this worker (left behind by a worker that was stopped, or failed)
+ * @returns {Array} [{ key, siteUrl, requests, context, createdAt, failed, progress }]; passing
+ *   requests and context back to runFetchJob continues the job
+ */
+export async function getInterruptedJobs() {
+  const index = await getJobIndex();
+  if (index.length === 0) return [];
+
+  const stored = await chrome.storage.local.get(index);
+  return index
+    .filter(key => stored[key] && !runningJobs.has(key))
+    .map(key => ({
+      key,
+      siteUrl: stored[key].siteUrl,
+      requests: getJobRequests(stored[key]),
+      context: stored[key].context,
+      createdAt: stored[key].createdAt,
+      failed: Boolean(stored[key].failedAt),
+      progress: getJobProgress(stored[key])
+    }));
+}
+
+// The requests a job was created from (same shape, so they hash to the same job key)
+function getJobRequests(job) {
+  return Object.fromEntries(Object.entries(job.tasks).map(([name, task]) => [
+    name,
+    task.maxRows === null ? { params: task.params } : { params: task.params, maxRows: task.maxRows }
+  ]));
+}
+
+/**
+ * Delete a job and its saved pages
+ */
+export async function discardFetchJob(jobKey) {
+  const stored = (await chrome.storage.local.get(jobKey))[jobKey];
+  const chunkKeys = stored
+    ? Object.entries(stored.tasks).flatMap(([name, task]) =>
+      Array.from({ length: task.chunks }, (_, i) => getChunkKey(jobKey, name, i)))
+    : [];
+
+  await chrome.storage.local.remove([jobKey, ...chunkKeys]);
+  await updateJobIndex(index => index.filter(key => key !== jobKey));
+}
+
+/**
+ * Drop jobs too old to resume
+ * @returns {number} Jobs removed
+ */
+export async function pruneFetchJobs() {
+  const stale = (await getInterruptedJobs()).filter(job => Date.now() - job.createdAt >= JOB_MAX_AGE_MS);
+  for (const job of stale) {
+    await discardFetchJob(job.key);
+  }
+  return stale.length;
+}
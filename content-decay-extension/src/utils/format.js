@@ -0,0 +1,50 @@
+// Display formatting shared by the popup and the dashboard
+
+export function formatSiteUrl(url) {
+  return url.replace(/^(sc-domain:|https?:\/\/)/, '').replace(/\/$/, '');
+}
+
+export function formatPagePath(url) {
+  try {
+    const urlObj = new URL(url);
+    const path = urlObj.pathname;
+    return path.length > 40 ? '...' + path.slice(-37) : path;
+  } catch {
+    return url.slice(-40);
+  }
+}
+
+/**
+ * Full path of a page URL (falls back to the URL itself)
+ */
+export function getPagePath(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return url;
+  }
+}
+
+export function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+export function formatShortDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+export function formatDateRange(range, fallback) {
+  if (!range) return fallback;
+  return `${formatShortDate(range.startDate)} - ${formatShortDate(range.endDate)}`;
+}
+
+// Query strings come straight from searchers; never inject them as markup
+export function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+export function fNum(num) {
+  return num >= 1000 ? (num / 1000).toFixed(1) + 'k' : num;
+}
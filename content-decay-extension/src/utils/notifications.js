@@ -0,0 +1,113 @@
+// Per-site decay alert preferences and detection of newly flagged pages
+
+export const SEVERITY_RANK = {
+  healthy: 0,
+  monitoring: 1,
+  warning: 2,
+  critical: 3
+};
+
+// Severities a site can alert on (minimum)
+export const ALERT_SEVERITIES = ['critical', 'warning'];
+
+export const DEFAULT_NOTIFICATION_PREFS = {
+  enabled: false,
+  minSeverity: 'critical',
+  quietStart: '', // 'HH:MM', empty = no quiet hours
+  quietEnd: ''
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function getPrefsKey(siteUrl) {
+  return `notify_${btoa(siteUrl)}`;
+}
+
+/**
+ * Get a site's alert preferences (alerts are opt-in per site)
+ */
+export async function getNotificationPrefs(siteUrl) {
+  const key = getPrefsKey(siteUrl);
+  const result = await chrome.storage.local.get(key);
+  return normalizeNotificationPrefs(result[key] || {});
+}
+
+/**
+ * Validate and persist a site's alert preferences
+ * @returns {object} The normalized preferences that were stored
+ */
+export async function saveNotificationPrefs(siteUrl, prefs) {
+  const normalized = normalizeNotificationPrefs(prefs);
+  await chrome.storage.local.set({ [getPrefsKey(siteUrl)]: normalized });
+  return normalized;
+}
+
+export function normalizeNotificationPrefs(prefs = {}) {
+  const quietStart = TIME_PATTERN.test(prefs.quietStart) ? prefs.quietStart : '';
+  const quietEnd = TIME_PATTERN.test(prefs.quietEnd) ? prefs.quietEnd : '';
+  const hasQuietHours = quietStart && quietEnd && quietStart !== quietEnd;
+
+  return {
+    enabled: Boolean(prefs.enabled),
+    minSeverity: ALERT_SEVERITIES.includes(prefs.minSeverity)
+      ? prefs.minSeverity
+      : DEFAULT_NOTIFICATION_PREFS.minSeverity,
+    quietStart: hasQuietHours ? quietStart : '',
+    quietEnd: hasQuietHours ? quietEnd : ''
+  };
+}
+
+/**
+ * Pages at or above the minimum severity now that weren't in the previous snapshot
+ * @param {object} latest - Newest snapshot ({ pages })
+ * @param {object} previous - Earlier snapshot to compare against
+ * @param {string} minSeverity - 'critical' or 'warning'
+ * @returns {Array} [{ page, severity, previousSeverity, decayClass, symptoms, score }] worst first
+ */
+export function findNewlyFlaggedPages(latest, previous, minSeverity = 'critical') {
+  const threshold = SEVERITY_RANK[minSeverity];
+  const previousSeverity = new Map(previous.pages.map(p => [p.page, p.decay.severity]));
+
+  return latest.pages
+    .filter(p => SEVERITY_RANK[p.decay.severity] >= threshold)
+    .filter(p => {
+      const before = previousSeverity.get(p.page);
+      return !before || SEVERITY_RANK[before] < threshold;
+    })
+    .map(p => ({
+      page: p.page,
+      severity: p.decay.severity,
+      previousSeverity: previousSeverity.get(p.page) || null,
+      decayClass: p.decay.decayClass,
+      symptoms: p.decay.symptoms,
+      score: p.decay.score
+    }))
+    .sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || b.score - a.score);
+}
+
+/**
+ * When the current quiet hours end, or null if alerts can be shown now
+ * Quiet hours may wrap past midnight (e.g. 22:00-07:00).
+ * @returns {Date|null}
+ */
+export function getQuietHoursEnd(prefs, now = new Date()) {
+  if (!prefs.quietStart || !prefs.quietEnd) return null;
+
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const start = toMinutes(prefs.quietStart);
+  const end = toMinutes(prefs.quietEnd);
+  const isQuiet = start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+  if (!isQuiet) return null;
+
+  const endDate = new Date(now);
+  endDate.setHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (endDate <= now) endDate.setDate(endDate.getDate() + 1);
+  return endDate;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
@@ -0,0 +1,268 @@
+// HTML fragments describing a site's and a page's diagnosis, shared by the popup and the dashboard
+
+import { buildWaterfallChart, CHART_COLORS } from './charts.js';
+import { ATTRIBUTION_COMPONENTS } from './query-attribution.js';
+import { daysBetween } from './dates.js';
+import { formatShortDate, formatPercent, escapeHtml, fNum } from './format.js';
+import { ACTION_TYPES } from './annotations.js';
+import { EVENT_TYPES, findNearbyEvent } from './site-events.js';
+import { TRIAGE_STATUSES, getTriageStatus, isOverdue } from './triage.js';
+
+// Onsets below this confidence are shown muted
+export const ONSET_CONFIDENCE_THRESHOLD = 0.9;
+
+// Trend chart ranges offered in the detail view (days)
+export const TREND_RANGES = [90, 180, 480];
+
+/**
+ * Decline onset tag; flagged with ⚡ when the onset lines up with a site event
+ * @param {Array} events - Site events (getSiteEvents), optional
+ */
+export function renderOnsetTag(page, events = []) {
+  const onset = page.decay?.onset;
+  if (!onset) return '';
+
+  const lowConfidence = onset.confidence < ONSET_CONFIDENCE_THRESHOLD ? ' low-confidence' : '';
+  const event = findNearbyEvent(onset.date, events);
+  const tooltip = `Daily ${onset.metric}: ${onset.preLevel} → ${onset.postLevel} (${onset.changePct}%)`
+    + (event ? `\n${describeEventOffset(event)}` : '');
+  const flag = event ? ' <span class="event-flag">⚡</span>' : '';
+  return `<div class="onset-tag${lowConfidence}" title="${escapeHtml(tooltip)}">↘ since ${formatShortDate(onset.date)} · ${Math.round(onset.confidence * 100)}%${flag}</div>`;
+}
+
+// "3 days after the March 2025 core update (Google update, 2025-03-13)"
+function describeEventOffset(event) {
+  const days = Math.abs(event.offsetDays);
+  const when = event.offsetDays === 0
+    ? 'On the day of'
+    : `${days} day${days === 1 ? '' : 's'} ${event.offsetDays > 0 ? 'after' : 'before'}`;
+  return `${when} ${event.name} (${EVENT_TYPES[event.type]}, ${event.date})`;
+}
+
+export function renderSeasonalTag(page) {
+  const seasonality = page.decay?.seasonality;
+  if (!seasonality?.isSeasonal) return '';
+
+  const tooltip = `Last year: ${seasonality.expectedClicksChange}% clicks over the same windows; adjusted change ${seasonality.adjustedClicksChange}%`;
+  return `<span class="seasonal-tag" title="${tooltip}">🍂 seasonal</span>`;
+}
+
+export function renderLossReason(page) {
+  const summary = page.decay?.attribution?.summary;
+  return summary ? `<span class="loss-reason">${escapeHtml(summary)}</span>` : '';
+}
+
+// Triage status, assignee and due date; nothing for pages nobody has triaged yet
+export function renderTriageTag(entry) {
+  if (!entry) return '';
+
+  const status = getTriageStatus(entry);
+  const parts = [entry.reopened ? '↺ Reopened' : TRIAGE_STATUSES[status]];
+  if (entry.assignee) parts.push(`@${escapeHtml(entry.assignee)}`);
+  if (entry.dueDate) parts.push(`due ${formatShortDate(entry.dueDate)}`);
+
+  const flags = `${entry.reopened ? ' reopened' : ''}${isOverdue(entry) ? ' overdue' : ''}`;
+  const tooltip = entry.reopened
+    ? `Reopened (was ${TRIAGE_STATUSES[entry.reopened.from]}): ${entry.reopened.reason}`
+    : `Status: ${TRIAGE_STATUSES[status]}`;
+  return `<span class="triage-tag ${status}${flags}" title="${escapeHtml(tooltip)}">${parts.join(' · ')}</span>`;
+}
+
+// Latest recorded action on a page (annotations newest first)
+export function renderAnnotationTag(annotations) {
+  if (!annotations?.length) return '';
+
+  const [latest] = annotations;
+  const tooltip = annotations.map(a => `${a.date} ${ACTION_TYPES[a.type].label}${a.note ? `: ${a.note}` : ''}`).join('\n');
+  const more = annotations.length > 1 ? ` +${annotations.length - 1}` : '';
+  return `<span class="annotation-tag" title="${escapeHtml(tooltip)}">✎ ${ACTION_TYPES[latest.type].short} ${formatShortDate(latest.date)}${more}</span>`;
+}
+
+/**
+ * Result of an annotated action (from GET_ANNOTATION_IMPACT) as a colored badge
+ * @param {number} days - Window compared on each side of the action
+ */
+export function renderImpact(annotation, days) {
+  const { impact } = annotation;
+  if (!impact) {
+    return `<span class="impact too-early" title="${escapeHtml(annotation.error || '')}">no data</span>`;
+  }
+
+  const tooltip = `${days} days before: ${fNum(impact.before.clicks)} clicks · after (${impact.afterDays} days): ${fNum(impact.after.clicks)} clicks`;
+  const text = impact.verdict === 'too early'
+    ? 'too early'
+    : `${impact.changes.clicks > 0 ? '+' : ''}${impact.changes.clicks}% clicks/day`;
+  return `<span class="impact ${impact.verdict.replace(' ', '-')}" title="${tooltip}">${text}</span>`;
+}
+
+/**
+ * Site totals for both periods with deltas (clicks, impressions, CTR, average position)
+ * @param {object} totals - { current, previous } from the no-dimension query
+ * @returns {string} HTML, empty if the analysis has no totals (older snapshots)
+ */
+export function renderSiteTotals(totals) {
+  if (!totals?.current) return '';
+
+  const { current } = totals;
+  const previous = totals.previous || { clicks: 0, impressions: 0, ctr: 0, position: 0 };
+  const metrics = [
+    { label: 'Clicks', curr: current.clicks, prev: previous.clicks, format: fNum },
+    { label: 'Impressions', curr: current.impressions, prev: previous.impressions, format: fNum },
+    { label: 'CTR', curr: current.ctr, prev: previous.ctr, format: formatPercent },
+    { label: 'Avg Position', curr: current.position, prev: previous.position, format: v => v.toFixed(1), lowerIsBetter: true }
+  ];
+
+  return `
+    <div class="totals-grid">
+      ${metrics.map(m => {
+    const change = m.lowerIsBetter
+      ? m.prev - m.curr
+      : (m.prev > 0 ? ((m.curr - m.prev) / m.prev) * 100 : 0);
+    const diffClass = change > 0 ? 'pos' : change < 0 ? 'neg' : 'neutral';
+    const changeText = m.lowerIsBetter
+      ? `${change > 0 ? '▲' : change < 0 ? '▼' : ''} ${Math.abs(change).toFixed(1)}`
+      : `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+
+    return `
+          <div class="total-item" title="Previous period: ${m.format(m.prev)}">
+            <span class="label">${m.label}</span>
+            <span class="value">${m.format(m.curr)}</span>
+            <span class="diff ${diffClass}">${changeText}</span>
+          </div>
+        `;
+  }).join('')}
+    </div>
+  `;
+}
+
+/**
+ * One-line insights for the detail view: decline onset (and a site event near it), seasonality,
+ * revival potential, cannibalization
+ * @param {object} page - Analyzed page
+ * @param {object} context - { ctrModel, cannibalization, events } from the current analysis (all optional)
+ * @returns {string[]} HTML lines
+ */
+export function buildInsightLines(page, context = {}) {
+  const insights = [];
+  const onset = page.decay.onset;
+  if (onset) {
+    insights.push(`
+      Decline started <strong>${formatShortDate(onset.date)}</strong>:
+      daily ${onset.metric} ${onset.preLevel} → ${onset.postLevel} (${onset.changePct}%),
+      ${Math.round(onset.confidence * 100)}% confidence
+    `);
+
+    const event = findNearbyEvent(onset.date, context.events || []);
+    if (event) {
+      insights.push(`⚡ ${escapeHtml(describeEventOffset(event))}`);
+    }
+  }
+
+  const seasonality = page.decay.seasonality;
+  if (seasonality) {
+    insights.push(`
+      Seasonally adjusted clicks: <strong>${seasonality.adjustedClicksChange}%</strong>
+      (last year ${seasonality.expectedClicksChange}% over the same windows)
+    `);
+  }
+
+  const revival = page.decay.revival;
+  if (revival && revival.potential > 0) {
+    const curveLabel = context.ctrModel?.source === 'site' ? 'this site\'s' : 'the default';
+    insights.push(`
+      Expected CTR at position ${revival.position} is <strong>${formatPercent(revival.expectedCtr)}</strong>
+      (actual ${formatPercent(revival.actualCtr)}, ${curveLabel} CTR curve):
+      ~${fNum(revival.ctrGap)} clicks from the snippet,
+      ~${fNum(revival.rankingGain)} more from reaching position ${revival.targetPosition}
+    `);
+  }
+
+  const competing = context.cannibalization?.byPage.find(p => p.page === page.page);
+  if (competing && competing.losses > 0) {
+    insights.push(`
+      Competing with other URLs on <strong>${competing.queries} queries</strong>,
+      losing the lead on ${competing.losses} (${fNum(competing.lostClicks)} clicks lost)
+    `);
+  }
+
+  return insights;
+}
+
+/**
+ * Waterfall chart and top-reason list items for a page's click change
+ * @returns {object|null} { chart, reasons } HTML, or null without attribution data
+ */
+export function buildAttributionHtml(page, chartOptions = {}) {
+  const attribution = page.decay.attribution;
+  if (!attribution) return null;
+
+  const steps = Object.entries(attribution.waterfall)
+    .filter(([, value]) => Math.round(value) !== 0)
+    .map(([key, value]) => ({ label: ATTRIBUTION_COMPONENTS[key], value }));
+
+  return {
+    chart: buildWaterfallChart(
+      { label: 'Previous clicks', value: page.previous.clicks },
+      steps,
+      { label: 'Current clicks', value: page.current.clicks },
+      chartOptions
+    ),
+    reasons: attribution.topReasons.map(reason => `
+      <li><span class="share">${reason.share}%</span>${escapeHtml(reason.text)} (${fNum(reason.clicks)} clicks)</li>
+    `).join('')
+  };
+}
+
+/**
+ * Smallest trend range that covers both comparison windows
+ */
+export function getTrendDays(dateRanges, settings) {
+  const today = new Date().toISOString().split('T')[0];
+  const previousStart = dateRanges?.previous?.startDate;
+  const neededDays = previousStart
+    ? daysBetween(previousStart, today)
+    : settings.currentDays + settings.previousDays + 3;
+  return TREND_RANGES.find(d => d >= neededDays) || TREND_RANGES[TREND_RANGES.length - 1];
+}
+
+/**
+ * Period bands, the onset marker, annotated actions and site events for a page's trend chart
+ */
+export function getTrendOverlays(dateRanges, page, annotations = [], events = []) {
+  const bands = [];
+  if (dateRanges?.previous) {
+    bands.push({ ...dateRanges.previous, label: 'Previous', color: CHART_COLORS.previousBand });
+  }
+  if (dateRanges?.current) {
+    bands.push({ ...dateRanges.current, label: 'Current', color: CHART_COLORS.currentBand });
+  }
+
+  const markers = [];
+  const onset = page?.decay.onset;
+  if (onset) {
+    markers.push({ date: onset.date, label: 'Onset', color: CHART_COLORS.marker });
+  }
+  for (const annotation of annotations) {
+    markers.push({
+      date: annotation.date,
+      label: ACTION_TYPES[annotation.type].short,
+      color: CHART_COLORS.annotation
+    });
+  }
+  for (const event of events) {
+    markers.push({
+      date: event.date,
+      label: event.type === 'algorithm' ? 'G' : EVENT_TYPES[event.type],
+      color: CHART_COLORS.event
+    });
+  }
+
+  return { bands, markers };
+}
+
+/**
+ * Search Console performance report filtered to one page
+ */
+export function getGscPageUrl(siteUrl, pageUrl) {
+  return `https://search.google.com/search-console/performance/search-analytics?resource_id=${encodeURIComponent(siteUrl)}&page=!${encodeURIComponent(pageUrl)}`;
+}
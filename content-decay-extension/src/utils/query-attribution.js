@@ -0,0 +1,125 @@
+// Query-loss attribution
+// Decomposes a page's click change into lost queries, new queries, position, CTR and demand effects
+
+import { expectedCtr } from './ctr-model.js';
+
+export const ATTRIBUTION_COMPONENTS = {
+  lostQueries: 'Lost queries',
+  newQueries: 'New queries',
+  demand: 'Search demand',
+  position: 'Position changes',
+  ctr: 'CTR changes',
+  unattributed: 'Other / anonymized'
+};
+
+/**
+ * Break a page's click change down by query
+ * For a query present in both periods: Δclicks = (I1 - I0)·CTR0 + I1·(CTR1 - CTR0).
+ * The first term is demand; the second is split into the part the position change
+ * explains (via the expected-CTR curve) and the remaining CTR change.
+ * @param {Array} queries - [{ query, current, previous }] where current/previous may be null
+ * @param {object} pageTotals - { current: { clicks }, previous: { clicks } } page-level totals
+ * @param {object} options - { ctrCurve, maxReasons }
+ * @returns {object} { waterfall, topReasons, summary }
+ */
+export function attributeClickChange(queries, pageTotals, options = {}) {
+  const { ctrCurve, maxReasons = 3 } = options;
+  const waterfall = {
+    lostQueries: 0,
+    newQueries: 0,
+    demand: 0,
+    position: 0,
+    ctr: 0,
+    unattributed: 0
+  };
+  const perQuery = [];
+
+  for (const q of queries) {
+    const prev = q.previous;
+    const curr = q.current;
+    const effects = { lostQueries: 0, newQueries: 0, demand: 0, position: 0, ctr: 0 };
+
+    if (prev && !curr) {
+      effects.lostQueries = -prev.clicks;
+    } else if (curr && !prev) {
+      effects.newQueries = curr.clicks;
+    } else if (curr && prev) {
+      const ctr0 = prev.impressions > 0 ? prev.clicks / prev.impressions : 0;
+      const ctr1 = curr.impressions > 0 ? curr.clicks / curr.impressions : 0;
+      const ctrEffect = curr.impressions * (ctr1 - ctr0);
+      const positionFactor = expectedCtr(curr.position, ctrCurve) / expectedCtr(prev.position, ctrCurve) - 1;
+
+      effects.demand = (curr.impressions - prev.impressions) * ctr0;
+      effects.position = curr.impressions * ctr0 * positionFactor;
+      effects.ctr = ctrEffect - effects.position;
+    } else {
+      continue;
+    }
+
+    for (const key of Object.keys(effects)) waterfall[key] += effects[key];
+
+    const total = (curr?.clicks || 0) - (prev?.clicks || 0);
+    perQuery.push({ query: q.query, total, effects, current: curr, previous: prev });
+  }
+
+  // Whatever the query rows don't explain (anonymized queries, row limits)
+  const pageChange = pageTotals.current.clicks - (pageTotals.previous?.clicks || 0);
+  const explained = Object.values(waterfall).reduce((sum, v) => sum + v, 0);
+  waterfall.unattributed = pageChange - explained;
+
+  for (const key of Object.keys(waterfall)) {
+    waterfall[key] = Math.round(waterfall[key] * 10) / 10;
+  }
+
+  const grossLoss = perQuery.reduce((sum, q) => sum + Math.min(0, q.total), 0);
+  const topReasons = grossLoss < 0
+    ? perQuery
+      .filter(q => q.total < 0)
+      .sort((a, b) => a.total - b.total)
+      .slice(0, maxReasons)
+      .map(q => {
+        const driver = getMainDriver(q);
+        return {
+          query: q.query,
+          driver,
+          clicks: Math.round(q.total),
+          share: Math.round((q.total / grossLoss) * 100),
+          text: describeDriver(q, driver)
+        };
+      })
+    : [];
+
+  return {
+    waterfall,
+    topReasons,
+    summary: topReasons.length
+      ? `${topReasons[0].share}% of loss from ${topReasons[0].text}`
+      : ''
+  };
+}
+
+// The effect that cost this query the most clicks
+function getMainDriver(q) {
+  return Object.entries(q.effects)
+    .sort((a, b) => a[1] - b[1])[0][0];
+}
+
+function describeDriver(q, driver) {
+  const name = `'${q.query}'`;
+  switch (driver) {
+    case 'lostQueries':
+      return `${name} no longer ranking`;
+    case 'position':
+      return `${name} dropping ${(q.current.position - q.previous.position).toFixed(1)} positions`;
+    case 'ctr': {
+      const ctrDrop = (q.previous.clicks / q.previous.impressions - q.current.clicks / q.current.impressions) * 100;
+      return `${name} CTR down ${ctrDrop.toFixed(1)} pts`;
+    }
+    case 'demand': {
+      const demandDrop = (1 - q.current.impressions / q.previous.impressions) * 100;
+      return `${name} searches down ${Math.round(demandDrop)}%`;
+    }
+    default:
+      return name;
+  }
+}
@@ -0,0 +1,170 @@
+// Search Console API quota tracking: per-site request pacing and daily usage counts
+//
+// Limits are Google's documented Search Analytics quotas. Requests are paced to stay under the
+// per-minute limits; the daily count is for display only (Google resets it at midnight Pacific time).
+
+export const QUOTA_LIMITS = {
+  siteQpm: 1200,
+  userQpm: 1200,
+  projectQpd: 30000000
+};
+
+// Above this share of a per-minute limit the status shows as busy
+const BUSY_RATIO = 0.8;
+
+const WINDOW_MS = 60 * 1000;
+const USAGE_KEY = 'quotaUsage';
+const FLUSH_DELAY_MS = 2000;
+
+// Request timestamps from the last minute, keyed by "site:<url>" and "account:<id>" (service worker memory)
+const requestWindows = new Map();
+
+// Daily counts not yet written to storage
+let pendingCounts = new Map();
+let pendingThrottles = new Map();
+let flushTimer = null;
+
+/**
+ * Quota day (YYYY-MM-DD in Pacific time) of a timestamp
+ */
+export function getQuotaDay(timestamp = Date.now()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(new Date(timestamp));
+}
+
+function getWindow(key) {
+  const now = Date.now();
+  const timestamps = (requestWindows.get(key) || []).filter(t => now - t < WINDOW_MS);
+  requestWindows.set(key, timestamps);
+  return timestamps;
+}
+
+// Milliseconds until a window has room for one more request
+function getWaitTime(key, limit) {
+  const timestamps = getWindow(key);
+  if (timestamps.length < limit) return 0;
+  return timestamps[timestamps.length - limit] + WINDOW_MS - Date.now();
+}
+
+/**
+ * Wait until a request for this site and account fits under the per-minute limits, then claim it
+ * @param {object} owner - { siteUrl, accountId } (either may be missing)
+ */
+export async function acquireRequestSlot({ siteUrl, accountId }) {
+  const keys = [
+    siteUrl && [`site:${siteUrl}`, QUOTA_LIMITS.siteQpm],
+    accountId && [`account:${accountId}`, QUOTA_LIMITS.userQpm]
+  ].filter(Boolean);
+
+  while (true) {
+    const wait = Math.max(0, ...keys.map(([key, limit]) => getWaitTime(key, limit)));
+    if (wait === 0) break;
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+
+  // No await between the check and the claim, so concurrent callers can't both take the last slot
+  const now = Date.now();
+  for (const [key] of keys) {
+    requestWindows.get(key).push(now);
+  }
+}
+
+/**
+ * Count a request that reached the API towards today's usage
+ */
+export function recordRequest(siteUrl) {
+  const key = siteUrl || '';
+  pendingCounts.set(key, (pendingCounts.get(key) || 0) + 1);
+  scheduleFlush();
+}
+
+/**
+ * Remember that Google rate-limited a site, and for how long the client is backing off
+ */
+export function recordThrottle(siteUrl, delayMs) {
+  pendingThrottles.set(siteUrl || '', Date.now() + delayMs);
+  scheduleFlush();
+}
+
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushUsage().catch(error => console.warn('Failed to save quota usage:', error));
+  }, FLUSH_DELAY_MS);
+}
+
+/**
+ * Write pending counts to storage (batched, since paginated fetches make many requests a second)
+ */
+export async function flushUsage() {
+  const counts = pendingCounts;
+  const throttles = pendingThrottles;
+  pendingCounts = new Map();
+  pendingThrottles = new Map();
+
+  const usage = await getStoredUsage();
+  for (const [siteUrl, count] of counts) {
+    usage.total += count;
+    if (siteUrl) usage.sites[siteUrl] = (usage.sites[siteUrl] || 0) + count;
+  }
+  for (const [siteUrl, until] of throttles) {
+    usage.throttledUntil[siteUrl] = Math.max(usage.throttledUntil[siteUrl] || 0, until);
+  }
+
+  await chrome.storage.local.set({ [USAGE_KEY]: usage });
+}
+
+// Today's stored usage (a new quota day starts from zero)
+async function getStoredUsage() {
+  const result = await chrome.storage.local.get(USAGE_KEY);
+  const usage = result[USAGE_KEY];
+  const day = getQuotaDay();
+  if (usage?.day === day) return usage;
+  return { day, total: 0, sites: {}, throttledUntil: {} };
+}
+
+/**
+ * Current quota status for a site
+ * @returns {object} { day, siteQueriesToday, queriesToday, projectQpd, siteQpm, siteQpmLimit, throttledUntil, level }
+ *   level is 'ok', 'busy' (near the per-minute limit) or 'throttled' (backing off after a 429)
+ */
+export async function getQuotaStatus(siteUrl) {
+  const usage = await getStoredUsage();
+  const pendingSite = pendingCounts.get(siteUrl) || 0;
+  const pendingTotal = [...pendingCounts.values()].reduce((sum, n) => sum + n, 0);
+  const throttledUntil = Math.max(usage.throttledUntil[siteUrl] || 0, pendingThrottles.get(siteUrl) || 0);
+  const siteQpm = getWindow(`site:${siteUrl}`).length;
+
+  let level = 'ok';
+  if (throttledUntil > Date.now()) level = 'throttled';
+  else if (siteQpm >= QUOTA_LIMITS.siteQpm * BUSY_RATIO) level = 'busy';
+
+  return {
+    day: usage.day,
+    siteQueriesToday: (usage.sites[siteUrl] || 0) + pendingSite,
+    queriesToday: usage.total + pendingTotal,
+    projectQpd: QUOTA_LIMITS.projectQpd,
+    siteQpm,
+    siteQpmLimit: QUOTA_LIMITS.siteQpm,
+    throttledUntil: throttledUntil || null,
+    level
+  };
+}
+
+/**
+ * One-line summary of a quota status for the UI
+ */
+export function formatQuotaStatus(status) {
+  const parts = [`API today: ${status.siteQueriesToday.toLocaleString()} queries for this site`];
+  if (status.queriesToday !== status.siteQueriesToday) {
+    parts.push(`${status.queriesToday.toLocaleString()} total`);
+  }
+  if (status.siteQpm > 0) {
+    parts.push(`${status.siteQpm}/${status.siteQpmLimit.toLocaleString()} per minute`);
+  }
+  if (status.level === 'throttled') {
+    const seconds = Math.max(1, Math.ceil((status.throttledUntil - Date.now()) / 1000));
+    parts.push(`rate-limited by Google, retrying in ${seconds}s`);
+  }
+  return parts.join(' · ');
+}
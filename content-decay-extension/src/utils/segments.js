@@ -0,0 +1,223 @@
+// User-defined URL segments (directory prefix, regex or imported URL → category mapping) and per-segment rollups
+//
+// Segment rules are edited as one line each, matched in order against the URL path:
+//   Reviews: /blog/reviews/
+//   Dated guides: re:^/guides/.*-20\d\d/?$
+// An imported mapping (CSV of url,category) takes precedence over the rules.
+
+import { getPagePath } from './format.js';
+
+export const SEGMENT_TYPES = ['prefix', 'regex'];
+
+// How the segment view groups pages
+export const SEGMENT_GROUPINGS = {
+  segment: 'Segments',
+  directory: 'Top directory',
+  subdirectory: 'Two levels'
+};
+
+// Pages no rule or mapping entry matches
+export const UNSEGMENTED = 'Other';
+
+const REGEX_PREFIX = 're:';
+
+function getSegmentsKey(siteUrl) {
+  return `segments_${btoa(siteUrl)}`;
+}
+
+/**
+ * Get a site's segment rules and mapping
+ */
+export async function getSegments(siteUrl) {
+  const key = getSegmentsKey(siteUrl);
+  const result = await chrome.storage.local.get(key);
+  return normalizeSegments(result[key] || {});
+}
+
+/**
+ * Persist a site's segment rules and mapping
+ * @returns {object} The normalized config that was stored
+ */
+export async function saveSegments(siteUrl, segments) {
+  const normalized = normalizeSegments(segments);
+  await chrome.storage.local.set({ [getSegmentsKey(siteUrl)]: normalized });
+  return normalized;
+}
+
+/**
+ * @returns {object} { rules: [{ name, type, pattern }], mapping: { URL or path: category } }
+ */
+export function normalizeSegments(segments = {}) {
+  const rules = Array.isArray(segments.rules)
+    ? segments.rules.filter(rule => rule?.name && SEGMENT_TYPES.includes(rule.type) && rule.pattern)
+    : [];
+  const mapping = segments.mapping && typeof segments.mapping === 'object' ? segments.mapping : {};
+  return { rules, mapping };
+}
+
+export function hasSegments(segments) {
+  return segments.rules.length > 0 || Object.keys(segments.mapping).length > 0;
+}
+
+/**
+ * Parse segment rules from the editor, one "Name: /prefix/" or "Name: re:pattern" per line
+ * Blank lines and lines starting with # are ignored.
+ * @throws {Error} With the line number of the first invalid rule
+ */
+export function parseSegmentRules(text) {
+  const rules = [];
+
+  text.split('\n').forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const where = `Line ${i + 1}`;
+    const colon = line.indexOf(':');
+    if (colon === -1) throw new Error(`${where}: expected "Name: /path/" or "Name: re:pattern"`);
+
+    const name = line.slice(0, colon).trim();
+    const value = line.slice(colon + 1).trim();
+    if (!name) throw new Error(`${where}: segment name is empty`);
+
+    if (value.startsWith(REGEX_PREFIX)) {
+      const pattern = value.slice(REGEX_PREFIX.length).trim();
+      if (!pattern) throw new Error(`${where} (${name}): regex is empty`);
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`${where} (${name}): invalid regex: ${error.message}`);
+      }
+      rules.push({ name, type: 'regex', pattern });
+    } else {
+      if (!value.startsWith('/')) throw new Error(`${where} (${name}): path prefix must start with /`);
+      rules.push({ name, type: 'prefix', pattern: value });
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Inverse of parseSegmentRules, for the editor
+ */
+export function formatSegmentRules(rules) {
+  return rules
+    .map(rule => `${rule.name}: ${rule.type === 'regex' ? REGEX_PREFIX : ''}${rule.pattern}`)
+    .join('\n');
+}
+
+/**
+ * Parse a URL → category mapping from CSV or TSV (url,category per line, optional header row)
+ * @returns {object} URL or path → category
+ * @throws {Error} If no row has both a URL and a category
+ */
+export function parseSegmentMapping(text) {
+  const mapping = {};
+
+  for (const raw of text.split(/\r?\n/)) {
+    const cells = raw.split(raw.includes('\t') ? '\t' : ',')
+      .map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+    const [url, category] = cells;
+
+    // Header rows and junk: the first cell has to look like a URL or path
+    if (!url || !category || !/^(https?:\/\/|\/)/.test(url)) continue;
+    mapping[url] = category;
+  }
+
+  if (Object.keys(mapping).length === 0) {
+    throw new Error('No rows with a URL (or /path) and a category found');
+  }
+  return mapping;
+}
+
+/**
+ * Build a page URL → segment name function (mapping first, then rules in order, else UNSEGMENTED)
+ */
+export function createSegmentMatcher(segments) {
+  const matchers = segments.rules.map(rule => {
+    if (rule.type === 'regex') {
+      const regex = new RegExp(rule.pattern);
+      return { name: rule.name, test: path => regex.test(path) };
+    }
+    return { name: rule.name, test: path => path.startsWith(rule.pattern) };
+  });
+
+  return (url) => {
+    const path = getPagePath(url);
+    const mapped = segments.mapping[url] || segments.mapping[path];
+    if (mapped) return mapped;
+
+    return matchers.find(m => m.test(path))?.name || UNSEGMENTED;
+  };
+}
+
+/**
+ * Leading directories of a URL's path: "/blog/" for /blog/post at depth 1 ("/" for top-level pages)
+ */
+export function getDirectory(url, depth = 1) {
+  const path = getPagePath(url);
+  const parts = path.split('/').filter(Boolean);
+  // The last part is the page itself unless the path ends with a slash
+  const directories = path.endsWith('/') ? parts : parts.slice(0, -1);
+  const kept = directories.slice(0, depth);
+  return kept.length > 0 ? `/${kept.join('/')}/` : '/';
+}
+
+/**
+ * Page URL → group name function for a grouping from SEGMENT_GROUPINGS
+ */
+export function getGroupingKey(grouping, segments) {
+  if (grouping === 'directory') return url => getDirectory(url, 1);
+  if (grouping === 'subdirectory') return url => getDirectory(url, 2);
+  return createSegmentMatcher(segments);
+}
+
+/**
+ * Roll up analyzed pages per segment
+ * @param {Array} pages - Analyzed pages
+ * @param {Function} getKey - Page URL → segment name
+ * @returns {Array} Segments with summed clicks/impressions, changes and severity/class counts, biggest click loss first
+ */
+export function rollupSegments(pages, getKey) {
+  const groups = new Map();
+
+  for (const page of pages) {
+    const name = getKey(page.page);
+    let group = groups.get(name);
+    if (!group) {
+      group = {
+        name,
+        pageCount: 0,
+        current: { clicks: 0, impressions: 0 },
+        previous: { clicks: 0, impressions: 0 },
+        severityCounts: { critical: 0, warning: 0, monitoring: 0, healthy: 0 },
+        classCounts: {}
+      };
+      groups.set(name, group);
+    }
+
+    group.pageCount++;
+    group.current.clicks += page.current.clicks;
+    group.current.impressions += page.current.impressions;
+    group.previous.clicks += page.previous.clicks;
+    group.previous.impressions += page.previous.impressions;
+    group.severityCounts[page.decay.severity] = (group.severityCounts[page.decay.severity] || 0) + 1;
+    group.classCounts[page.decay.decayClass] = (group.classCounts[page.decay.decayClass] || 0) + 1;
+  }
+
+  return [...groups.values()]
+    .map(group => ({
+      ...group,
+      clicksDiff: group.current.clicks - group.previous.clicks,
+      changes: {
+        clicks: Math.round(percentChange(group.current.clicks, group.previous.clicks) * 10) / 10,
+        impressions: Math.round(percentChange(group.current.impressions, group.previous.impressions) * 10) / 10
+      }
+    }))
+    .sort((a, b) => a.clicksDiff - b.clicksDiff);
+}
+
+function percentChange(current, previous) {
+  if (previous === 0) return current > 0 ? 100 : 0;
+  return ((current - previous) / previous) * 100;
+}
@@ -0,0 +1,177 @@
+// Per-site analysis settings persisted in chrome.storage
+
+import { GSC_RETENTION_DAYS, YOY_OFFSET_DAYS, DATA_LAG_DAYS, getAvailableDateRange, isDateString, daysBetween } from './dates.js';
+import { CTR_MODELS } from './ctr-model.js';
+
+// GSC keeps ~16 months of data; current + previous windows (plus the 3-day lag) must fit
+const MAX_TOTAL_DAYS = 480;
+
+// Longest window whose year-ago counterpart is still inside GSC retention
+export const MAX_YOY_DAYS = GSC_RETENTION_DAYS - YOY_OFFSET_DAYS - DATA_LAG_DAYS;
+
+export const COMPARISON_MODES = ['sequential', 'yoy', 'custom'];
+
+export const DEFAULT_SETTINGS = {
+  currentDays: 30,
+  previousDays: 30,
+  minImpressions: 50,
+  minClicks: 0,
+  brandKeywords: '',
+  ctrModel: 'site',
+  comparisonMode: 'sequential',
+  seasonalAdjust: true,
+  detectOnset: true,
+  attributeQueries: true,
+  weights: {
+    clicks: 0.4,
+    impressions: 0.3,
+    ctr: 0.2,
+    position: 2.0
+  }
+};
+
+function getSettingsKey(siteUrl) {
+  return `settings_${btoa(siteUrl)}`;
+}
+
+/**
+ * Get saved settings for a site, merged over the defaults
+ */
+export async function getSiteSettings(siteUrl) {
+  const key = getSettingsKey(siteUrl);
+  const result = await chrome.storage.local.get(key);
+  return normalizeSettings(result[key] || {});
+}
+
+/**
+ * Validate and persist settings for a site
+ * Custom windows are checked against the days Search Console can serve now; once saved they're
+ * kept as picked, even after they age out (see getExpiredRangesError).
+ * @returns {object} The normalized settings that were stored
+ */
+export async function saveSiteSettings(siteUrl, settings) {
+  if (settings.comparisonMode === 'custom') {
+    const error = validateCustomRanges(settings.customRanges);
+    if (error) throw new Error(error);
+  }
+
+  const normalized = normalizeSettings(settings);
+  await chrome.storage.local.set({ [getSettingsKey(siteUrl)]: normalized });
+  return normalized;
+}
+
+/**
+ * Remove saved settings for a site (falls back to defaults)
+ */
+export async function resetSiteSettings(siteUrl) {
+  await chrome.storage.local.remove(getSettingsKey(siteUrl));
+  return normalizeSettings({});
+}
+
+/**
+ * Fill in defaults and clamp values to ranges the API can serve
+ */
+export function normalizeSettings(settings = {}) {
+  const weights = { ...DEFAULT_SETTINGS.weights };
+  for (const key of Object.keys(weights)) {
+    const value = parseFloat(settings.weights?.[key]);
+    if (Number.isFinite(value) && value >= 0) weights[key] = value;
+  }
+
+  // Retention isn't checked here: saved windows that aged out stay selected and fail the analysis instead
+  const customRanges = settings.comparisonMode === 'custom' && !checkRangeOrder(settings.customRanges)
+    ? {
+      current: { startDate: settings.customRanges.current.startDate, endDate: settings.customRanges.current.endDate },
+      previous: { startDate: settings.customRanges.previous.startDate, endDate: settings.customRanges.previous.endDate }
+    }
+    : null;
+
+  const comparisonMode = COMPARISON_MODES.includes(settings.comparisonMode) && (settings.comparisonMode !== 'custom' || customRanges)
+    ? settings.comparisonMode
+    : DEFAULT_SETTINGS.comparisonMode;
+
+  // Year-over-year compares equal-length windows 52 weeks apart; custom windows set their own lengths
+  let currentDays;
+  let previousDays;
+  if (customRanges) {
+    currentDays = daysBetween(customRanges.current.startDate, customRanges.current.endDate);
+    previousDays = daysBetween(customRanges.previous.startDate, customRanges.previous.endDate);
+  } else if (comparisonMode === 'yoy') {
+    currentDays = toInt(settings.currentDays, DEFAULT_SETTINGS.currentDays, 1, MAX_YOY_DAYS);
+    previousDays = currentDays;
+  } else {
+    currentDays = toInt(settings.currentDays, DEFAULT_SETTINGS.currentDays, 1, MAX_TOTAL_DAYS - 1);
+    previousDays = toInt(settings.previousDays, DEFAULT_SETTINGS.previousDays, 1, MAX_TOTAL_DAYS - currentDays);
+  }
+
+  return {
+    comparisonMode,
+    currentDays,
+    previousDays,
+    // Only present in custom mode, so preset settings keep their cache keys
+    ...(customRanges && { customRanges }),
+    minImpressions: toInt(settings.minImpressions, DEFAULT_SETTINGS.minImpressions, 0, Infinity),
+    minClicks: toInt(settings.minClicks, DEFAULT_SETTINGS.minClicks, 0, Infinity),
+    brandKeywords: typeof settings.brandKeywords === 'string'
+      ? settings.brandKeywords.split(',').map(k => k.trim()).filter(k => k).join(', ')
+      : DEFAULT_SETTINGS.brandKeywords,
+    ctrModel: CTR_MODELS.includes(settings.ctrModel) ? settings.ctrModel : DEFAULT_SETTINGS.ctrModel,
+    seasonalAdjust: settings.seasonalAdjust !== undefined ? Boolean(settings.seasonalAdjust) : DEFAULT_SETTINGS.seasonalAdjust,
+    detectOnset: settings.detectOnset !== undefined ? Boolean(settings.detectOnset) : DEFAULT_SETTINGS.detectOnset,
+    attributeQueries: settings.attributeQueries !== undefined ? Boolean(settings.attributeQueries) : DEFAULT_SETTINGS.attributeQueries,
+    weights
+  };
+}
+
+/**
+ * Check custom comparison windows against the days Search Console can serve
+ * @param {object} customRanges - { current: { startDate, endDate }, previous: { startDate, endDate } }
+ * @returns {string|null} What's wrong, or null if the windows can be analyzed
+ */
+export function validateCustomRanges(customRanges) {
+  const orderError = checkRangeOrder(customRanges);
+  if (orderError) return orderError;
+
+  const { earliest, latest } = getAvailableDateRange();
+  for (const [label, range] of [['Current', customRanges.current], ['Previous', customRanges.previous]]) {
+    if (range.startDate < earliest) {
+      return `${label} period starts before ${earliest}, the oldest day Search Console keeps`;
+    }
+    if (range.endDate > latest) {
+      return `${label} period ends after ${latest}, the latest day with complete data`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Why saved settings can't be analyzed today (custom windows that have aged out of GSC retention)
+ * @returns {string|null}
+ */
+export function getExpiredRangesError(settings) {
+  const error = settings.customRanges ? validateCustomRanges(settings.customRanges) : null;
+  return error ? `Custom comparison can't run: ${error}. Pick new dates in Settings.` : null;
+}
+
+// Dates present and in order, whatever today's retention window is
+function checkRangeOrder(customRanges) {
+  for (const [label, range] of [['Current', customRanges?.current], ['Previous', customRanges?.previous]]) {
+    if (!isDateString(range?.startDate) || !isDateString(range?.endDate)) {
+      return `${label} period needs a start and an end date`;
+    }
+    if (range.startDate > range.endDate) {
+      return `${label} period ends before it starts`;
+    }
+  }
+
+  if (customRanges.previous.endDate >= customRanges.current.startDate) {
+    return 'Previous period must end before the current period starts';
+  }
+  return null;
+}
+
+function toInt(value, fallback, min, max) {
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.min(max, Math.max(min, parsed));
+}
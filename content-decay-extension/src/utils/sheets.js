@@ -0,0 +1,153 @@
+// Google Sheets push: a small Sheets REST client, the per-site target spreadsheet and snapshot tabs
+//
+// The client takes its base URL and fetch function as options, so it can be pointed at a local
+// mock of the Sheets API (e.g. createSheetsClient({ token: 'test', baseUrl: 'http://localhost:8080/v4' })).
+// The extension's own pushes use the sheetsBaseUrl dev setting when it is set, e.g. from the
+// service worker console: chrome.storage.local.set({ sheetsBaseUrl: 'http://localhost:8080/v4' })
+// (the mock has to answer CORS preflights, since only the real API host is in host_permissions).
+
+export const SHEETS_BASE_URL = 'https://sheets.googleapis.com/v4';
+
+const BASE_URL_KEY = 'sheetsBaseUrl';
+
+function getTargetKey(siteUrl) {
+  return `sheets_${btoa(siteUrl)}`;
+}
+
+/**
+ * Spreadsheet a site's results were last sent to
+ * @returns {object|null} { spreadsheetId, spreadsheetUrl, lastTab, lastPushedAt }
+ */
+export async function getSheetsTarget(siteUrl) {
+  const key = getTargetKey(siteUrl);
+  const result = await chrome.storage.local.get(key);
+  return result[key] || null;
+}
+
+export async function saveSheetsTarget(siteUrl, target) {
+  await chrome.storage.local.set({ [getTargetKey(siteUrl)]: target });
+}
+
+/**
+ * Base URL pushes go to: the sheetsBaseUrl dev setting, or the real API
+ */
+export async function getSheetsBaseUrl() {
+  const result = await chrome.storage.local.get(BASE_URL_KEY);
+  return result[BASE_URL_KEY] ? result[BASE_URL_KEY].replace(/\/+$/, '') : SHEETS_BASE_URL;
+}
+
+/**
+ * Minimal Sheets v4 client
+ * @param {object} options - { token, baseUrl = SHEETS_BASE_URL, fetch = globalThis.fetch }
+ */
+export function createSheetsClient({ token, baseUrl = SHEETS_BASE_URL, fetch: fetchImpl = globalThis.fetch.bind(globalThis) }) {
+  async function request(path, options = {}) {
+    const response = await fetchImpl(`${baseUrl}${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        ...options.headers
+      }
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(body.error?.message || `Sheets request failed: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  return {
+    createSpreadsheet(title, sheetTitle) {
+      return request('/spreadsheets', {
+        method: 'POST',
+        body: JSON.stringify({
+          properties: { title },
+          sheets: [{ properties: { title: sheetTitle, gridProperties: { frozenRowCount: 1 } } }]
+        })
+      });
+    },
+
+    getSpreadsheet(spreadsheetId) {
+      return request(`/spreadsheets/${encodeURIComponent(spreadsheetId)}?fields=spreadsheetId,spreadsheetUrl,sheets.properties`);
+    },
+
+    addSheet(spreadsheetId, title) {
+      return request(`/spreadsheets/${encodeURIComponent(spreadsheetId)}:batchUpdate`, {
+        method: 'POST',
+        body: JSON.stringify({
+          requests: [{ addSheet: { properties: { title, index: 0, gridProperties: { frozenRowCount: 1 } } } }]
+        })
+      });
+    },
+
+    clearValues(spreadsheetId, range) {
+      return request(`/spreadsheets/${encodeURIComponent(spreadsheetId)}/values/${encodeURIComponent(range)}:clear`, {
+        method: 'POST',
+        body: '{}'
+      });
+    },
+
+    // RAW keeps URLs and text that starts with "=" from being parsed as formulas
+    updateValues(spreadsheetId, range, rows) {
+      return request(`/spreadsheets/${encodeURIComponent(spreadsheetId)}/values/${encodeURIComponent(range)}?valueInputOption=RAW`, {
+        method: 'PUT',
+        body: JSON.stringify({ range, majorDimension: 'ROWS', values: rows })
+      });
+    }
+  };
+}
+
+/**
+ * Write rows to a site's spreadsheet, on the tab for the snapshot's date
+ * Creates the spreadsheet on first use (or if the remembered one is gone) and overwrites
+ * the tab when the same date is sent again.
+ * @param {object} client - From createSheetsClient
+ * @param {object} options - { siteUrl, title, tab, rows }
+ * @returns {object} Stored target { spreadsheetId, spreadsheetUrl, lastTab, lastPushedAt }
+ */
+export async function pushToSheets(client, { siteUrl, title, tab, rows }) {
+  let spreadsheet = null;
+  const target = await getSheetsTarget(siteUrl);
+
+  if (target) {
+    try {
+      spreadsheet = await client.getSpreadsheet(target.spreadsheetId);
+    } catch (error) {
+      // Deleted, or no longer accessible with this account: start a new one
+      if (error.status !== 404 && error.status !== 403) throw error;
+    }
+  }
+
+  if (!spreadsheet) {
+    spreadsheet = await client.createSpreadsheet(title, tab);
+  } else if (spreadsheet.sheets.some(s => s.properties.title === tab)) {
+    await client.clearValues(spreadsheet.spreadsheetId, quoteSheetName(tab));
+  } else {
+    await client.addSheet(spreadsheet.spreadsheetId, tab);
+  }
+
+  await client.updateValues(spreadsheet.spreadsheetId, `${quoteSheetName(tab)}!A1`, rows.map(toSheetRow));
+
+  const stored = {
+    spreadsheetId: spreadsheet.spreadsheetId,
+    spreadsheetUrl: spreadsheet.spreadsheetUrl,
+    lastTab: tab,
+    lastPushedAt: Date.now()
+  };
+  await saveSheetsTarget(siteUrl, stored);
+  return stored;
+}
+
+// A1 notation needs single quotes around names with spaces or punctuation
+function quoteSheetName(name) {
+  return `'${name.replace(/'/g, "''")}'`;
+}
+
+function toSheetRow(row) {
+  return row.map(value => (value === null || value === undefined ? '' : value));
+}
@@ -0,0 +1,165 @@
+// Site-wide events (deploys, migrations, Google updates) overlaid on charts and matched to decline onsets
+//
+// A site's log holds manual and imported entries; the bundled algorithm updates are merged in
+// unless the site turns them off. Imports are JSON ([{ date, name, type? }]) or CSV (date,name[,type]).
+
+import { ALGORITHM_UPDATES } from './algorithm-updates.js';
+import { addDays, daysBetween, isDateString } from './dates.js';
+
+export const EVENT_TYPES = {
+  deploy: 'Deploy',
+  migration: 'Migration',
+  algorithm: 'Google update',
+  other: 'Other'
+};
+
+// A decline onset this many days either side of an event is flagged as lining up with it
+export const EVENT_MATCH_DAYS = 3;
+
+const NAME_MAX_LENGTH = 120;
+
+function getEventsKey(siteUrl) {
+  return `siteEvents_${btoa(siteUrl)}`;
+}
+
+async function getStoredLog(siteUrl) {
+  const key = getEventsKey(siteUrl);
+  const result = await chrome.storage.local.get(key);
+  return { events: [], showAlgorithmUpdates: true, ...result[key] };
+}
+
+async function saveLog(siteUrl, log) {
+  await chrome.storage.local.set({ [getEventsKey(siteUrl)]: log });
+}
+
+/**
+ * A site's events, oldest first, with the bundled algorithm updates merged in (unless turned off)
+ * @returns {object} { events: [{ id, date, name, type, source }], showAlgorithmUpdates }
+ *   source is 'manual', 'import' or 'bundled'
+ */
+export async function getSiteEvents(siteUrl) {
+  const log = await getStoredLog(siteUrl);
+  const bundled = log.showAlgorithmUpdates
+    ? ALGORITHM_UPDATES.map(update => ({ id: `bundled-${update.date}-${update.name}`, ...update, type: 'algorithm', source: 'bundled' }))
+    : [];
+
+  // An imported copy of a bundled update replaces it
+  const events = [...log.events, ...bundled.filter(b => !log.events.some(e => e.date === b.date && e.name === b.name))];
+  return {
+    events: events.sort((a, b) => a.date.localeCompare(b.date)),
+    showAlgorithmUpdates: log.showAlgorithmUpdates
+  };
+}
+
+/**
+ * Add an event to a site's log
+ * @param {object} event - { date, name, type }
+ * @returns {object} The stored event
+ */
+export async function addSiteEvent(siteUrl, event, source = 'manual') {
+  const stored = normalizeEvent(event, source);
+  const log = await getStoredLog(siteUrl);
+  log.events.push(stored);
+  await saveLog(siteUrl, log);
+  return stored;
+}
+
+export async function deleteSiteEvent(siteUrl, id) {
+  const log = await getStoredLog(siteUrl);
+  log.events = log.events.filter(e => e.id !== id);
+  await saveLog(siteUrl, log);
+}
+
+export async function setShowAlgorithmUpdates(siteUrl, show) {
+  const log = await getStoredLog(siteUrl);
+  log.showAlgorithmUpdates = Boolean(show);
+  await saveLog(siteUrl, log);
+}
+
+/**
+ * Add every event of an imported list (entries already in the log are skipped)
+ * @returns {number} Events added
+ */
+export async function importSiteEvents(siteUrl, text) {
+  const parsed = parseEventList(text).map(event => normalizeEvent(event, 'import'));
+  const log = await getStoredLog(siteUrl);
+  const added = parsed.filter(event => !log.events.some(e => e.date === event.date && e.name === event.name));
+
+  log.events.push(...added);
+  await saveLog(siteUrl, log);
+  return added.length;
+}
+
+/**
+ * Parse a JSON array ([{ date, name, type? }]) or CSV/TSV rows (date,name[,type]) of events
+ * @returns {Array} [{ date, name, type }]
+ */
+export function parseEventList(text) {
+  const trimmed = text.trim();
+  let rows;
+
+  if (trimmed.startsWith('[')) {
+    let json;
+    try {
+      json = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    rows = json.map(item => ({ date: item?.date, name: item?.name || item?.title, type: item?.type }));
+  } else {
+    rows = trimmed.split(/\r?\n/).map(raw => {
+      const [date, name, type] = raw.split(raw.includes('\t') ? '\t' : ',')
+        .map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+      return { date, name, type };
+    });
+  }
+
+  // Header rows and junk: keep rows with a real date and a name
+  const events = rows.filter(row => isDateString(row.date) && row.name);
+  if (events.length === 0) {
+    throw new Error('No rows with a YYYY-MM-DD date and a name found');
+  }
+  return events;
+}
+
+function normalizeEvent(event, source) {
+  if (!isDateString(event.date)) throw new Error('Event needs a valid date');
+  const name = String(event.name || '').trim().slice(0, NAME_MAX_LENGTH);
+  if (!name) throw new Error('Event needs a name');
+
+  return {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+    date: event.date,
+    name,
+    type: EVENT_TYPES[event.type] ? event.type : (/update/i.test(name) ? 'algorithm' : 'other'),
+    source
+  };
+}
+
+/**
+ * Event closest to a date, if one is within EVENT_MATCH_DAYS of it
+ * @returns {object|null} { ...event, offsetDays } (offsetDays < 0: the date is before the event)
+ */
+export function findNearbyEvent(date, events, maxDays = EVENT_MATCH_DAYS) {
+  let best = null;
+  for (const event of events) {
+    const offsetDays = event.date <= date ? daysBetween(event.date, date) - 1 : -(daysBetween(date, event.date) - 1);
+    if (Math.abs(offsetDays) <= maxDays && (!best || Math.abs(offsetDays) < Math.abs(best.offsetDays))) {
+      best = { ...event, offsetDays };
+    }
+  }
+  return best;
+}
+
+/**
+ * Comparison windows split at an event: `days` before it vs. `days` from it on
+ * The event day starts the current window; the current window is cut at the latest day with data.
+ * @returns {object} { current, previous } as for custom ranges
+ */
+export function getEventSplitRanges(eventDate, days, latestDate) {
+  const currentEnd = addDays(eventDate, days - 1);
+  return {
+    previous: { startDate: addDays(eventDate, -days), endDate: addDays(eventDate, -1) },
+    current: { startDate: eventDate, endDate: currentEnd < latestDate ? currentEnd : latestDate }
+  };
+}
@@ -0,0 +1,135 @@
+// What changed between two stored analyses: class moves, severity escalations and biggest click movers
+//
+// Pages are matched by URL. A page missing from one side (below the thresholds, or new) moves
+// from or to NOT_ANALYZED. Movers compare each run's current-window clicks.
+
+import { SEVERITY_RANK } from './notifications.js';
+
+export const NOT_ANALYZED = 'Not analyzed';
+
+export const DEFAULT_MOVERS_LIMIT = 20;
+
+// Change types in exported rows, in report order
+export const DIFF_CHANGES = {
+  escalated: 'Severity escalated',
+  improved: 'Severity improved',
+  classChanged: 'Class changed',
+  declined: 'Biggest decline',
+  gained: 'Biggest gain'
+};
+
+/**
+ * Compare two snapshots of a site
+ * @param {object} base - Older snapshot ({ id, timestamp, optionsHash, dateRanges, summary, pages })
+ * @param {object} target - Newer snapshot
+ * @returns {object} {
+ *   base, target: { id, timestamp, dateRanges },
+ *   comparable: whether both runs used the same settings,
+ *   severityCounts: { critical: { before, after }, ... }, clicks: { before, after },
+ *   classChanges: [{ decayClass, entered: [change], left: [change] }] most changed first,
+ *   escalations, improvements: [change] most severe first,
+ *   movers: { declined, gained: [change] } largest first,
+ *   changedPages: pages whose class or severity changed
+ * }
+ *   change = { page, fromClass, toClass, fromSeverity, toSeverity, clicksBefore, clicksAfter, clicksChange, clicksChangePct }
+ */
+export function diffSnapshots(base, target, options = {}) {
+  const { moversLimit = DEFAULT_MOVERS_LIMIT } = options;
+  const basePages = new Map(base.pages.map(p => [p.page, p]));
+  const targetPages = new Map(target.pages.map(p => [p.page, p]));
+  const urls = new Set([...basePages.keys(), ...targetPages.keys()]);
+
+  const changes = [...urls].map(url => describeChange(url, basePages.get(url), targetPages.get(url)));
+
+  const classes = new Map();
+  const classEntry = (decayClass) => {
+    if (!classes.has(decayClass)) classes.set(decayClass, { decayClass, entered: [], left: [] });
+    return classes.get(decayClass);
+  };
+  for (const change of changes.filter(c => c.fromClass !== c.toClass)) {
+    classEntry(change.fromClass).left.push(change);
+    classEntry(change.toClass).entered.push(change);
+  }
+
+  const rank = severity => SEVERITY_RANK[severity] ?? -1;
+  const bySeverity = (a, b) => rank(b.toSeverity) - rank(a.toSeverity) || a.clicksChange - b.clicksChange;
+  const escalations = changes
+    .filter(c => c.fromSeverity && c.toSeverity && rank(c.toSeverity) > rank(c.fromSeverity))
+    .sort(bySeverity);
+  const improvements = changes
+    .filter(c => c.fromSeverity && c.toSeverity && rank(c.toSeverity) < rank(c.fromSeverity))
+    .sort((a, b) => rank(b.fromSeverity) - rank(a.fromSeverity) || b.clicksChange - a.clicksChange);
+
+  return {
+    base: describeSnapshot(base),
+    target: describeSnapshot(target),
+    comparable: base.optionsHash === target.optionsHash,
+    severityCounts: Object.fromEntries(Object.keys(SEVERITY_RANK).map(severity => [severity, {
+      before: base.pages.filter(p => p.decay.severity === severity).length,
+      after: target.pages.filter(p => p.decay.severity === severity).length
+    }])),
+    clicks: { before: sumClicks(base.pages), after: sumClicks(target.pages) },
+    classChanges: [...classes.values()]
+      .filter(c => c.decayClass !== NOT_ANALYZED)
+      .sort((a, b) => (b.entered.length + b.left.length) - (a.entered.length + a.left.length)),
+    escalations,
+    improvements,
+    movers: {
+      declined: changes.filter(c => c.clicksChange < 0)
+        .sort((a, b) => a.clicksChange - b.clicksChange).slice(0, moversLimit),
+      gained: changes.filter(c => c.clicksChange > 0)
+        .sort((a, b) => b.clicksChange - a.clicksChange).slice(0, moversLimit)
+    },
+    changedPages: changes.filter(c => c.fromClass !== c.toClass || c.fromSeverity !== c.toSeverity).length
+  };
+}
+
+function describeChange(url, before, after) {
+  const clicksBefore = before?.current.clicks || 0;
+  const clicksAfter = after?.current.clicks || 0;
+  return {
+    page: url,
+    fromClass: before?.decay.decayClass || NOT_ANALYZED,
+    toClass: after?.decay.decayClass || NOT_ANALYZED,
+    fromSeverity: before?.decay.severity || null,
+    toSeverity: after?.decay.severity || null,
+    clicksBefore,
+    clicksAfter,
+    clicksChange: clicksAfter - clicksBefore,
+    clicksChangePct: clicksBefore > 0 ? Math.round(((clicksAfter - clicksBefore) / clicksBefore) * 1000) / 10 : null
+  };
+}
+
+function describeSnapshot(snapshot) {
+  return { id: snapshot.id, timestamp: snapshot.timestamp, dateRanges: snapshot.dateRanges || null };
+}
+
+function sumClicks(pages) {
+  return pages.reduce((sum, p) => sum + p.current.clicks, 0);
+}
+
+/**
+ * Flat rows of a diff for CSV and spreadsheets, header row first
+ * Class changes are listed once per page (from → to), not once per class.
+ */
+export function buildDiffRows(diff) {
+  const header = ['Change', 'URL', 'From', 'To', 'Clicks Before', 'Clicks After', 'Clicks Change', 'Clicks Change %'];
+  const row = (type, change, from, to) => [
+    DIFF_CHANGES[type], change.page, from, to,
+    change.clicksBefore, change.clicksAfter, change.clicksChange, change.clicksChangePct ?? ''
+  ];
+
+  const classMoves = new Map();
+  for (const entry of diff.classChanges) {
+    for (const change of [...entry.entered, ...entry.left]) classMoves.set(change.page, change);
+  }
+
+  return [
+    header,
+    ...diff.escalations.map(c => row('escalated', c, c.fromSeverity, c.toSeverity)),
+    ...diff.improvements.map(c => row('improved', c, c.fromSeverity, c.toSeverity)),
+    ...[...classMoves.values()].map(c => row('classChanged', c, c.fromClass, c.toClass)),
+    ...diff.movers.declined.map(c => row('declined', c, c.fromClass, c.toClass)),
+    ...diff.movers.gained.map(c => row('gained', c, c.fromClass, c.toClass))
+  ];
+}
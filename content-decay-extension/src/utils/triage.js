@@ -0,0 +1,158 @@
+// Triage workflow: per-page status, assignee and due date, kept across analyses
+//
+// Pages without an entry are 'new'. Closing a page (Fixed or Ignored) records how it stood then;
+// a later analysis with newer data reopens it if it got worse since (see reconcileTriage).
+
+import { SEVERITY_RANK } from './notifications.js';
+import { daysBetween, isDateString } from './dates.js';
+
+export const TRIAGE_STATUSES = {
+  new: 'New',
+  investigating: 'Investigating',
+  fixing: 'Fixing',
+  fixed: 'Fixed',
+  ignored: 'Ignored'
+};
+
+// Statuses that take a page out of the queue until it decays further
+export const CLOSED_STATUSES = ['fixed', 'ignored'];
+
+// Drop in daily clicks since closing that reopens a page
+const REOPEN_CLICK_DROP_PCT = 20;
+
+// Below this many daily clicks at close, click drops are noise; only a severity increase reopens
+const REOPEN_MIN_DAILY_CLICKS = 1;
+
+const ASSIGNEE_MAX_LENGTH = 80;
+
+function getTriageKey(siteUrl) {
+  return `triage_${btoa(siteUrl)}`;
+}
+
+/**
+ * A site's triage entries
+ * @returns {object} pageUrl → { status, assignee, dueDate, updatedAt, baseline, reopened }
+ */
+export async function getTriage(siteUrl) {
+  const key = getTriageKey(siteUrl);
+  const result = await chrome.storage.local.get(key);
+  return result[key] || {};
+}
+
+export function getTriageStatus(entry) {
+  return entry?.status || 'new';
+}
+
+/**
+ * Update a page's status, assignee or due date
+ * @param {object} changes - Any of { status, assignee, dueDate } ('' clears assignee and due date)
+ * @param {object} page - The page as analyzed now; required when closing it, to reopen it later
+ * @param {object} dateRanges - The analysis' windows (the current one scales clicks to a daily rate)
+ * @returns {object} The stored entry
+ */
+export async function saveTriageEntry(siteUrl, pageUrl, changes, page = null, dateRanges = null) {
+  const triage = await getTriage(siteUrl);
+  const entry = { status: 'new', assignee: '', dueDate: '', ...triage[pageUrl] };
+
+  if (changes.status !== undefined) {
+    if (!TRIAGE_STATUSES[changes.status]) throw new Error(`Unknown status: ${changes.status}`);
+    if (changes.status !== entry.status) {
+      entry.status = changes.status;
+      entry.reopened = null;
+      entry.baseline = CLOSED_STATUSES.includes(changes.status) && page ? getBaseline(page, dateRanges) : null;
+    }
+  }
+  if (changes.assignee !== undefined) {
+    entry.assignee = String(changes.assignee).trim().slice(0, ASSIGNEE_MAX_LENGTH);
+  }
+  if (changes.dueDate !== undefined) {
+    if (changes.dueDate && !isDateString(changes.dueDate)) throw new Error('Due date must be a valid date');
+    entry.dueDate = changes.dueDate || '';
+  }
+  entry.updatedAt = Date.now();
+
+  await chrome.storage.local.set({ [getTriageKey(siteUrl)]: { ...triage, [pageUrl]: entry } });
+  return entry;
+}
+
+/**
+ * Reopen closed pages that decayed further since they were closed (called after each fresh analysis)
+ * Only analyses whose current window ends after the one a page was closed on count, so re-reading
+ * the same data never reopens anything.
+ * @returns {Array} Reopened pages [{ page, from, reason }]
+ */
+export async function reconcileTriage(siteUrl, pages, dateRanges) {
+  const triage = await getTriage(siteUrl);
+  const reopened = [];
+
+  for (const page of pages) {
+    const entry = triage[page.page];
+    if (!entry || !CLOSED_STATUSES.includes(entry.status) || !entry.baseline) continue;
+
+    const now = getBaseline(page, dateRanges);
+    if (!now.endDate || now.endDate <= entry.baseline.endDate) continue;
+
+    const reason = getReopenReason(entry.baseline, now);
+    if (!reason) continue;
+
+    triage[page.page] = {
+      ...entry,
+      status: 'new',
+      baseline: null,
+      reopened: { at: Date.now(), from: entry.status, reason },
+      updatedAt: Date.now()
+    };
+    reopened.push({ page: page.page, from: entry.status, reason });
+  }
+
+  if (reopened.length > 0) {
+    await chrome.storage.local.set({ [getTriageKey(siteUrl)]: triage });
+  }
+  return reopened;
+}
+
+// How a page stood in an analysis: severity and clicks per day of the current window
+function getBaseline(page, dateRanges) {
+  const current = dateRanges?.current;
+  const days = current ? daysBetween(current.startDate, current.endDate) : null;
+  return {
+    severity: page.decay.severity,
+    dailyClicks: days ? Math.round((page.current.clicks / days) * 10) / 10 : null,
+    endDate: current?.endDate || null
+  };
+}
+
+function getReopenReason(baseline, now) {
+  if (SEVERITY_RANK[now.severity] > SEVERITY_RANK[baseline.severity]) {
+    return `Severity ${baseline.severity} → ${now.severity}`;
+  }
+
+  if (baseline.dailyClicks >= REOPEN_MIN_DAILY_CLICKS && now.dailyClicks !== null) {
+    const dropPct = ((baseline.dailyClicks - now.dailyClicks) / baseline.dailyClicks) * 100;
+    if (dropPct >= REOPEN_CLICK_DROP_PCT) {
+      return `Daily clicks ${baseline.dailyClicks} → ${now.dailyClicks} (-${Math.round(dropPct)}%)`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Pages matching a triage filter
+ * @param {string} filter - 'all', 'open' (not fixed or ignored), 'overdue' or a status
+ */
+export function filterByTriage(pages, triage, filter, today = null) {
+  if (!filter || filter === 'all') return pages;
+
+  return pages.filter(page => {
+    const entry = triage[page.page];
+    const status = getTriageStatus(entry);
+    if (filter === 'open') return !CLOSED_STATUSES.includes(status);
+    if (filter === 'overdue') return isOverdue(entry, today);
+    return status === filter;
+  });
+}
+
+export function isOverdue(entry, today = null) {
+  const day = today || new Date().toISOString().split('T')[0];
+  return Boolean(entry?.dueDate) && entry.dueDate < day && !CLOSED_STATUSES.includes(getTriageStatus(entry));
+}
@@ -0,0 +1,515 @@
+// Local IndexedDB warehouse of daily Search Console rows per site
+//
+// Each synced day holds page rows, page+query rows (top rows only on big sites) and the site total.
+// Days are fetched once: syncing only requests days that aren't stored yet, and backfill walks
+// back towards GSC's ~16-month retention a few weeks per run. Comparisons over any windows the
+// warehouse covers are then computed locally, without API calls (and offline).
+//
+// The warehouse is opt-in per site. Syncing fetches one day per request, so it runs as a queued
+// background step after analyses (see queueWarehouseSync) rather than in front of them.
+//
+// Stores:
+//   pageDays   [siteUrl, page, date]        -> { clicks, impressions, position }
+//   queryDays  [siteUrl, page, query, date] -> { clicks, impressions, position }
+//   siteDays   [siteUrl, date]              -> { clicks, impressions, ctr, position }
+//   syncState  siteUrl                      -> { pageDates: [...], queryDates: [...], truncatedQueryDates: [...], lastSyncAt }
+//
+// chrome.storage.local:
+//   warehouse_<siteKey>                     -> { enabled }
+//   warehouseSyncs                          -> { siteUrl: { backfill, queuedAt } } syncs still to run
+
+import { queryAllSearchAnalytics } from './api.js';
+import { runConcurrently } from './api-client.js';
+import { addDays, getAvailableDateRange } from './dates.js';
+
+const DB_NAME = 'content-decay-warehouse';
+const DB_VERSION = 1;
+
+// Page+query rows kept per day (GSC sorts by clicks, so this keeps the queries that matter).
+// Days that hit the cap are recorded as truncated: summed over a window they would miss tail queries
+// the API's window-level top rows include, so query-level reads over them go to the API instead.
+export const QUERY_ROWS_PER_DAY = 25000;
+
+// Older days fetched per backfill run, so the first weeks of a big site don't hog the quota
+export const BACKFILL_DAYS_PER_RUN = 30;
+
+const SYNC_QUEUE_KEY = 'warehouseSyncs';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('pageDays', { keyPath: ['siteUrl', 'page', 'date'] })
+          .createIndex('siteDate', ['siteUrl', 'date']);
+        db.createObjectStore('queryDays', { keyPath: ['siteUrl', 'page', 'query', 'date'] })
+          .createIndex('siteDate', ['siteUrl', 'date']);
+        db.createObjectStore('siteDays', { keyPath: ['siteUrl', 'date'] });
+        db.createObjectStore('syncState', { keyPath: 'siteUrl' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+// Every date from startDate to endDate inclusive
+function dateRange(startDate, endDate) {
+  const dates = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+function getPrefsKey(siteUrl) {
+  return `warehouse_${btoa(siteUrl)}`;
+}
+
+/**
+ * Whether a site stores its daily rows locally (off unless turned on)
+ */
+export async function isWarehouseEnabled(siteUrl) {
+  const key = getPrefsKey(siteUrl);
+  const result = await chrome.storage.local.get(key);
+  return Boolean(result[key]?.enabled);
+}
+
+export async function setWarehouseEnabled(siteUrl, enabled) {
+  await chrome.storage.local.set({ [getPrefsKey(siteUrl)]: { enabled: Boolean(enabled) } });
+}
+
+/**
+ * Queue a background sync of a site (merged with one already queued; backfill sticks once asked for)
+ */
+export async function queueWarehouseSync(siteUrl, { backfill = false } = {}) {
+  const queue = await getSyncQueue();
+  queue[siteUrl] = { backfill: backfill || Boolean(queue[siteUrl]?.backfill), queuedAt: Date.now() };
+  await chrome.storage.local.set({ [SYNC_QUEUE_KEY]: queue });
+}
+
+/**
+ * Syncs still to run, oldest first
+ * @returns {Array} [{ siteUrl, backfill, queuedAt }]
+ */
+export async function getQueuedSyncs() {
+  const queue = await getSyncQueue();
+  return Object.entries(queue)
+    .map(([siteUrl, entry]) => ({ siteUrl, ...entry }))
+    .sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+/**
+ * Remove a finished sync from the queue, unless it was queued again since it started
+ */
+export async function dequeueWarehouseSync(siteUrl, queuedAt) {
+  const queue = await getSyncQueue();
+  if (queue[siteUrl]?.queuedAt !== queuedAt) return;
+  delete queue[siteUrl];
+  await chrome.storage.local.set({ [SYNC_QUEUE_KEY]: queue });
+}
+
+async function getSyncQueue() {
+  const result = await chrome.storage.local.get(SYNC_QUEUE_KEY);
+  return result[SYNC_QUEUE_KEY] || {};
+}
+
+/**
+ * What the warehouse holds for a site
+ * @returns {object} { pageDates: Set, queryDates: Set, truncatedQueryDates: Set, lastSyncAt }
+ */
+export async function getSyncState(siteUrl) {
+  const db = await openDb();
+  const state = await promisify(db.transaction('syncState').objectStore('syncState').get(siteUrl));
+  return {
+    pageDates: new Set(state?.pageDates || []),
+    // Query days stored before truncation was recorded count as missing, so they're fetched again
+    queryDates: new Set(state?.truncatedQueryDates ? state.queryDates : []),
+    truncatedQueryDates: new Set(state?.truncatedQueryDates || []),
+    lastSyncAt: state?.lastSyncAt || null
+  };
+}
+
+/**
+ * Coverage summary for the settings panel
+ * @returns {object} { enabled, pageDays, queryDays, truncatedQueryDays, firstDate, lastDate, queryFirstDate, lastSyncAt }
+ */
+export async function getWarehouseStatus(siteUrl) {
+  const state = await getSyncState(siteUrl);
+  const pageDates = [...state.pageDates].sort();
+  const queryDates = [...state.queryDates].sort();
+
+  return {
+    enabled: await isWarehouseEnabled(siteUrl),
+    pageDays: pageDates.length,
+    queryDays: queryDates.length,
+    truncatedQueryDays: state.truncatedQueryDates.size,
+    firstDate: pageDates[0] || null,
+    lastDate: pageDates[pageDates.length - 1] || null,
+    queryFirstDate: queryDates[0] || null,
+    lastSyncAt: state.lastSyncAt
+  };
+}
+
+/**
+ * Fetch the days of a window the warehouse doesn't have yet
+ * @param {object} options - { startDate, endDate, includeQueries, onProgress({ percent, daysDone, dayCount }) }
+ * @returns {number} Days fetched
+ */
+export async function syncWarehouse(siteUrl, { startDate, endDate, includeQueries = false, onProgress = null }) {
+  const dates = dateRange(startDate, endDate);
+  return syncDates(siteUrl, { pageDates: dates, queryDates: includeQueries ? dates : [] }, onProgress);
+}
+
+/**
+ * Fetch the days a set of requests reads that the warehouse doesn't have yet
+ * Days are stored unfiltered, so requests with a brand filter still sync (only reading them needs the API).
+ * @param {object} requests - { name: { params, maxRows? } } as from getComparisonRequests
+ * @returns {number} Days fetched
+ */
+export async function syncRequests(siteUrl, requests, onProgress = null) {
+  const dates = getRequestDates(requests);
+  return dates ? syncDates(siteUrl, dates, onProgress) : 0;
+}
+
+// Newest days first, so an interrupted sync has already stored the days analyses read most
+async function syncDates(siteUrl, { pageDates, queryDates }, onProgress) {
+  const state = await getSyncState(siteUrl);
+  const needsPages = new Set(pageDates.filter(date => !state.pageDates.has(date)));
+  const needsQueries = new Set(queryDates.filter(date => !state.queryDates.has(date)));
+  const missing = [...new Set([...needsPages, ...needsQueries])].sort().reverse();
+
+  if (missing.length === 0) return 0;
+
+  let daysDone = 0;
+  const report = () => {
+    if (onProgress) {
+      onProgress({ percent: Math.floor((daysDone / missing.length) * 100), daysDone, dayCount: missing.length });
+    }
+  };
+  report();
+
+  // Site totals for the whole stretch come back in one request
+  if (needsPages.size > 0) {
+    const dates = [...needsPages].sort();
+    await storeSiteDays(siteUrl, await queryAllSearchAnalytics(siteUrl, {
+      startDate: dates[0],
+      endDate: dates[dates.length - 1],
+      dimensions: ['date']
+    }));
+  }
+
+  await runConcurrently(missing.map(date => async () => {
+    const pageRows = needsPages.has(date)
+      ? await queryAllSearchAnalytics(siteUrl, { startDate: date, endDate: date, dimensions: ['page'] })
+      : null;
+    const queryRows = needsQueries.has(date)
+      ? await queryAllSearchAnalytics(siteUrl, { startDate: date, endDate: date, dimensions: ['query', 'page'] }, QUERY_ROWS_PER_DAY)
+      : null;
+
+    await storeDay(siteUrl, date, pageRows, queryRows);
+    daysDone++;
+    report();
+  }));
+
+  return missing.length;
+}
+
+/**
+ * Extend a site's history back towards GSC's retention limit, a limited number of days per run
+ * @returns {number} Days fetched (0 once the warehouse reaches the limit)
+ */
+export async function backfillWarehouse(siteUrl, { includeQueries = false, maxDays = BACKFILL_DAYS_PER_RUN } = {}) {
+  const state = await getSyncState(siteUrl);
+  if (state.pageDates.size === 0) return 0;
+
+  const oldest = [...state.pageDates].sort()[0];
+  const limit = getAvailableDateRange().earliest;
+  const endDate = addDays(oldest, -1);
+  if (endDate < limit) return 0;
+
+  const startDate = addDays(endDate, -(maxDays - 1));
+  return syncWarehouse(siteUrl, { startDate: startDate < limit ? limit : startDate, endDate, includeQueries });
+}
+
+// Write a day's rows and mark it synced in one transaction, so a killed worker never leaves half a day
+async function storeDay(siteUrl, date, pageRows, queryRows) {
+  const db = await openDb();
+  const tx = db.transaction(['pageDays', 'queryDays', 'syncState'], 'readwrite');
+
+  if (pageRows) {
+    const store = tx.objectStore('pageDays');
+    for (const row of pageRows) {
+      store.put({ siteUrl, page: row.keys[0], date, clicks: row.clicks, impressions: row.impressions, position: row.position });
+    }
+  }
+  if (queryRows) {
+    const store = tx.objectStore('queryDays');
+    for (const row of queryRows) {
+      store.put({ siteUrl, query: row.keys[0], page: row.keys[1], date, clicks: row.clicks, impressions: row.impressions, position: row.position });
+    }
+  }
+
+  const stateStore = tx.objectStore('syncState');
+  const state = (await promisify(stateStore.get(siteUrl))) || { siteUrl, pageDates: [], queryDates: [] };
+  if (!state.truncatedQueryDates) {
+    state.queryDates = [];
+    state.truncatedQueryDates = [];
+  }
+  if (pageRows && !state.pageDates.includes(date)) state.pageDates.push(date);
+  if (queryRows) {
+    if (!state.queryDates.includes(date)) state.queryDates.push(date);
+    state.truncatedQueryDates = state.truncatedQueryDates.filter(d => d !== date);
+    if (queryRows.length >= QUERY_ROWS_PER_DAY) state.truncatedQueryDates.push(date);
+  }
+  state.lastSyncAt = Date.now();
+  stateStore.put(state);
+
+  await transactionDone(tx);
+}
+
+async function storeSiteDays(siteUrl, rows) {
+  const db = await openDb();
+  const tx = db.transaction('siteDays', 'readwrite');
+  const store = tx.objectStore('siteDays');
+  for (const row of rows) {
+    store.put({ siteUrl, date: row.keys[0], clicks: row.clicks, impressions: row.impressions, ctr: row.ctr, position: row.position });
+  }
+  await transactionDone(tx);
+}
+
+// Sum daily rows into one GSC-shaped row; position is impression-weighted like GSC's own average
+function createAccumulator(keys) {
+  return { keys, clicks: 0, impressions: 0, positionSum: 0 };
+}
+
+function accumulate(acc, row) {
+  acc.clicks += row.clicks;
+  acc.impressions += row.impressions;
+  acc.positionSum += row.position * row.impressions;
+}
+
+function toRow(acc) {
+  return {
+    keys: acc.keys,
+    clicks: acc.clicks,
+    impressions: acc.impressions,
+    ctr: acc.impressions > 0 ? acc.clicks / acc.impressions : 0,
+    position: acc.impressions > 0 ? acc.positionSum / acc.impressions : 0
+  };
+}
+
+// Read a window one day at a time (keeps memory flat on big sites)
+async function forEachDayRow(storeName, siteUrl, startDate, endDate, callback) {
+  const db = await openDb();
+  for (const date of dateRange(startDate, endDate)) {
+    const index = db.transaction(storeName).objectStore(storeName).index('siteDate');
+    const rows = await promisify(index.getAll(IDBKeyRange.only([siteUrl, date])));
+    rows.forEach(callback);
+  }
+}
+
+/**
+ * Page rows summed over a window, shaped like a Search Analytics response (keys: [page])
+ */
+export async function aggregatePages(siteUrl, startDate, endDate) {
+  const byPage = new Map();
+  await forEachDayRow('pageDays', siteUrl, startDate, endDate, row => {
+    if (!byPage.has(row.page)) byPage.set(row.page, createAccumulator([row.page]));
+    accumulate(byPage.get(row.page), row);
+  });
+  return [...byPage.values()].map(toRow).sort((a, b) => b.clicks - a.clicks);
+}
+
+/**
+ * Page+query rows summed over a window (keys: [query, page]), most clicks first
+ */
+export async function aggregateQueries(siteUrl, startDate, endDate, maxRows = Infinity) {
+  const byKey = new Map();
+  await forEachDayRow('queryDays', siteUrl, startDate, endDate, row => {
+    const key = `${row.query}\u0000${row.page}`;
+    if (!byKey.has(key)) byKey.set(key, createAccumulator([row.query, row.page]));
+    accumulate(byKey.get(key), row);
+  });
+  return [...byKey.values()].map(toRow).sort((a, b) => b.clicks - a.clicks).slice(0, maxRows);
+}
+
+/**
+ * Page rows per day (keys: [page, date])
+ */
+export async function getPageDayRows(siteUrl, startDate, endDate) {
+  const rows = [];
+  await forEachDayRow('pageDays', siteUrl, startDate, endDate, row => {
+    rows.push({ keys: [row.page, row.date], clicks: row.clicks, impressions: row.impressions, ctr: row.impressions > 0 ? row.clicks / row.impressions : 0, position: row.position });
+  });
+  return rows;
+}
+
+/**
+ * Site totals over a window as a single row (no dimensions)
+ */
+export async function aggregateSite(siteUrl, startDate, endDate) {
+  const db = await openDb();
+  const rows = await promisify(db.transaction('siteDays').objectStore('siteDays')
+    .getAll(IDBKeyRange.bound([siteUrl, startDate], [siteUrl, endDate])));
+  if (rows.length === 0) return [];
+
+  const acc = createAccumulator([]);
+  rows.forEach(row => accumulate(acc, row));
+  return [toRow(acc)];
+}
+
+/**
+ * A page's daily metrics, or null unless the warehouse covers every day of the window
+ * @returns {Array|null} [{ date, clicks, impressions, ctr, position }] (days without impressions omitted, as from the API)
+ */
+export async function getPageTrend(siteUrl, pageUrl, startDate, endDate) {
+  const state = await getSyncState(siteUrl);
+  if (!dateRange(startDate, endDate).every(date => state.pageDates.has(date))) return null;
+
+  const db = await openDb();
+  const rows = await promisify(db.transaction('pageDays').objectStore('pageDays')
+    .getAll(IDBKeyRange.bound([siteUrl, pageUrl, startDate], [siteUrl, pageUrl, endDate])));
+
+  return rows.map(row => ({
+    date: row.date,
+    clicks: row.clicks,
+    impressions: row.impressions,
+    ctr: row.impressions > 0 ? row.clicks / row.impressions : 0,
+    position: row.position
+  }));
+}
+
+/**
+ * Days a set of requests (from getComparisonRequests) reads, or null if some request has dimensions
+ * the warehouse doesn't store
+ * @returns {object|null} { pageDates: [...], queryDates: [...] }
+ */
+export function getRequestDates(requests) {
+  const pageDates = new Set();
+  const queryDates = new Set();
+
+  for (const { params } of Object.values(requests)) {
+    const reader = getReader(params.dimensions);
+    if (!reader) return null;
+
+    const dates = reader.level === 'query' ? queryDates : pageDates;
+    dateRange(params.startDate, params.endDate).forEach(date => dates.add(date));
+  }
+
+  return { pageDates: [...pageDates], queryDates: [...queryDates] };
+}
+
+function getReader(dimensions = []) {
+  const key = dimensions.join(',');
+  if (key === 'page') return { level: 'page', read: (siteUrl, p) => aggregatePages(siteUrl, p.startDate, p.endDate) };
+  if (key === 'page,date') return { level: 'page', read: (siteUrl, p) => getPageDayRows(siteUrl, p.startDate, p.endDate) };
+  if (key === 'query,page') return { level: 'query', read: (siteUrl, p, maxRows) => aggregateQueries(siteUrl, p.startDate, p.endDate, maxRows) };
+  if (key === '') return { level: 'page', read: (siteUrl, p) => aggregateSite(siteUrl, p.startDate, p.endDate) };
+  return null;
+}
+
+/**
+ * Answer a set of requests from stored days
+ * @param {object} requests - { name: { params, maxRows? } } as from getComparisonRequests
+ * @returns {object|null} { name: rows }, or null if any request is filtered or needs days the warehouse
+ *   doesn't have (or query rows of a day that hit QUERY_ROWS_PER_DAY)
+ */
+export async function readRequests(siteUrl, requests) {
+  // Query filters (brand keywords) can't be applied to stored rows
+  if (Object.values(requests).some(({ params }) => params.dimensionFilterGroups?.length)) return null;
+
+  const dates = getRequestDates(requests);
+  if (!dates) return null;
+
+  const state = await getSyncState(siteUrl);
+  if (!dates.pageDates.every(date => state.pageDates.has(date)) ||
+      !dates.queryDates.every(date => state.queryDates.has(date) && !state.truncatedQueryDates.has(date))) {
+    return null;
+  }
+
+  const results = {};
+  for (const [name, { params, maxRows }] of Object.entries(requests)) {
+    results[name] = await getReader(params.dimensions).read(siteUrl, params, maxRows ?? Infinity);
+  }
+  return results;
+}
+
+/**
+ * Delete a site's days older than `before` (by default the oldest day GSC still serves), so the
+ * store stops growing once backfill reaches the retention limit
+ * @returns {number} Days removed
+ */
+export async function pruneWarehouse(siteUrl, before = getAvailableDateRange().earliest) {
+  const state = await getSyncState(siteUrl);
+  const stale = [...state.pageDates, ...state.queryDates].filter(date => date < before);
+  if (stale.length === 0) return 0;
+
+  const db = await openDb();
+  const tx = db.transaction(['pageDays', 'queryDays', 'siteDays', 'syncState'], 'readwrite');
+  const range = IDBKeyRange.bound([siteUrl, ''], [siteUrl, before], false, true);
+
+  for (const storeName of ['pageDays', 'queryDays']) {
+    const request = tx.objectStore(storeName).index('siteDate').openKeyCursor(range);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      tx.objectStore(storeName).delete(cursor.primaryKey);
+      cursor.continue();
+    };
+  }
+  tx.objectStore('siteDays').delete(range);
+
+  const stateStore = tx.objectStore('syncState');
+  const stored = await promisify(stateStore.get(siteUrl));
+  if (stored) {
+    const keep = date => date >= before;
+    stateStore.put({
+      ...stored,
+      pageDates: stored.pageDates.filter(keep),
+      queryDates: stored.queryDates.filter(keep),
+      truncatedQueryDates: (stored.truncatedQueryDates || []).filter(keep)
+    });
+  }
+
+  await transactionDone(tx);
+  return new Set(stale).size;
+}
+
+/**
+ * Delete everything stored for a site
+ */
+export async function clearWarehouse(siteUrl) {
+  const db = await openDb();
+  const tx = db.transaction(['pageDays', 'queryDays', 'siteDays', 'syncState'], 'readwrite');
+  const range = IDBKeyRange.bound([siteUrl], [siteUrl, []]);
+
+  tx.objectStore('pageDays').delete(range);
+  tx.objectStore('queryDays').delete(range);
+  tx.objectStore('siteDays').delete(range);
+  tx.objectStore('syncState').delete(siteUrl);
+
+  await transactionDone(tx);
+}